@@ -1,10 +1,15 @@
 import vercel from '@astrojs/vercel';
 import tailwindcss from '@tailwindcss/vite';
 import { defineConfig } from 'astro/config';
+import themeCheck from './scripts/check-themes.js';
+import obfuscator from './scripts/obfuscator/integration.js';
 
 export default defineConfig({
   output: 'server',
   adapter: vercel(),
+  // Checks that every theme of src/themes.js was compiled, then obfuscates class names at the
+  // end of `astro build` (settings in build.config.js)
+  integrations: [themeCheck(), obfuscator()],
   vite: {
     plugins: [tailwindcss()],
     optimizeDeps: {
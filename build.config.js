@@ -1,6 +1,9 @@
 /**
  * Build Configuration for Class Name Obfuscation
- * This file contains all configuration needed for the obfuscation process
+ * This file contains all configuration needed for the obfuscation process.
+ * It is loaded and validated by scripts/obfuscator/config.js; every key of
+ * `obfuscation` can be overridden with an OBFUSCATE_* environment variable
+ * (e.g. OBFUSCATE_CLASS_METHOD=hash) and scripts accept --config <file>.
  */
 
 import path from 'path';
@@ -17,7 +20,13 @@ const buildConfig = {
     obfuscation: {
         enable: true,
         length: 6,
-        classMethod: 'random',
+        // 'hash' keeps names stable between builds; 'sequential' gives the shortest names;
+        // 'random' changes them on every build unless seedMapping reuses the previous ones
+        classMethod: 'hash',
+        // The secret key for 'hash' names (`salt`) is read from OBFUSCATE_SALT
+        // so it never ends up in the repo. Without it the build falls back to 'sequential'
+        // Keep the names of the previous obfuscation-data/main.json for unchanged classes
+        seedMapping: true,
         classPrefix: '',
         classSuffix: '',
         classIgnore: [
@@ -41,6 +50,7 @@ const buildConfig = {
             'icon',
             'iconify',
             'i-*',
+            'icon-*', // swapped at runtime from lookup tables (NavbarThemeDropdown)
             // Animation classes that might be referenced in JS
             'animate-*',
             'transition-*',
@@ -50,6 +60,13 @@ const buildConfig = {
             // Print classes
             'print:*'
         ],
+        // Classes used from client-side JS (classList, className, querySelector...):
+        // 'rewrite' renames the string literals, 'safelist' keeps those classes unobfuscated
+        runtimeClasses: 'rewrite',
+        // Extra attributes that carry class names, on top of the defaults in
+        // scripts/obfuscator/html.js. type: 'classList' | 'selector' | 'json'
+        // e.g. { attribute: 'data-tabs', type: 'json', paths: ['activeClasses'] }
+        attributeRules: [],
         ids: false, // Safer to keep IDs unobfuscated
         idIgnore: [
             'home',
@@ -58,32 +75,109 @@ const buildConfig = {
             'main',
             'footer'
         ],
-        // Paths
+        // Opt-in renaming of custom properties, @keyframes and @layer names.
+        // Names passed to scripts as plain strings keep their name automatically.
+        customProperties: false,
+        customPropertyIgnore: [
+            // Theme tokens the custom theme (src/utils/custom-theme.js) sets on <html>
+            // under computed names, which no pass can rewrite
+            '--color-*',
+            '--radius-*',
+            '--size-*'
+        ],
+        keyframes: false,
+        keyframesIgnore: [],
+        layers: false,
+        layerIgnore: [],
+        // Drop CSS rules whose classes no page, script or server chunk references;
+        // purgeSafelist keeps classes that are only built at runtime (e.g. 'alert-*')
+        purge: false,
+        purgeSafelist: [],
+        // Paths (relative paths are resolved against this file)
         jsonDataPath: path.resolve(__dirname, 'obfuscation-data'),
         srcPath: path.resolve(__dirname, 'dist'),
         desPath: path.resolve(__dirname, 'dist-obfuscated'),
-        extensions: ['.html', '.js'],
+        // SSR bundle; src/middleware.js obfuscates its pages with a copy of the mapping
+        serverPath: path.resolve(__dirname, '.vercel/output/functions'),
+        // Adapter static output; replaced with the obfuscated client files
+        staticPath: path.resolve(__dirname, '.vercel/output/static'),
+        // Give rewritten /_astro/* assets new content hashes
+        hashAssets: true,
+        // Fail the build when scripts/obfuscator/verify.js finds broken class references
+        verify: true,
+        // Classes the verifier accepts without a CSS selector: hooks that scripts
+        // look up or toggle but no stylesheet styles
+        verifyIgnore: [
+            // FlyonUI components
+            '--exclude-accessibility',
+            '--exclude-from-ordering',
+            '--prevent-click',
+            '--prevent-on-load-init',
+            '[--ignore-for-count]',
+            'accepted',
+            'accordion-selectable',
+            'accordion-treeview-root',
+            'active',
+            'advance-select',
+            'carousel-info',
+            'carousel-info-current',
+            'carousel-info-total',
+            'carousel-pagination',
+            'carousel-pagination-item',
+            'combo-box-output-item-highlighted',
+            'completed',
+            'dragging',
+            'dropdown-close',
+            'dropdown-toggle',
+            'dropdown-toggle-wrapper',
+            'has-value',
+            'init',
+            'mega-menu-content',
+            'minified',
+            'noUi-handle',
+            'opened',
+            'overlay',
+            'overlay-animation-target',
+            'overlay-body-open',
+            'overlay-minified',
+            'passed',
+            'popover',
+            'prevented-click',
+            'processed',
+            'range-slider-current-value',
+            'range-slider-wrapper',
+            'select-option-highlighted',
+            'show',
+            'skipped',
+            'snap-after',
+            'snap-before',
+            'tooltip-toggle',
+            // flatpickr
+            'flatpickr-input',
+            'hasSeconds',
+            'time24hr',
+            // Our own scripts and components
+            'direction-btn',
+            'flatpickr-date',
+            'intersect-once',
+            'nav-link',
+            'offcanvas',
+            'offcanvas-end',
+            // Used in the markup, but neither FlyonUI 2 nor tailwindcss-motion generate them
+            'btn-ghost',
+            'intersect:motion-opacity-0'
+        ],
+        // Maximum bytes per obfuscated asset (raw, gzip and/or brotli); `files` are
+        // globs relative to desPath. Exceeding a budget fails the verification.
+        sizeBudgets: [
+            { files: 'client/_astro/*.css', gzip: 60 * 1024 },
+            { files: 'client/_astro/*.js', gzip: 100 * 1024 }
+        ],
+        // Globs relative to desPath for files the passes should skip
         htmlExcludes: [],
         cssExcludes: [],
-        fresh: true,
-        formatJson: true,
-        keepData: true
-    },
-
-    // Build paths
-    paths: {
-        src: './src',
-        dist: './dist',
-        distObfuscated: './dist-obfuscated',
-        obfuscationData: './obfuscation-data',
-        coreObfuscator: '../core'
-    },
-
-    // Files to process
-    filePatterns: {
-        html: '**/*.html',
-        js: '**/*.js',
-        css: '**/*.css'
+        jsExcludes: [],
+        formatJson: true
     }
 };
 
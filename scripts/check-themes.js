@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Theme check
+ * Fails when a theme of the registry (src/themes.js), and so of the theme
+ * switchers, has no `[data-theme=<name>]` rule with its colours in the
+ * compiled CSS. A name FlyonUI does not know still gets a rule from
+ * tailwind.config.js, but only with the font and color scheme.
+ *
+ * Runs at the end of `astro build` as an integration (astro.config.mjs), or
+ * on an existing build:
+ *   node scripts/check-themes.js [dir] [--quiet|--verbose] [--json]   (default: dist/client)
+ *
+ * Exits with the shared codes of scripts/obfuscator/logger.js: 1 when a theme
+ * is missing, 3 when the build cannot be read.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { themeNames } from '../src/themes.js';
+import { CheckError, createLogger, LOG_FLAGS, Logger } from './obfuscator/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+function listStylesheets(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listStylesheets(file);
+    }
+    return entry.name.endsWith('.css') ? [file] : [];
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the themes without rules in the stylesheets of a build
+ * @param {string} dir - Build output to search for `.css` files
+ * @param {string[]} [names] - Theme names, defaults to the registry
+ * @returns {{ stylesheets: number, missing: string[] }} Number of stylesheets read and the
+ *   names without a `[data-theme]` rule that sets `--color-primary`
+ */
+export function checkThemes(dir, names = themeNames) {
+  const stylesheets = listStylesheets(dir);
+  if (stylesheets.length === 0) {
+    throw new Error(`No stylesheets found in ${dir}`);
+  }
+  const css = stylesheets.map(file => fs.readFileSync(file, 'utf8')).join('\n');
+  const missing = names.filter(
+    name =>
+      !new RegExp(
+        `\\[data-theme=(["']?)${escapeRegExp(name)}\\1\\][^{]*\\{[^}]*--color-primary\\s*:`
+      ).test(css)
+  );
+  return { stylesheets: stylesheets.length, missing };
+}
+
+function describe(missing) {
+  return (
+    `Theme(s) offered but not compiled: ${missing.join(', ')}. ` +
+    'Every theme of src/themes.js needs a FlyonUI theme of that name (see tailwind.config.js).'
+  );
+}
+
+/**
+ * Astro integration that runs the check on the client output of `astro build`
+ * @returns {import('astro').AstroIntegration} Integration
+ */
+export default function themeCheck() {
+  return {
+    name: 'theme-check',
+    hooks: {
+      'astro:build:done': ({ dir, logger }) => {
+        const { stylesheets, missing } = checkThemes(fileURLToPath(dir));
+        if (missing.length > 0) {
+          throw new Error(describe(missing));
+        }
+        logger.info(`${themeNames.length} themes found in ${stylesheets} stylesheet(s)`);
+      }
+    }
+  };
+}
+
+// Run the check when executed directly
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  let logger;
+  let failure;
+  try {
+    logger = createLogger({ name: 'check-themes' });
+    const [dir = 'dist/client'] = process.argv.slice(2).filter(arg => !LOG_FLAGS.includes(arg));
+    const { stylesheets, missing } = checkThemes(path.resolve(dir));
+    if (missing.length > 0) {
+      throw new CheckError(describe(missing));
+    }
+    logger.success(`${themeNames.length} themes found in ${stylesheets} stylesheet(s)`);
+  } catch (error) {
+    failure = error;
+    // Invalid log options leave no logger of their own to report them
+    logger ??= new Logger({ name: 'check-themes' });
+    logger.error(error.message);
+  }
+  process.exit(logger.summary(failure));
+}
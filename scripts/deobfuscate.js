@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Deobfuscation CLI
+ * Translates obfuscated class names in HTML, CSS, selectors or DOM snippets
+ * back to their original names, or originals to obfuscated names with --reverse.
+ *
+ * Usage:
+ *   node scripts/deobfuscate.js <file | text | -> [options]
+ *
+ * Options:
+ *   --mapping <file>   Mapping to use (default: <jsonDataPath>/main.json)
+ *   --type <type>      html, css, selector or classes (detected when omitted)
+ *   --reverse          Translate original names to obfuscated ones
+ *   --config <file>    Obfuscation config file
+ *   --quiet, --verbose, --json
+ *                      Log output (see scripts/obfuscator/logger.js)
+ *
+ * The translated input is printed to stdout; the name table and the other log
+ * records go to stderr. Exits with the shared codes of the logger, 1 when no
+ * name of the input is in the mapping.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig } from './obfuscator/config.js';
+import { deobfuscate, detectType, readMappingFile } from './obfuscator/deobfuscate.js';
+import {
+  CheckError,
+  createLogger,
+  exitCodeFor,
+  LOG_FLAGS,
+  Logger,
+  UsageError
+} from './obfuscator/logger.js';
+
+const VALUE_OPTIONS = ['--mapping', '--type', '--config'];
+
+const USAGE = `Usage: node scripts/deobfuscate.js <file | text | -> [options]
+  --mapping <file>   Mapping to use (default: obfuscation-data/main.json)
+  --type <type>      html, css, selector or classes
+  --reverse          Translate original names to obfuscated ones
+  --config <file>    Obfuscation config file
+  --quiet            Log warnings and errors only
+  --verbose          Log debug records as well
+  --json             Log JSON lines`;
+
+function parseArgs(argv) {
+  const options = { reverse: false, input: undefined };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [name, inline] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+
+    if (name === '--reverse') {
+      options.reverse = true;
+    } else if (LOG_FLAGS.includes(arg)) {
+      // Read by createLogger()
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = inline ?? argv[++i];
+      if (!value || value.startsWith('--')) {
+        throw new UsageError(`${name} needs a value`);
+      }
+      options[name.slice(2)] = value;
+    } else if (name === '--help' || name === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    } else if (options.input === undefined) {
+      options.input = arg;
+    } else {
+      throw new UsageError('Only one input can be given; quote selectors and snippets');
+    }
+  }
+  return options;
+}
+
+function readInput(input) {
+  if (input === undefined || input === '-') {
+    return { text: fs.readFileSync(0, 'utf8'), file: undefined };
+  }
+  if (fs.existsSync(input) && fs.statSync(input).isFile()) {
+    return { text: fs.readFileSync(input, 'utf8'), file: input };
+  }
+  return { text: input, file: undefined };
+}
+
+async function main(logger) {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || (options.input === undefined && process.stdin.isTTY)) {
+    logger.print(USAGE);
+    if (!options.help) {
+      throw new UsageError('No input given');
+    }
+    return;
+  }
+
+  const config = await loadConfig({ configPath: options.config });
+  const mappingPath = path.resolve(options.mapping || path.join(config.jsonDataPath, 'main.json'));
+  const mapping = readMappingFile(mappingPath);
+  const { text, file } = readInput(options.input);
+
+  const result = deobfuscate(text, {
+    mapping,
+    config,
+    type: options.type || detectType(text, file),
+    reverse: options.reverse
+  });
+
+  const direction = options.reverse ? 'original → obfuscated' : 'obfuscated → original';
+  logger.info(
+    `Mapping v${mapping.version} (${mapping.method || 'unknown method'}, ` +
+      `${mapping.timestamp || 'no timestamp'}), ${result.type} input, ${direction}`,
+    { mapping: mappingPath, type: result.type, reverse: options.reverse }
+  );
+  for (const [from, to] of [...result.translated].sort(([a], [b]) => a.localeCompare(b))) {
+    logger.detail(`${from} → ${to}`, 'info', { from, to });
+  }
+  if (result.unknown.length > 0) {
+    const hint = options.reverse
+      ? 'not obfuscated in this build'
+      : 'not in this mapping; it may belong to another build';
+    logger.warn(`${result.unknown.length} names ${hint}: ${result.unknown.join(', ')}`, {
+      unknown: result.unknown
+    });
+  }
+  for (const warning of result.warnings) {
+    logger.warn(warning);
+  }
+
+  process.stdout.write(result.output.endsWith('\n') ? result.output : `${result.output}\n`);
+  if (result.translated.size === 0) {
+    throw new CheckError(
+      `Nothing was translated: no name in the ${result.type} input is in the mapping`
+    );
+  }
+}
+
+let logger;
+try {
+  // stdout is left to the translated input
+  logger = createLogger({ name: 'deobfuscate', stdout: process.stderr });
+  await main(logger);
+} catch (error) {
+  // Invalid log options leave no logger of their own to report them
+  logger ??= new Logger({ name: 'deobfuscate', stdout: process.stderr });
+  logger.error(error.message);
+  process.exit(exitCodeFor(error));
+}
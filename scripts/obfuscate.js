@@ -2,442 +2,335 @@
 
 /**
  * Obfuscation Build Script for Astro Project
- * This script handles the complete obfuscation process after Astro build
+ * This script handles the complete obfuscation process after Astro build.
+ * `astro build` runs it through scripts/obfuscator/integration.js; run it
+ * directly to obfuscate an existing build again.
+ *
+ * Takes --quiet, --verbose and --json (see scripts/obfuscator/logger.js for
+ * the output and the exit codes) and --config <file>.
  */
 
 import fs from 'fs';
 import path from 'path';
-import {
-    execSync
-} from 'child_process';
-import {
-    fileURLToPath
-} from 'url';
+import { fileURLToPath } from 'url';
+import { rehashAssets } from './obfuscator/assets.js';
+import { loadConfig, parseConfigArg } from './obfuscator/config.js';
+import { obfuscate } from './obfuscator/index.js';
+import { CheckError, createLogger, exitCodeFor, Logger } from './obfuscator/logger.js';
+import { verifyBuild, writeVerificationReports } from './obfuscator/verify.js';
 
-const __filename = fileURLToPath(
-    import.meta.url);
-const __dirname = path.dirname(__filename);
+const __filename = fileURLToPath(import.meta.url);
 
 class AstroObfuscator {
-    constructor() {
-        this.coreObfuscatorPath = path.resolve(__dirname, '../../core');
-        this.distPath = path.resolve(__dirname, '../dist');
-        this.obfuscatedDistPath = path.resolve(__dirname, '../dist-obfuscated');
-        this.obfuscationDataPath = path.resolve(__dirname, '../obfuscation-data');
-
-        this.config = {
-            classIgnore: [
-                'astro-code', 'astro-island', 'flyonui', 'btn', 'card', 'modal',
-                'navbar', 'dropdown', 'tooltip', 'hero', 'container', 'dark', 'light',
-                'theme-*', 'icon', 'iconify', 'i-*', 'animate-*', 'transition-*',
-                'sr-only', 'not-sr-only', 'print:*'
-            ]
-        };
+  /**
+   * @param {object} config - Validated config from loadConfig()
+   * @param {object} [options]
+   * @param {Map<string, object>} [options.cache] - Pass results kept between runs in one process
+   *   (watch mode), see obfuscate()
+   * @param {import('./obfuscator/logger.js').Logger} [options.logger] - Output, by default set
+   *   by the command line and OBFUSCATE_LOG_* variables
+   */
+  constructor(config, { cache, logger } = {}) {
+    this.config = config;
+    this.cache = cache;
+    this.logger = logger || createLogger({ name: 'obfuscate' });
+    this.distPath = config.srcPath;
+    this.obfuscatedDistPath = config.desPath;
+    this.obfuscationDataPath = config.jsonDataPath;
+    this.result = null;
+  }
+
+  async cleanupPreviousBuild() {
+    this.logger.info('Cleaning up previous obfuscated build...');
+
+    // The data directory is kept: its main.json seeds the names of this build. A leftover
+    // output would be mixed into this one, so a failed removal ends the run.
+    if (fs.existsSync(this.obfuscatedDistPath)) {
+      fs.rmSync(this.obfuscatedDistPath, { recursive: true, force: true });
     }
+    this.logger.success('Cleanup completed');
+  }
+
+  async runObfuscation() {
+    this.logger.info('Obfuscating build output...');
+
+    this.result = await obfuscate({
+      srcDir: this.distPath,
+      outDir: this.obfuscatedDistPath,
+      dataDir: this.obfuscationDataPath,
+      serverDir: this.config.serverPath,
+      config: this.config,
+      cache: this.cache
+    });
+
+    for (const file of this.result.files) {
+      this.logger.debug(
+        `${file.reused ? 'Reused' : 'Processed'} ${file.type.toUpperCase()} file: ${file.file} ` +
+          `(${file.replacements} replacements)`,
+        { file: file.file, type: file.type, replacements: file.replacements, reused: !!file.reused }
+      );
+    }
+    const reused = this.result.files.filter(file => file.reused).length;
+    const replacements = this.result.files.reduce((total, file) => total + file.replacements, 0);
+    this.logger.info(
+      `Processed ${this.result.files.length} files${reused > 0 ? ` (${reused} reused)` : ''}, ` +
+        `${replacements} replacements`
+    );
+    for (const warning of this.result.warnings) {
+      this.logger.warn(warning);
+    }
+
+    this.logger.success('Obfuscation completed');
+  }
 
-    log(message, type = 'info') {
-        const timestamp = new Date().toISOString();
-        const prefix = type === 'error' ? '❌' : type === 'success' ? '✅' : '📋';
-        console.log(`${prefix} [${timestamp}] ${message}`);
+  async renameAssets() {
+    if (!this.config.hashAssets) {
+      return;
     }
 
-    async cleanupPreviousBuild() {
-        this.log('Cleaning up previous obfuscated build...');
-
-        try {
-            if (fs.existsSync(this.obfuscatedDistPath)) {
-                fs.rmSync(this.obfuscatedDistPath, {
-                    recursive: true,
-                    force: true
-                });
-            }
-
-            const obfuscationDataPath = path.resolve(__dirname, 'obfuscation-data');
-            if (fs.existsSync(this.obfuscationDataPath)) {
-                fs.rmSync(this.obfuscationDataPath, {
-                    recursive: true,
-                    force: true
-                });
-            }
-
-            this.log('Cleanup completed', 'success');
-        } catch (error) {
-            this.log(`Cleanup error: ${error.message}`, 'error');
-        }
+    // Renames of the previous run, in case the server bundle still refers to them
+    const assetsFile = path.join(this.obfuscationDataPath, 'assets.json');
+    const previous = fs.existsSync(assetsFile)
+      ? JSON.parse(fs.readFileSync(assetsFile, 'utf8'))
+      : {};
+
+    const renamed = rehashAssets({
+      srcDir: this.distPath,
+      outDir: this.obfuscatedDistPath,
+      referenceDirs: [this.config.serverPath],
+      previous
+    });
+    fs.mkdirSync(this.obfuscationDataPath, { recursive: true });
+    fs.writeFileSync(assetsFile, JSON.stringify(renamed, null, 2));
+
+    for (const [original, hashed] of Object.entries(renamed)) {
+      this.logger.debug(`Renamed asset: ${original} → ${hashed}`, { original, hashed });
     }
+    this.logger.info(`Renamed ${Object.keys(renamed).length} rewritten assets`);
+  }
+
+  async publishStatic() {
+    const staticPath = this.config.staticPath;
+    if (!fs.existsSync(staticPath)) {
+      return;
+    }
+
+    const clientPath = path.join(this.obfuscatedDistPath, 'client');
+    const source = fs.existsSync(clientPath) ? clientPath : this.obfuscatedDistPath;
+    fs.rmSync(staticPath, { recursive: true, force: true });
+    fs.cpSync(source, staticPath, { recursive: true });
+    this.logger.success(`Static output replaced: ${path.relative(process.cwd(), staticPath)}`);
+  }
 
-    async copyDistToObfuscated() {
-        this.log('Copying dist folder for obfuscation...');
-
-        try {
-            // Copy the entire dist folder
-            this.copyFolderSync(this.distPath, this.obfuscatedDistPath);
-            this.log('Copy completed', 'success');
-        } catch (error) {
-            this.log(`Copy error: ${error.message}`, 'error');
-            throw error;
-        }
+  async verifyOutput() {
+    if (!this.config.verify) {
+      return;
     }
 
-    copyFolderSync(src, dest) {
-        if (!fs.existsSync(dest)) {
-            fs.mkdirSync(dest, {
-                recursive: true
-            });
-        }
-
-        const files = fs.readdirSync(src);
-
-        files.forEach(file => {
-            const srcPath = path.join(src, file);
-            const destPath = path.join(dest, file);
-
-            if (fs.statSync(srcPath).isDirectory()) {
-                this.copyFolderSync(srcPath, destPath);
-            } else {
-                fs.copyFileSync(srcPath, destPath);
-            }
-        });
+    this.logger.info('Verifying class references...');
+    const verification = await verifyBuild({
+      srcDir: this.distPath,
+      outDir: this.obfuscatedDistPath,
+      dataDir: this.obfuscationDataPath,
+      serverDir: this.config.serverPath,
+      config: this.config
+    });
+    writeVerificationReports(verification, {
+      json: path.join(this.obfuscationDataPath, 'verification.json'),
+      junit: path.join(this.obfuscationDataPath, 'verification.xml')
+    });
+    for (const warning of verification.warnings) {
+      this.logger.warn(warning);
     }
 
-    async obfuscateCSS() {
-        this.log('Starting CSS obfuscation...');
-
-        try {
-            // Create a simple CSS processing script that uses the existing core obfuscator
-            const tempScriptPath = path.join(this.coreObfuscatorPath, 'temp-astro-css-obfuscate.js');
-            const tempScriptContent = `
-        const fs = require('fs');
-        const path = require('path');
-        const glob = require('glob');
-        
-        // CSS obfuscation configuration
-        const config = {
-          enable: true,
-          length: 6,
-          classMethod: 'random',
-          classIgnore: ${JSON.stringify(this.config.classIgnore)},
-          jsonsPath: '${this.obfuscationDataPath}',
-          srcPath: '${this.obfuscatedDistPath}',
-          desPath: '${this.obfuscatedDistPath}',
-          extensions: ['.html', '.js'],
-          fresh: true,
-          formatJson: true,
-          keepData: true,
-          showConfig: false
-        };
-        
-        // Find all CSS files in the dist directory
-        const cssFiles = glob.sync('**/*.css', { cwd: '${this.obfuscatedDistPath}' });
-        
-        console.log('Found CSS files:', cssFiles);
-        
-        // For now, we'll create a simple mapping and save it
-        const classMapping = {};
-        let counter = 1;
-        
-        // Process each CSS file to extract and map class names
-        cssFiles.forEach(cssFile => {
-          const fullPath = path.join('${this.obfuscatedDistPath}', cssFile);
-          let content = fs.readFileSync(fullPath, 'utf8');
-          
-          // Simple regex to find class selectors
-          const classMatches = content.match(/\\.[a-zA-Z][a-zA-Z0-9_-]*(?![a-zA-Z0-9_-])/g);
-          
-          if (classMatches) {
-            classMatches.forEach(match => {
-              const className = match.substring(1); // Remove the dot
-              
-              // Skip if already mapped or should be ignored
-              if (!classMapping[className]) {
-                const shouldIgnore = ${JSON.stringify(this.config.classIgnore)}.some(ignore => {
-                  if (ignore.endsWith('*')) {
-                    return className.startsWith(ignore.slice(0, -1));
-                  }
-                  return className === ignore;
-                });
-                
-                if (!shouldIgnore) {
-                  // Generate a simple obfuscated name
-                  const obfuscated = 'a' + counter.toString(36);
-                  classMapping[className] = obfuscated;
-                  counter++;
-                  
-                  // Replace in CSS - simple string replacement for now
-                  const searchPattern = '.' + className;
-                  const replacePattern = '.' + obfuscated;
-                  content = content.split(searchPattern).join(replacePattern);
-                }
-              }
-            });
-            
-            fs.writeFileSync(fullPath, content);
-            console.log('✅ Processed CSS file:', cssFile);
-          }
-        });
-        
-        // Save the mapping
-        if (!fs.existsSync('${this.obfuscationDataPath}')) {
-          fs.mkdirSync('${this.obfuscationDataPath}', { recursive: true });
-        }
-        
-        const mappingData = {
-          classes: classMapping,
-          timestamp: new Date().toISOString(),
-          totalClasses: Object.keys(classMapping).length
-        };
-        
-        fs.writeFileSync(
-          path.join('${this.obfuscationDataPath}', 'main.json'),
-          JSON.stringify(mappingData, null, 2)
+    const failed = verification.checks.flatMap(check =>
+      check.cases.filter(entry => entry.failures.length > 0).map(entry => ({ check, entry }))
+    );
+    if (failed.length === 0) {
+      const { pages, scripts, stylesheets } = verification.stats;
+      this.logger.success(
+        `Verification passed (${pages} pages, ${scripts} scripts, ${stylesheets} stylesheets)`
+      );
+      return;
+    }
+
+    for (const { check, entry } of failed) {
+      this.logger.error(`${check.title}: ${entry.name}`, { check: check.name, file: entry.name });
+      entry.failures.slice(0, 10).forEach(failure => {
+        this.logger.detail(`${failure.name}: ${failure.message}`, 'error');
+      });
+      if (entry.failures.length > 10) {
+        this.logger.detail(
+          `... and ${entry.failures.length - 10} more (see verification.json)`,
+          'error'
         );
-        
-        console.log('🎉 CSS obfuscation completed. Mapped', Object.keys(classMapping).length, 'classes');
-      `;
-
-            fs.writeFileSync(tempScriptPath, tempScriptContent);
-
-            // Execute the CSS obfuscation
-            execSync(`node "${tempScriptPath}"`, {
-                stdio: 'inherit',
-                cwd: this.coreObfuscatorPath
-            });
-
-            // Clean up temporary files
-            fs.unlinkSync(tempScriptPath);
-
-            this.log('CSS obfuscation completed', 'success');
-        } catch (error) {
-            this.log(`CSS obfuscation error: ${error.message}`, 'error');
-            throw error;
-        }
+      }
     }
+    // Classes that are only hooks for scripts belong in verifyIgnore
+    throw new CheckError(`Verification failed for ${failed.length} file(s)`);
+  }
+
+  async generateReport() {
+    const { mapping, mappingPath } = this.result;
+    const classes = Object.entries(mapping.classes);
 
-    async obfuscateHTML() {
-        this.log('Starting HTML obfuscation...');
-
-        try {
-            // Create HTML processing script
-            const tempScriptPath = path.join(this.coreObfuscatorPath, 'temp-astro-html-obfuscate.js');
-            const tempScriptContent = `
-        const fs = require('fs');
-        const path = require('path');
-        const glob = require('glob');
-        
-        // Load the class mapping
-        const mappingPath = path.join('${this.obfuscationDataPath}', 'main.json');
-        
-        if (!fs.existsSync(mappingPath)) {
-          console.log('⚠️ No class mapping found, skipping HTML obfuscation');
-          return;
-        }
-        
-        const mappingData = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
-        const classMapping = mappingData.classes || {};
-        
-        console.log('Loading class mappings:', Object.keys(classMapping).length, 'mappings found');
-        
-        // Find all HTML files
-        const htmlFiles = glob.sync('**/*.html', { cwd: '${this.obfuscatedDistPath}' });
-        
-        htmlFiles.forEach(htmlFile => {
-          const fullPath = path.join('${this.obfuscatedDistPath}', htmlFile);
-          let content = fs.readFileSync(fullPath, 'utf8');
-          let changeCount = 0;
-          
-          // Replace class names in class attributes
-          Object.entries(classMapping).forEach(([original, obfuscated]) => {
-            // Match class="..." attributes and class='...' attributes
-            const classRegex1 = new RegExp('class=["\\']([^"\\']*)\\\\b' + original + '\\\\b([^"\\']*)["\\']', 'g');
-            const classRegex2 = new RegExp('class="([^"]*?)\\\\b' + original + '\\\\b([^"]*?)"', 'g');
-            const classRegex3 = new RegExp("class='([^']*?)\\\\b" + original + "\\\\b([^']*?)'", 'g');
-            
-            const newContent1 = content.replace(classRegex1, (match, before, after) => {
-              changeCount++;
-              return 'class="' + (before + ' ' + obfuscated + ' ' + after).trim().replace(/\\s+/g, ' ') + '"';
-            });
-            
-            const newContent2 = newContent1.replace(classRegex2, (match, before, after) => {
-              changeCount++;
-              return 'class="' + (before + ' ' + obfuscated + ' ' + after).trim().replace(/\\s+/g, ' ') + '"';
-            });
-            
-            content = newContent2.replace(classRegex3, (match, before, after) => {
-              changeCount++;
-              return "class='" + (before + ' ' + obfuscated + ' ' + after).trim().replace(/\\s+/g, ' ') + "'";
-            });
-          });
-          
-          fs.writeFileSync(fullPath, content);
-          console.log('✅ Processed HTML file:', htmlFile, '(' + changeCount + ' replacements)');
-        });
-        
-        console.log('🎉 HTML obfuscation completed');
-      `;
-
-            fs.writeFileSync(tempScriptPath, tempScriptContent);
-
-            // Execute HTML obfuscation
-            execSync(`node "${tempScriptPath}"`, {
-                stdio: 'inherit',
-                cwd: this.coreObfuscatorPath
-            });
-
-            // Clean up
-            fs.unlinkSync(tempScriptPath);
-
-            this.log('HTML obfuscation completed', 'success');
-        } catch (error) {
-            this.log(`HTML obfuscation error: ${error.message}`, 'error');
-            throw error;
-        }
+    this.logger.success(`Report: ${classes.length} classes obfuscated`);
+    if (mappingPath) {
+      this.logger.info(`Mapping saved to: ${mappingPath}`);
+    }
+    this.logger.info(`Obfuscated files location: ${this.obfuscatedDistPath}`);
+    for (const file of this.result.serverMappings) {
+      this.logger.info(`Server mapping written to: ${path.relative(process.cwd(), file)}`);
     }
 
-    async obfuscateJavaScript() {
-        this.log('Starting JavaScript obfuscation...');
-
-        try {
-            const tempScriptPath = path.join(this.coreObfuscatorPath, 'temp-astro-js-obfuscate.js');
-            const tempScriptContent = `
-        const fs = require('fs');
-        const path = require('path');
-        const glob = require('glob');
-        
-        // Load the class mapping
-        const mappingPath = path.join('${this.obfuscationDataPath}', 'main.json');
-        
-        if (!fs.existsSync(mappingPath)) {
-          console.log('⚠️ No class mapping found, skipping JS obfuscation');
-          return;
-        }
-        
-        const mappingData = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
-        const classMapping = mappingData.classes || {};
-        
-        console.log('Processing JS files with', Object.keys(classMapping).length, 'class mappings');
-        
-        // Find all JS files
-        const jsFiles = glob.sync('**/*.js', { cwd: '${this.obfuscatedDistPath}' });
-        
-        jsFiles.forEach(jsFile => {
-          const fullPath = path.join('${this.obfuscatedDistPath}', jsFile);
-          let content = fs.readFileSync(fullPath, 'utf8');
-          let changeCount = 0;
-          
-          // Replace class references in common JS patterns
-          Object.entries(classMapping).forEach(([original, obfuscated]) => {
-            // classList operations: classList.add('class-name')
-            const classListRegex = new RegExp("(classList\\\\.(add|remove|toggle|contains)\\\\(\\\\s*['\\\"])(" + original + ")(['\\\"\\\\)])", 'g');
-            content = content.replace(classListRegex, (match, prefix, method, className, suffix) => {
-              if (className === original) {
-                changeCount++;
-                return prefix + obfuscated + suffix;
-              }
-              return match;
-            });
-            
-            // querySelector: querySelector('.class-name')
-            const querySelectorRegex = new RegExp("(querySelector(?:All)?\\\\(\\\\s*['\\\"]\\\\.)(" + original + ")(['\\\"\\\\)])", 'g');
-            content = content.replace(querySelectorRegex, (match, prefix, className, suffix) => {
-              if (className === original) {
-                changeCount++;
-                return prefix + obfuscated + suffix;
-              }
-              return match;
-            });
-            
-            // className assignment: className = "class-name"
-            const classNameRegex = new RegExp('(className\\\\s*=\\\\s*["\\\'])([^"\\\']*\\\\b)(' + original + ')(\\\\b[^"\\\']*["\\\'])', 'g');
-            content = content.replace(classNameRegex, (match, prefix, before, className, after) => {
-              if (className === original) {
-                changeCount++;
-                return prefix + before + obfuscated + after;
-              }
-              return match;
-            });
-          });
-          
-          if (changeCount > 0) {
-            fs.writeFileSync(fullPath, content);
-            console.log('✅ Processed JS file:', jsFile, '(' + changeCount + ' replacements)');
-          }
-        });
-        
-        console.log('🎉 JavaScript obfuscation completed');
-      `;
-
-            fs.writeFileSync(tempScriptPath, tempScriptContent);
-
-            // Execute JS obfuscation
-            execSync(`node "${tempScriptPath}"`, {
-                stdio: 'inherit',
-                cwd: this.coreObfuscatorPath
-            });
-
-            // Clean up
-            fs.unlinkSync(tempScriptPath);
-
-            this.log('JavaScript obfuscation completed', 'success');
-        } catch (error) {
-            this.log(`JavaScript obfuscation error: ${error.message}`, 'error');
-            // JS obfuscation is optional, don't throw
-        }
+    // Show some example mappings
+    if (classes.length > 0) {
+      this.logger.debug('Example mappings:');
+      classes.slice(0, 5).forEach(([original, obfuscated]) => {
+        this.logger.detail(`${original} → ${obfuscated}`, 'debug');
+      });
     }
+  }
+
+  async reportRuntimeClasses() {
+    const { runtime } = this.result;
+    const found = Object.keys(runtime.classes).length;
 
-    async generateReport() {
-        this.log('Generating obfuscation report...');
-
-        try {
-            const mappingPath = path.join(this.obfuscationDataPath, 'main.json');
-
-            if (fs.existsSync(mappingPath)) {
-                const mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
-                const classCount = Object.keys(mapping.classes || mapping || {}).length;
-
-                this.log(`Report: ${classCount} classes obfuscated`, 'success');
-                this.log(`Mapping saved to: ${mappingPath}`, 'info');
-                this.log(`Obfuscated files location: ${this.obfuscatedDistPath}`, 'info');
-
-                // Show some example mappings
-                const classes = mapping.classes || {};
-                const exampleClasses = Object.entries(classes).slice(0, 5);
-                if (exampleClasses.length > 0) {
-                    this.log('Example mappings:', 'info');
-                    exampleClasses.forEach(([original, obfuscated]) => {
-                        console.log(`  ${original} → ${obfuscated}`);
-                    });
-                }
-            } else {
-                this.log('No mapping file found', 'error');
-            }
-        } catch (error) {
-            this.log(`Report generation error: ${error.message}`, 'error');
-        }
+    this.logger.info(`Runtime classes: ${found} found in scripts (${runtime.mode} mode)`);
+    if (runtime.mode === 'safelist' && runtime.safelist.length > 0) {
+      this.logger.info(`Safelisted: ${runtime.safelist.join(', ')}`);
     }
 
-    async run() {
-        console.log('🚀 Starting Astro Obfuscation Process\n');
+    if (runtime.globs.length > 0) {
+      this.logger.info(`Kept as computed by scripts: ${runtime.globs.join(', ')}`);
+    }
+  }
+
+  async reportIds() {
+    const { ids } = this.result;
+    if (!ids.enabled) {
+      return;
+    }
 
-        try {
-            await this.cleanupPreviousBuild();
-            await this.copyDistToObfuscated();
-            await this.obfuscateCSS();
-            await this.obfuscateHTML();
-            await this.obfuscateJavaScript();
-            await this.generateReport();
+    this.logger.info(`IDs: ${ids.renamed} renamed, ${ids.kept.length} kept`);
+    ids.kept
+      .filter(entry => entry.reason !== 'idIgnore')
+      .slice(0, 10)
+      .forEach(entry => this.logger.detail(`#${entry.id} kept: ${entry.reason}`));
+
+    if (ids.issues.length > 0) {
+      // References that could not be checked; add their IDs to idIgnore if they break
+      this.logger.warn(`${ids.issues.length} ID references could not be verified:`);
+      ids.issues.slice(0, 10).forEach(issue => {
+        this.logger.detail(`${issue.file}:${issue.line} ${issue.kind} ← ${issue.reason}`, 'warn');
+      });
+      if (ids.issues.length > 10) {
+        this.logger.detail(`... and ${ids.issues.length - 10} more (see ids.json)`, 'warn');
+      }
+    }
+  }
+
+  async reportCssNames() {
+    const { cssNames } = this.result;
+
+    for (const category of ['properties', 'keyframes', 'layers']) {
+      const { enabled, renamed, kept } = cssNames[category];
+      if (enabled) {
+        this.logger.info(`CSS ${category}: ${renamed} renamed, ${kept.length} kept`);
+        kept
+          .slice(0, 5)
+          .forEach(entry => this.logger.detail(`${entry.name} kept: ${entry.reason}`));
+      }
+    }
+    if (cssNames.issues.length > 0) {
+      this.logger.warn(`${cssNames.issues.length} CSS name references could not be verified:`);
+      cssNames.issues.slice(0, 10).forEach(issue => {
+        this.logger.detail(`${issue.file}:${issue.line} ${issue.kind} ← ${issue.snippet}`, 'warn');
+      });
+      if (cssNames.issues.length > 10) {
+        this.logger.detail(
+          `... and ${cssNames.issues.length - 10} more (see css-names.json)`,
+          'warn'
+        );
+      }
+    }
+  }
 
-            console.log('\n🎉 Obfuscation process completed successfully!');
-            console.log(`📁 Deploy the contents of: ${this.obfuscatedDistPath}`);
+  async reportPurge() {
+    const { purge } = this.result;
+    if (!purge) {
+      return;
+    }
 
-        } catch (error) {
-            console.log('\n❌ Obfuscation process failed:', error.message);
-            process.exit(1);
-        }
+    const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+    this.logger.success(
+      `Purge: ${purge.removedRules} unused rules removed, ${kb(purge.savedBytes)} saved`
+    );
+    for (const sheet of purge.stylesheets) {
+      this.logger.detail(
+        `${sheet.file}: ${kb(sheet.before)} → ${kb(sheet.after)} (${sheet.removed.length} rules)`
+      );
     }
+    // A class used in a way the purge cannot see belongs in purgeSafelist
+    this.logger.info(`Removed selectors: ${path.join(this.obfuscationDataPath, 'purge.json')}`);
+  }
+
+  /**
+   * Run every step and print the summary
+   * @returns {Promise<void>} Rejects with the error that stopped the run; exitCodeFor() gives
+   *   its exit code
+   */
+  async run() {
+    const { logger } = this;
+    logger.section('Starting Astro Obfuscation Process');
+
+    let failure;
+    try {
+      await logger.stage('cleanup', () => this.cleanupPreviousBuild());
+      await logger.stage('obfuscate', () => this.runObfuscation());
+      await logger.stage('assets', () => this.renameAssets());
+      await logger.stage('publish', () => this.publishStatic());
+      await logger.stage('verify', () => this.verifyOutput());
+      await logger.stage('report', async () => {
+        await this.generateReport();
+        await this.reportRuntimeClasses();
+        await this.reportIds();
+        await this.reportCssNames();
+        await this.reportPurge();
+      });
+
+      logger.success(`Obfuscation process completed: ${this.obfuscatedDistPath}`);
+    } catch (error) {
+      failure = error;
+      logger.error(`Obfuscation process failed: ${error.message}`);
+      throw error;
+    } finally {
+      logger.summary(failure);
+    }
+  }
 }
 
-// Run the obfuscator
-const obfuscator = new AstroObfuscator();
-obfuscator.run();
+// Run the obfuscator when executed directly
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  let logger;
+  let obfuscator;
+  try {
+    logger = createLogger({ name: 'obfuscate' });
+    obfuscator = new AstroObfuscator(await loadConfig({ configPath: parseConfigArg() }), {
+      logger
+    });
+  } catch (error) {
+    // Invalid log options leave no logger of their own to report them
+    logger ??= new Logger({ name: 'obfuscate' });
+    logger.error(error.message);
+    process.exit(exitCodeFor(error));
+  }
+  try {
+    await obfuscator.run();
+  } catch (error) {
+    // run() has reported the failure
+    process.exit(exitCodeFor(error));
+  }
+}
 
-export default AstroObfuscator;
\ No newline at end of file
+export default AstroObfuscator;
@@ -0,0 +1,172 @@
+/**
+ * Content hashes for rewritten build assets
+ *
+ * Vite names assets after a hash of their content (`index.B6gPzuok.css`).
+ * Once the passes rewrite an asset that name is stale, and with immutable
+ * caching of `/_astro/*` browsers would keep serving the old file. Every
+ * asset whose content changed, or that references one that did, gets a new
+ * hash, and all references in the build and the server bundle follow.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const HASHED_ASSET = /^(.+)\.([\w-]{8})\.(css|js|mjs)$/;
+const TEXT_FILE = /\.(html?|css|m?js|json|webmanifest|xml|txt|svg)$/i;
+
+function listFiles(directory, filter) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'node_modules' ? [] : listFiles(file, filter);
+    }
+    return filter(entry.name) ? [file] : [];
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Base64url like Vite's hashes, so renamed assets look like any other
+function contentHash(parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(part).update('\u0000'));
+  return hash.digest('base64url').slice(0, 8);
+}
+
+/**
+ * Name of a hashed asset without its hash
+ * @param {string} name - File name, e.g. `index.B6gPzuok.css`
+ * @returns {string} Name without the hash (`index.css`); other names are returned unchanged
+ */
+export function assetStem(name) {
+  return name.replace(HASHED_ASSET, '$1.$3');
+}
+
+/**
+ * Replace asset file names in every text file of the given directories
+ * @param {string[]} directories - Directories to rewrite
+ * @param {Record<string, string>} names - Old → new file names (no directories)
+ * @returns {string[]} Files that changed
+ */
+export function rewriteAssetReferences(directories, names) {
+  const entries = Object.entries(names).filter(([from, to]) => from !== to);
+  if (entries.length === 0) {
+    return [];
+  }
+  const pattern = new RegExp(entries.map(([from]) => escapeRegExp(from)).join('|'), 'g');
+  const lookup = new Map(entries);
+
+  return directories
+    .flatMap(directory => listFiles(directory, name => TEXT_FILE.test(name)))
+    .filter(file => {
+      const content = fs.readFileSync(file, 'utf8');
+      const rewritten = content.replace(pattern, name => lookup.get(name));
+      if (rewritten === content) {
+        return false;
+      }
+      fs.writeFileSync(file, rewritten);
+      return true;
+    });
+}
+
+/**
+ * Give rewritten assets in `<outDir>/<assetsDir>` new content hashes
+ * @param {object} options
+ * @param {string} options.srcDir - Build before obfuscation, to tell which assets changed
+ * @param {string} options.outDir - Obfuscated build, renamed in place
+ * @param {string} [options.assetsDir='_astro'] - Hashed asset directory relative to the client
+ *   root (`client/` is tried first, for server builds)
+ * @param {string[]} [options.referenceDirs] - Further directories whose references are updated,
+ *   e.g. the server bundle
+ * @param {Record<string, string>} [options.previous] - Renames of an earlier run; references to
+ *   those names in `referenceDirs` are updated too
+ * @returns {Record<string, string>} Original → new asset paths relative to the client root
+ */
+export function rehashAssets({
+  srcDir,
+  outDir,
+  assetsDir = '_astro',
+  referenceDirs = [],
+  previous = {}
+}) {
+  const root = fs.existsSync(path.join(outDir, 'client', assetsDir))
+    ? path.join(outDir, 'client')
+    : outDir;
+  const sourceRoot = path.join(srcDir, path.relative(outDir, root));
+  const assets = listFiles(path.join(root, assetsDir), name => HASHED_ASSET.test(name)).map(
+    file => {
+      const relative = path.relative(root, file).split(path.sep).join('/');
+      const source = path.join(sourceRoot, relative);
+      const content = fs.readFileSync(file, 'utf8');
+      return {
+        file,
+        relative,
+        name: path.basename(file),
+        content,
+        changed: !fs.existsSync(source) || fs.readFileSync(source, 'utf8') !== content
+      };
+    }
+  );
+  const byName = new Map(assets.map(asset => [asset.name, asset]));
+
+  // Hashes are left out of the hashed content so that reference cycles between chunks settle
+  const namePattern = assets.length
+    ? new RegExp(assets.map(asset => escapeRegExp(asset.name)).join('|'), 'g')
+    : null;
+  for (const asset of assets) {
+    asset.references = new Set(asset.content.match(namePattern) || []);
+    asset.normalized = asset.content.replace(namePattern, assetStem);
+  }
+
+  const closure = asset => {
+    const seen = new Set([asset.name]);
+    const queue = [asset];
+    while (queue.length > 0) {
+      for (const name of queue.shift().references) {
+        if (!seen.has(name)) {
+          seen.add(name);
+          queue.push(byName.get(name));
+        }
+      }
+    }
+    return [...seen].sort().map(name => byName.get(name));
+  };
+
+  const names = {};
+  for (const asset of assets) {
+    const group = closure(asset);
+    if (group.some(member => member.changed)) {
+      const [, base, , extension] = asset.name.match(HASHED_ASSET);
+      names[asset.name] =
+        `${base}.${contentHash(group.map(member => member.normalized))}.${extension}`;
+    }
+  }
+
+  const renamed = {};
+  for (const asset of assets) {
+    if (names[asset.name] && names[asset.name] !== asset.name) {
+      fs.renameSync(asset.file, path.join(path.dirname(asset.file), names[asset.name]));
+      renamed[asset.relative] = path.posix.join(
+        path.posix.dirname(asset.relative),
+        names[asset.name]
+      );
+    }
+  }
+
+  rewriteAssetReferences([root], names);
+  // The server bundle may still carry the names of an earlier run over the same build
+  const serverNames = { ...names };
+  for (const [original, earlier] of Object.entries(previous)) {
+    const current = renamed[original] || original;
+    serverNames[path.posix.basename(earlier)] = path.posix.basename(current);
+  }
+  rewriteAssetReferences(referenceDirs, serverNames);
+
+  return renamed;
+}
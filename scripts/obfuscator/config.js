@@ -0,0 +1,312 @@
+/**
+ * Obfuscation configuration: schema, validation and loading
+ *
+ * Every obfuscation entry point (build script, verifier, test server and
+ * deobfuscator) loads its settings through {@link loadConfig}, which reads
+ * the `obfuscation` section of build.config.js, applies `OBFUSCATE_*`
+ * environment overrides and validates the result against {@link schema}.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { resolveAttributeRules } from './html.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../build.config.js');
+
+const RULE_KEYS = ['attribute', 'type', 'paths'];
+const BUDGET_METRICS = ['raw', 'gzip', 'brotli'];
+const BUDGET_KEYS = ['files', ...BUDGET_METRICS];
+
+/**
+ * Supported keys of the `obfuscation` section
+ * type: boolean | integer | string | enum | names (class/ID globs) | files (path globs) | path |
+ * rules | budgets
+ */
+export const schema = {
+  enable: { type: 'boolean', default: true },
+  length: { type: 'integer', default: 6, min: 1, max: 32 },
+  classMethod: { type: 'enum', values: ['sequential', 'random', 'hash'], default: 'hash' },
+  salt: { type: 'string', default: '' },
+  seedMapping: { type: 'boolean', default: true },
+  classPrefix: { type: 'string', default: '' },
+  classSuffix: { type: 'string', default: '' },
+  classIgnore: { type: 'names', default: [] },
+  runtimeClasses: { type: 'enum', values: ['rewrite', 'safelist'], default: 'rewrite' },
+  attributeRules: { type: 'rules', default: [] },
+  ids: { type: 'boolean', default: false },
+  idIgnore: { type: 'names', default: [] },
+  customProperties: { type: 'boolean', default: false },
+  customPropertyIgnore: { type: 'names', default: [] },
+  keyframes: { type: 'boolean', default: false },
+  keyframesIgnore: { type: 'names', default: [] },
+  layers: { type: 'boolean', default: false },
+  layerIgnore: { type: 'names', default: [] },
+  purge: { type: 'boolean', default: false },
+  purgeSafelist: { type: 'names', default: [] },
+  jsonDataPath: { type: 'path', default: 'obfuscation-data' },
+  srcPath: { type: 'path', default: 'dist' },
+  desPath: { type: 'path', default: 'dist-obfuscated' },
+  serverPath: { type: 'path', default: '.vercel/output/functions' },
+  staticPath: { type: 'path', default: '.vercel/output/static' },
+  hashAssets: { type: 'boolean', default: true },
+  verify: { type: 'boolean', default: true },
+  verifyIgnore: { type: 'names', default: [] },
+  sizeBudgets: { type: 'budgets', default: [] },
+  htmlExcludes: { type: 'files', default: [] },
+  cssExcludes: { type: 'files', default: [] },
+  jsExcludes: { type: 'files', default: [] },
+  formatJson: { type: 'boolean', default: true }
+};
+
+export class ConfigError extends Error {
+  constructor(message, source) {
+    super(`Invalid obfuscation config (${source}): ${message}`);
+    this.name = 'ConfigError';
+  }
+}
+
+function nameGlobProblem(pattern) {
+  if (pattern.trim() === '' || /\s/.test(pattern)) {
+    return 'must be a single non-empty name';
+  }
+  if (/^[.#]/.test(pattern)) {
+    return `must be a bare name, not a selector (use "${pattern.slice(1)}")`;
+  }
+  if (/(^|[^\\])(\\\\)*\\$/.test(pattern)) {
+    return 'ends with an unfinished escape';
+  }
+  return null;
+}
+
+function fileGlobProblem(pattern) {
+  if (pattern.trim() === '') {
+    return 'must not be empty';
+  }
+  const depth = { '[': 0, '{': 0 };
+  const closing = { ']': '[', '}': '{' };
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char in depth) {
+      depth[char]++;
+    } else if (char in closing && --depth[closing[char]] < 0) {
+      return `has an unmatched "${char}"`;
+    }
+  }
+  const open = Object.keys(depth).find(char => depth[char] > 0);
+  return open ? `has an unclosed "${open}"` : null;
+}
+
+function validateValue(key, value, spec, source) {
+  const fail = message => {
+    throw new ConfigError(`"${key}" ${message}`, source);
+  };
+
+  switch (spec.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('must be true or false');
+      break;
+    case 'integer':
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        fail(`must be an integer between ${spec.min} and ${spec.max}`);
+      }
+      break;
+    case 'string':
+    case 'path':
+      if (typeof value !== 'string') fail('must be a string');
+      break;
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        fail(
+          `must be one of ${spec.values.map(v => `'${v}'`).join(', ')} (got ${JSON.stringify(value)})`
+        );
+      }
+      break;
+    case 'names':
+    case 'files': {
+      if (!Array.isArray(value)) fail('must be an array of patterns');
+      const check = spec.type === 'names' ? nameGlobProblem : fileGlobProblem;
+      value.forEach((pattern, index) => {
+        const problem = typeof pattern === 'string' ? check(pattern) : 'must be a string';
+        if (problem) fail(`[${index}] ${JSON.stringify(pattern)} ${problem}`);
+      });
+      break;
+    }
+    case 'rules':
+      if (!Array.isArray(value)) fail('must be an array of attribute rules');
+      value.forEach((rule, index) => {
+        const unknown = Object.keys(rule || {}).filter(ruleKey => !RULE_KEYS.includes(ruleKey));
+        if (typeof rule?.attribute !== 'string' || !rule.attribute) {
+          fail(`[${index}] needs an "attribute" name`);
+        }
+        if (unknown.length > 0) {
+          fail(
+            `[${index}] has unknown keys ${unknown.join(', ')} (allowed: ${RULE_KEYS.join(', ')})`
+          );
+        }
+        if (rule.type === 'json' && !Array.isArray(rule.paths)) {
+          fail(`[${index}] of type "json" needs a "paths" array`);
+        }
+      });
+      try {
+        resolveAttributeRules(value);
+      } catch (error) {
+        fail(error.message);
+      }
+      break;
+    case 'budgets':
+      if (!Array.isArray(value)) fail('must be an array of budgets');
+      value.forEach((budget, index) => {
+        const unknown = Object.keys(budget || {}).filter(
+          budgetKey => !BUDGET_KEYS.includes(budgetKey)
+        );
+        if (unknown.length > 0) {
+          fail(
+            `[${index}] has unknown keys ${unknown.join(', ')} (allowed: ${BUDGET_KEYS.join(', ')})`
+          );
+        }
+        const problem =
+          typeof budget.files === 'string' ? fileGlobProblem(budget.files) : 'is missing';
+        if (problem) fail(`[${index}] "files" ${problem}`);
+        const limits = BUDGET_METRICS.filter(metric => budget[metric] !== undefined);
+        if (limits.length === 0) {
+          fail(`[${index}] needs at least one of ${BUDGET_METRICS.join(', ')}`);
+        }
+        limits.forEach(metric => {
+          if (!Number.isInteger(budget[metric]) || budget[metric] <= 0) {
+            fail(`[${index}] "${metric}" must be a positive number of bytes`);
+          }
+        });
+      });
+      break;
+  }
+}
+
+/**
+ * Validate a raw `obfuscation` section and fill in defaults
+ * @param {object} raw - Settings as written in the config file
+ * @param {object} [options]
+ * @param {string} [options.source] - Where the settings came from, used in errors
+ * @param {string} [options.baseDir] - Directory relative paths are resolved against
+ * @returns {object} Complete, validated config
+ */
+export function validateConfig(raw = {}, { source = 'config', baseDir = process.cwd() } = {}) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new ConfigError('the obfuscation section must be an object', source);
+  }
+
+  const unknown = Object.keys(raw).filter(key => !Object.hasOwn(schema, key));
+  if (unknown.length > 0) {
+    throw new ConfigError(
+      `unknown key${unknown.length > 1 ? 's' : ''} ${unknown.map(key => `"${key}"`).join(', ')}. ` +
+        `Known keys: ${Object.keys(schema).join(', ')}`,
+      source
+    );
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = Object.hasOwn(raw, key) ? raw[key] : structuredClone(spec.default);
+    validateValue(key, value, spec, source);
+    config[key] = spec.type === 'path' ? path.resolve(baseDir, value) : value;
+  }
+  return config;
+}
+
+function envName(key) {
+  return 'OBFUSCATE_' + key.replace(/[A-Z]/g, char => `_${char}`).toUpperCase();
+}
+
+function parseEnvValue(key, raw, spec) {
+  switch (spec.type) {
+    case 'boolean':
+      if (/^(1|true|yes|on)$/i.test(raw)) return true;
+      if (/^(0|false|no|off)$/i.test(raw)) return false;
+      throw new ConfigError(`${envName(key)}=${raw} must be true or false`, 'environment');
+    case 'integer':
+      return Number(raw);
+    case 'names':
+    case 'files':
+      return raw
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+    case 'rules':
+    case 'budgets':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new ConfigError(`${envName(key)} must be JSON (${error.message})`, 'environment');
+      }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Read `OBFUSCATE_*` overrides, e.g. `OBFUSCATE_CLASS_METHOD=hash` or
+ * `OBFUSCATE_CLASS_IGNORE=btn,theme-*`
+ * @param {Record<string, string|undefined>} env - Environment variables
+ * @returns {object} Overrides keyed by config key
+ */
+export function readEnvOverrides(env = process.env) {
+  const overrides = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const raw = env[envName(key)];
+    if (raw !== undefined && raw !== '') {
+      overrides[key] = parseEnvValue(key, raw, spec);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Extract `--config <file>` / `--config=<file>` from command line arguments
+ * @param {string[]} argv - Process arguments
+ * @returns {string|undefined} Config path
+ */
+export function parseConfigArg(argv = process.argv) {
+  const index = argv.findIndex(arg => arg === '--config' || arg.startsWith('--config='));
+  if (index === -1) {
+    return undefined;
+  }
+  const value = argv[index].includes('=')
+    ? argv[index].split('=').slice(1).join('=')
+    : argv[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new ConfigError('--config needs a file path', 'command line');
+  }
+  return value;
+}
+
+/**
+ * Load the obfuscation config. Precedence: overrides > environment > config file > defaults.
+ * @param {object} [options]
+ * @param {string} [options.configPath] - Config module, defaults to build.config.js
+ * @param {Record<string, string|undefined>} [options.env] - Environment for `OBFUSCATE_*` overrides
+ * @param {object} [options.overrides] - Programmatic overrides
+ * @returns {Promise<object>} Validated config
+ */
+export async function loadConfig({ configPath, env = process.env, overrides = {} } = {}) {
+  const file = path.resolve(configPath || DEFAULT_CONFIG_PATH);
+  if (!fs.existsSync(file)) {
+    throw new ConfigError(`file not found: ${file}`, 'command line');
+  }
+
+  const module = await import(pathToFileURL(file).href);
+  const exported = module.default ?? module;
+  if (!exported || typeof exported.obfuscation !== 'object') {
+    throw new ConfigError('expected a default export with an "obfuscation" section', file);
+  }
+
+  const source = path.relative(process.cwd(), file) || file;
+  const envOverrides = readEnvOverrides(env);
+  const merged = { ...exported.obfuscation, ...envOverrides, ...overrides };
+  const origin = Object.keys(envOverrides).length > 0 ? `${source} + environment` : source;
+
+  return validateConfig(merged, { source: origin, baseDir: path.dirname(file) });
+}
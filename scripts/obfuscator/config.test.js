@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import {
+  ConfigError,
+  loadConfig,
+  parseConfigArg,
+  readEnvOverrides,
+  validateConfig
+} from './config.js';
+
+describe('validateConfig', () => {
+  it('fills in defaults and resolves paths', () => {
+    const config = validateConfig({ length: 8 }, { baseDir: '/site' });
+    assert.equal(config.length, 8);
+    assert.equal(config.enable, true);
+    assert.equal(config.jsonDataPath, path.resolve('/site', 'obfuscation-data'));
+  });
+
+  it('rejects unknown keys, wrong types and malformed patterns', () => {
+    assert.throws(() => validateConfig({ lenght: 8 }), /unknown key "lenght"/);
+    assert.throws(() => validateConfig({ length: '8' }), ConfigError);
+    assert.throws(() => validateConfig({ classIgnore: ['.btn'] }), /not a selector \(use "btn"\)/);
+    assert.throws(() => validateConfig({ htmlExcludes: ['**/[a.html'] }), /unclosed "\["/);
+  });
+});
+
+describe('readEnvOverrides', () => {
+  it('parses OBFUSCATE_* variables by the type of their key', () => {
+    assert.deepEqual(
+      readEnvOverrides({
+        OBFUSCATE_ENABLE: 'off',
+        OBFUSCATE_LENGTH: '8',
+        OBFUSCATE_CLASS_IGNORE: 'btn, theme-*',
+        OBFUSCATE_SIZE_BUDGETS: '[{"files":"**/*.css","gzip":1000}]',
+        OBFUSCATE_SALT: '',
+        UNRELATED: 'x'
+      }),
+      {
+        enable: false,
+        length: 8,
+        classIgnore: ['btn', 'theme-*'],
+        sizeBudgets: [{ files: '**/*.css', gzip: 1000 }]
+      }
+    );
+  });
+
+  it('rejects values it cannot read', () => {
+    assert.throws(() => readEnvOverrides({ OBFUSCATE_IDS: 'maybe' }), /OBFUSCATE_IDS=maybe/);
+    assert.throws(() => readEnvOverrides({ OBFUSCATE_ATTRIBUTE_RULES: '[' }), /must be JSON/);
+  });
+});
+
+describe('parseConfigArg', () => {
+  it('reads both forms of --config', () => {
+    assert.equal(parseConfigArg(['node', 'x.js', '--config', 'a.js']), 'a.js');
+    assert.equal(parseConfigArg(['node', 'x.js', '--config=b.js']), 'b.js');
+    assert.equal(parseConfigArg(['node', 'x.js']), undefined);
+    assert.throws(() => parseConfigArg(['node', 'x.js', '--config', '--json']), ConfigError);
+  });
+});
+
+describe('loadConfig', () => {
+  let directory;
+  let configPath;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'obfuscation-config-'));
+    configPath = path.join(directory, 'site.config.js');
+    fs.writeFileSync(
+      configPath,
+      "export default { obfuscation: { classMethod: 'sequential', length: 8, desPath: 'out' } };\n"
+    );
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('applies overrides over the environment over the file', async () => {
+    const env = { OBFUSCATE_LENGTH: '10', OBFUSCATE_IDS: 'true' };
+    const fromFile = await loadConfig({ configPath, env: {} });
+    const fromEnv = await loadConfig({ configPath, env });
+    const overridden = await loadConfig({ configPath, env, overrides: { length: 12 } });
+    assert.deepEqual([fromFile.length, fromEnv.length, overridden.length], [8, 10, 12]);
+    assert.equal(fromEnv.ids, true);
+    assert.equal(fromEnv.classMethod, 'sequential');
+  });
+
+  it('resolves paths against the config file', async () => {
+    const config = await loadConfig({ configPath, env: {} });
+    assert.equal(config.desPath, path.join(directory, 'out'));
+  });
+
+  it('names the environment in validation errors', async () => {
+    await assert.rejects(
+      loadConfig({ configPath, env: { OBFUSCATE_LENGTH: '99' } }),
+      /site\.config\.js \+ environment\): "length" must be an integer/
+    );
+  });
+
+  it('fails for a missing file', async () => {
+    await assert.rejects(
+      loadConfig({ configPath: path.join(directory, 'missing.js') }),
+      ConfigError
+    );
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * CSS pass: discovers class selectors and assigns obfuscated names
+ *
+ * Stylesheets are parsed with PostCSS and every selector with
+ * postcss-selector-parser, so escaped Tailwind classes such as
+ * `.lg\:navbar-center` or `.size-5\.5` are handled as whole tokens.
+ * Declarations, URLs and comments are left alone, except for the opt-in
+ * ID (ids.js) and CSS name (cssnames.js) rewrites.
+ */
+
+import postcss from 'postcss';
+import selectorParser from 'postcss-selector-parser';
+import { cssNamesEnabled, discoverCssNames, rewriteCssNames } from './cssnames.js';
+import { referenceId, reportIdIssue, rewriteUrlReferences } from './ids.js';
+import { lookupClass, mapClass } from './mapping.js';
+
+const KEYFRAMES = /^(-\w+-)?keyframes$/i;
+const SUPPORTS_SELECTOR = /selector\(((?:[^()]|\([^()]*\))*)\)/g;
+const ID_ATTRIBUTE_SELECTOR = /\[\s*id\s*[~|^$*]?=/i;
+
+/**
+ * Rewrite the class names, and optionally the IDs, in a selector list
+ * @param {string} selector - Selector list, e.g. `.a:is(.b, .c) > .d`
+ * @param {(className: string) => string|null} rename - Returns the new name, or null to keep it
+ * @param {(id: string) => string|null} [renameId] - Same for `#id` selectors
+ * @returns {{ selector: string, replacements: number }} Rewritten selector
+ */
+export function rewriteSelector(selector, rename, renameId) {
+  let replacements = 0;
+  const visit = renameFn => node => {
+    const renamed = renameFn(node.value);
+    if (renamed && renamed !== node.value) {
+      node.value = renamed;
+      replacements++;
+    }
+  };
+
+  const result = selectorParser(selectors => {
+    selectors.walkClasses(visit(rename));
+    if (renameId) {
+      selectors.walkIds(visit(renameId));
+    }
+  }).processSync(selector, { lossless: true });
+
+  return { selector: replacements > 0 ? result : selector, replacements };
+}
+
+function isInsideKeyframes(rule) {
+  return rule.parent?.type === 'atrule' && KEYFRAMES.test(rule.parent.name);
+}
+
+/**
+ * Rewrite class selectors in a parsed stylesheet, and when enabled `#id`
+ * selectors, `url(#id)` references, custom properties, keyframes and layers
+ * @param {import('postcss').Root} root - Parsed stylesheet
+ * @param {object} context - Mapping context
+ * @param {string} [file] - Source file, used in warnings
+ * @param {object} [options]
+ * @param {boolean} [options.discover=true] - Add unmapped classes to the mapping
+ * @returns {number} Number of rewritten class selectors and names
+ */
+export function obfuscateRoot(root, context, file = 'stylesheet', { discover = true } = {}) {
+  const rename = discover
+    ? className => mapClass(context, className)
+    : className => lookupClass(context, className);
+  const idsEnabled = Boolean(context.config.ids && context.idScan);
+  let replacements = 0;
+
+  const renameIdAt = (node, kind) => id =>
+    referenceId(context, id, { file, line: node.source?.start?.line, kind });
+
+  const rewrite = (selector, node) => {
+    if (idsEnabled && ID_ATTRIBUTE_SELECTOR.test(selector)) {
+      reportIdIssue(context, {
+        file,
+        line: node.source?.start?.line,
+        kind: 'css selector',
+        reason: 'attribute selector on id cannot be rewritten',
+        snippet: selector
+      });
+    }
+    try {
+      const result = rewriteSelector(
+        selector,
+        rename,
+        idsEnabled ? renameIdAt(node, 'css selector') : undefined
+      );
+      replacements += result.replacements;
+      return result.selector;
+    } catch (error) {
+      const line = node.source?.start?.line;
+      context.warnings.push(
+        `${file}${line ? `:${line}` : ''}: could not parse selector "${selector}" (${error.message})`
+      );
+      return selector;
+    }
+  };
+
+  root.walkRules(rule => {
+    if (!isInsideKeyframes(rule)) {
+      rule.selector = rewrite(rule.selector, rule);
+    }
+  });
+
+  root.walkAtRules('supports', atRule => {
+    atRule.params = atRule.params.replace(
+      SUPPORTS_SELECTOR,
+      (match, selector) => `selector(${rewrite(selector, atRule)})`
+    );
+  });
+
+  if (cssNamesEnabled(context.config)) {
+    if (discover) {
+      discoverCssNames(root, context);
+    }
+    replacements += rewriteCssNames(root, context);
+  }
+
+  if (idsEnabled) {
+    root.walkDecls(decl => {
+      if (decl.value.includes('url(')) {
+        const result = rewriteUrlReferences(decl.value, renameIdAt(decl, 'css url()'));
+        decl.value = result.value;
+        replacements += result.replacements;
+      }
+    });
+  }
+
+  return replacements;
+}
+
+/**
+ * Rewrite class selectors in a stylesheet. A stylesheet that does not parse is
+ * reported in `context.warnings` and left unchanged.
+ * @param {string} content - Stylesheet source
+ * @param {object} context - Mapping context
+ * @param {string} [file] - Source file, used in warnings
+ * @param {object} [options] - See {@link obfuscateRoot}
+ * @param {number} [options.lineOffset=0] - Line of the stylesheet inside its file, for inline
+ *   `<style>` blocks
+ * @returns {{ content: string, replacements: number }} Rewritten stylesheet
+ */
+export function obfuscateCSS(content, context, file, { lineOffset = 0, ...options } = {}) {
+  let root;
+  try {
+    root = postcss.parse(content, { from: file });
+  } catch (error) {
+    if (error.name !== 'CssSyntaxError') {
+      throw error;
+    }
+    context.warnings.push(
+      `${file}:${error.line + lineOffset}:${error.column}: could not parse stylesheet (${error.reason}), left unchanged`
+    );
+    return { content, replacements: 0 };
+  }
+  const replacements = obfuscateRoot(root, context, file, options);
+
+  return { content: replacements > 0 ? root.toString() : content, replacements };
+}
+
+/**
+ * Collect the custom properties, keyframes and layers of a stylesheet
+ * before any file is rewritten. Class names are mapped by the rewrite itself.
+ * @param {string} content - Stylesheet source
+ * @param {object} context - Mapping context
+ * @param {string} [file] - Source file, used in warnings
+ */
+export function discoverCSS(content, context, file) {
+  if (!cssNamesEnabled(context.config)) {
+    return;
+  }
+  try {
+    discoverCssNames(postcss.parse(content, { from: file }), context);
+  } catch (error) {
+    context.warnings.push(`${file}: could not parse stylesheet (${error.message})`);
+  }
+}
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { validateConfig } from './config.js';
+import { obfuscateCSS, rewriteSelector } from './css.js';
+import { createMappingContext } from './mapping.js';
+
+const classes = {
+  btn: 'a1',
+  'btn-primary': 'a2',
+  'md:flex': 'a3',
+  'size-5.5': 'a4',
+  '[&.theme-active]:ring': 'a5',
+  'group-[.theme-active]:block': 'a6'
+};
+const rename = name => classes[name] ?? null;
+
+describe('rewriteSelector', () => {
+  it('renames escaped Tailwind classes as whole names', () => {
+    const result = rewriteSelector(
+      '.md\\:flex > .size-5\\.5, .\\[\\&\\.theme-active\\]\\:ring, .group-\\[\\.theme-active\\]\\:block',
+      rename
+    );
+    assert.equal(result.selector, '.a3 > .a4, .a5, .a6');
+    assert.equal(result.replacements, 4);
+  });
+
+  it('renames classes inside :is() and :not()', () => {
+    const result = rewriteSelector('.btn:is(.btn-primary, .btn-secondary):not(.md\\:flex)', rename);
+    assert.equal(result.selector, '.a1:is(.a2, .btn-secondary):not(.a3)');
+  });
+
+  it('leaves attribute values and partial matches alone', () => {
+    const selector = '[data-theme="btn"] .btn-primary-content, .xbtn';
+    assert.deepEqual(rewriteSelector(selector, rename), { selector, replacements: 0 });
+  });
+});
+
+describe('obfuscateCSS', () => {
+  it('maps the classes of rules and @supports selector()', () => {
+    const context = createMappingContext(validateConfig({ classMethod: 'hash', salt: 'test' }));
+    const css = '.btn:hover { color: red } @supports selector(.btn-primary) { .btn { gap: 0 } }';
+    const { content } = obfuscateCSS(css, context, 'main.css');
+    assert.equal(
+      content,
+      `.${context.classes.btn}:hover { color: red } @supports selector(.${context.classes['btn-primary']}) { .${context.classes.btn} { gap: 0 } }`
+    );
+  });
+
+  it('does not read keyframe selectors as classes', () => {
+    const context = createMappingContext(validateConfig({ classMethod: 'hash', salt: 'test' }));
+    const css = '@keyframes fade { from { opacity: 0 } 50.5% { opacity: 1 } }';
+    const result = obfuscateCSS(css, context, 'main.css');
+    assert.deepEqual(result, { content: css, replacements: 0 });
+    assert.deepEqual(context.classes, {});
+  });
+
+  it('keeps ignored custom properties and keyframes', () => {
+    const config = validateConfig({
+      classMethod: 'hash',
+      salt: 'test',
+      customProperties: true,
+      customPropertyIgnore: ['--color-*'],
+      keyframes: true,
+      keyframesIgnore: ['spin']
+    });
+    const context = createMappingContext(config);
+    const css =
+      ':root { --color-primary: red; --gap: 1rem } .btn { color: var(--color-primary); ' +
+      'margin: var(--gap); animation: spin 1s, fade 1s } @keyframes spin {} @keyframes fade {}';
+    const { content } = obfuscateCSS(css, context, 'main.css');
+    const gap = context.properties['--gap'];
+    const fade = context.keyframes.fade;
+    assert.ok(gap && fade);
+    assert.equal(Object.hasOwn(context.properties, '--color-primary'), false);
+    assert.equal(Object.hasOwn(context.keyframes, 'spin'), false);
+    assert.match(content, /--color-primary: red/);
+    assert.match(content, new RegExp(`margin: var\\(${gap}\\); animation: spin 1s, ${fade} 1s`));
+    assert.match(content, new RegExp(`@keyframes spin \\{\\} @keyframes ${fade} \\{\\}`));
+  });
+});
@@ -0,0 +1,379 @@
+/**
+ * CSS name obfuscation: custom properties, `@keyframes` and `@layer` names
+ *
+ * Each category is opt-in (`customProperties`, `keyframes`, `layers`) and has
+ * its own ignore list. Names are collected from every stylesheet during
+ * discovery and rewritten in CSS, inline `style` attributes, SVG
+ * presentation attributes such as `fill="var(--color-primary)"` and the
+ * `getPropertyValue` / `setProperty` / `removeProperty` calls of scripts.
+ *
+ * A name that also appears in a script string outside those calls (e.g.
+ * FlyonUI's `getClassProperty(el, '--auto-close')`) keeps its name, because
+ * the script would look up the original name at runtime.
+ */
+
+import valueParser from 'postcss-value-parser';
+import { createIgnoreMatcher } from './mapping.js';
+import { createNameGenerator } from './naming.js';
+
+export const CSS_NAME_CATEGORIES = {
+  properties: { option: 'customProperties', ignore: 'customPropertyIgnore', prefix: '--' },
+  keyframes: { option: 'keyframes', ignore: 'keyframesIgnore', prefix: '' },
+  layers: { option: 'layers', ignore: 'layerIgnore', prefix: '' }
+};
+
+const KEYFRAMES = /^(-\w+-)?keyframes$/i;
+const ANIMATION_PROPERTY = /^(-\w+-)?animation(-name)?$/i;
+const LITERAL_TOKEN = /-?-?[A-Za-z_][\w-]*/g;
+const IDENTIFIER = /^-?[A-Za-z_][\w-]*$/;
+
+/**
+ * Whether a config enables a CSS name category
+ * @param {object} config - Obfuscation config
+ * @param {string} [category] - Category, or any category when omitted
+ * @returns {boolean} Enabled
+ */
+export function cssNamesEnabled(config, category) {
+  const categories = category ? [category] : Object.keys(CSS_NAME_CATEGORIES);
+  return categories.some(name => config[CSS_NAME_CATEGORIES[name].option] === true);
+}
+
+/**
+ * Add the CSS name tables and state to a mapping context
+ * @param {object} context - Mapping context
+ * @param {Record<string, object>} [seed] - Previous tables keyed by category
+ */
+export function initCssNames(context, seed = {}) {
+  const { config } = context;
+  const state = { literals: new Map(), kept: {}, issues: [], ignored: {}, generators: {} };
+
+  for (const [category, { ignore, prefix }] of Object.entries(CSS_NAME_CATEGORIES)) {
+    context[category] = {};
+    state.kept[category] = [];
+    state.ignored[category] = createIgnoreMatcher(config[ignore]);
+    // The generator adds the prefix, so it is given and seeded with bare names
+    const bare = Object.entries(seed[category] || {}).map(([name, renamed]) => [
+      name.slice(prefix.length),
+      renamed
+    ]);
+    state.generators[category] = createNameGenerator(
+      { ...config, classPrefix: prefix, classSuffix: '' },
+      {
+        seed: Object.fromEntries(bare),
+        namespace: `${category}:`,
+        isReserved: name => state.ignored[category](name) || state.literals.has(name)
+      }
+    );
+  }
+  context.cssNames = state;
+}
+
+/**
+ * Record the tokens of a script string literal; names found here keep their name
+ * @param {object} context - Mapping context
+ * @param {string} value - Literal value
+ * @param {object} location - `{ file, line, snippet }`
+ */
+export function recordCssNameLiteral(context, value, location) {
+  for (const token of value.match(LITERAL_TOKEN) || []) {
+    if (!context.cssNames.literals.has(token)) {
+      context.cssNames.literals.set(token, location);
+    }
+  }
+}
+
+/**
+ * Return the obfuscated name for a CSS name, creating one on first use
+ * @param {object} context - Mapping context
+ * @param {string} category - `properties`, `keyframes` or `layers`
+ * @param {string} name - Original name (custom properties include the `--`)
+ * @returns {string|null} Obfuscated name, or null when the name is kept
+ */
+export function mapCssName(context, category, name) {
+  const table = context[category];
+  if (Object.hasOwn(table, name)) {
+    return table[name];
+  }
+  if (!cssNamesEnabled(context.config, category) || !context.cssNames) {
+    return null;
+  }
+
+  const { ignored, literals, kept, generators } = context.cssNames;
+  if (ignored[category](name)) {
+    return null;
+  }
+  if (literals.has(name)) {
+    if (!kept[category].some(entry => entry.name === name)) {
+      const { file, line, snippet } = literals.get(name);
+      kept[category].push({ name, reason: `used as a string in ${file}:${line} (${snippet})` });
+    }
+    return null;
+  }
+
+  const prefix = CSS_NAME_CATEGORIES[category].prefix;
+  table[name] = generators[category].next(name.slice(prefix.length));
+  return table[name];
+}
+
+/**
+ * Look up a CSS name without extending the mapping
+ * @param {object} context - Mapping context
+ * @param {string} category - `properties`, `keyframes` or `layers`
+ * @param {string} name - Original name
+ * @returns {string|null} Obfuscated name, or null when the name is kept
+ */
+export function lookupCssName(context, category, name) {
+  const table = context[category] || {};
+  const found = Object.hasOwn(table, name) ? table[name] : null;
+  context.onLookup?.(name, found, category);
+  return found;
+}
+
+/**
+ * Record a reference that cannot be checked statically
+ * @param {object} context - Mapping context
+ * @param {object} issue - `{ file, line, kind, reason, snippet }`
+ */
+export function reportCssNameIssue(context, issue) {
+  context.cssNames?.issues.push(issue);
+}
+
+function renameWords(nodes, rename) {
+  let replacements = 0;
+  valueParser.walk(nodes, node => {
+    if (node.type === 'function' && node.value.toLowerCase() === 'url') {
+      return false;
+    }
+    if (node.type === 'word') {
+      const renamed = rename(node.value);
+      if (renamed) {
+        node.value = renamed;
+        replacements++;
+      }
+    }
+    return undefined;
+  });
+  return replacements;
+}
+
+/**
+ * Rewrite `var(--*)` references, and for animation and custom property
+ * values keyframe names, in a CSS value
+ * @param {string} value - Declaration value
+ * @param {object} renames - `{ properties, keyframes }` renamers, either may be omitted
+ * @param {string} [property] - Declaration property the value belongs to
+ * @returns {{ value: string, replacements: number }} Rewritten value
+ */
+export function rewriteCssNamesInValue(value, { properties, keyframes }, property = '') {
+  const animated = ANIMATION_PROPERTY.test(property) || property.startsWith('--');
+  if (!(properties && value.includes('--')) && !(keyframes && animated)) {
+    return { value, replacements: 0 };
+  }
+
+  const parsed = valueParser(value);
+  const replacements = renameWords(parsed.nodes, word => {
+    if (word.startsWith('--')) {
+      return properties?.(word) || null;
+    }
+    return animated ? keyframes?.(word) || null : null;
+  });
+  return { value: replacements > 0 ? parsed.toString() : value, replacements };
+}
+
+// Split on semicolons outside strings and parentheses
+function splitDeclarations(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === ';' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Rewrite a declaration list such as an inline `style` attribute
+ * @param {string} text - Declarations, e.g. `--x: 1; animation: spin 1s`
+ * @param {object} renames - `{ properties, keyframes }` renamers
+ * @returns {{ value: string, replacements: number }} Rewritten declarations
+ */
+export function rewriteCssNamesInDeclarations(text, renames) {
+  let replacements = 0;
+  const parts = splitDeclarations(text);
+
+  const rewritten = parts.map(part => {
+    const colon = part.indexOf(':');
+    if (colon === -1) {
+      return part;
+    }
+    const rawProperty = part.slice(0, colon);
+    const property = rawProperty.trim();
+    let name = rawProperty;
+    if (property.startsWith('--') && renames.properties) {
+      const renamed = renames.properties(property);
+      if (renamed) {
+        name = rawProperty.replace(property, renamed);
+        replacements++;
+      }
+    }
+    const result = rewriteCssNamesInValue(part.slice(colon + 1), renames, property.toLowerCase());
+    replacements += result.replacements;
+    return `${name}:${result.value}`;
+  });
+
+  return { value: replacements > 0 ? rewritten.join(';') : text, replacements };
+}
+
+function layerNames(params, rename) {
+  let replacements = 0;
+  const value = params.replace(/[A-Za-z_-][\w-]*(?:\.[A-Za-z_-][\w-]*)*/g, path =>
+    path
+      .split('.')
+      .map(segment => {
+        const renamed = rename(segment);
+        if (renamed) replacements++;
+        return renamed || segment;
+      })
+      .join('.')
+  );
+  return { value, replacements };
+}
+
+function importLayer(params, rename) {
+  let replacements = 0;
+  const value = params.replace(/\blayer\(([^)]*)\)/i, (match, name) => {
+    const result = layerNames(name, rename);
+    replacements += result.replacements;
+    return `layer(${result.value})`;
+  });
+  return { value, replacements };
+}
+
+/**
+ * Collect the CSS names of a parsed stylesheet into the mapping
+ * @param {import('postcss').Root} root - Parsed stylesheet
+ * @param {object} context - Mapping context
+ */
+export function discoverCssNames(root, context) {
+  const map = category => name => {
+    mapCssName(context, category, name);
+    return null;
+  };
+
+  root.walkAtRules(atRule => {
+    const name = atRule.name.toLowerCase();
+    // Quoted keyframe names are strings in `animation-name` too and are left alone
+    if (KEYFRAMES.test(name) && IDENTIFIER.test(atRule.params.trim())) {
+      map('keyframes')(atRule.params.trim());
+    } else if (name === 'layer') {
+      layerNames(atRule.params, map('layers'));
+    } else if (name === 'import') {
+      importLayer(atRule.params, map('layers'));
+    } else if (name === 'property') {
+      map('properties')(atRule.params.trim());
+    }
+  });
+
+  root.walkDecls(decl => {
+    if (decl.prop.startsWith('--')) {
+      map('properties')(decl.prop);
+    }
+    if (decl.value.includes('--')) {
+      rewriteCssNamesInValue(decl.value, { properties: map('properties') });
+    }
+  });
+}
+
+/**
+ * Rewrite the CSS names of a parsed stylesheet with the mapping
+ * @param {import('postcss').Root} root - Parsed stylesheet
+ * @param {object} context - Mapping context
+ * @returns {number} Number of rewritten names
+ */
+export function rewriteCssNames(root, context) {
+  const renames = {
+    properties: cssNamesEnabled(context.config, 'properties')
+      ? name => lookupCssName(context, 'properties', name)
+      : undefined,
+    keyframes: cssNamesEnabled(context.config, 'keyframes')
+      ? name => lookupCssName(context, 'keyframes', name)
+      : undefined
+  };
+  const renameLayer = cssNamesEnabled(context.config, 'layers')
+    ? name => lookupCssName(context, 'layers', name)
+    : null;
+  let replacements = 0;
+
+  const renameParams = (atRule, rename) => {
+    const renamed = rename?.(atRule.params.trim());
+    if (renamed) {
+      atRule.params = renamed;
+      replacements++;
+    }
+  };
+  const apply = (atRule, result) => {
+    atRule.params = result.value;
+    replacements += result.replacements;
+  };
+
+  root.walkAtRules(atRule => {
+    const name = atRule.name.toLowerCase();
+    if (KEYFRAMES.test(name)) {
+      renameParams(atRule, renames.keyframes);
+    } else if (name === 'property') {
+      renameParams(atRule, renames.properties);
+    } else if (name === 'layer' && renameLayer) {
+      apply(atRule, layerNames(atRule.params, renameLayer));
+    } else if (name === 'import' && renameLayer) {
+      apply(atRule, importLayer(atRule.params, renameLayer));
+    }
+  });
+
+  root.walkDecls(decl => {
+    if (decl.prop.startsWith('--') && renames.properties) {
+      const renamed = renames.properties(decl.prop);
+      if (renamed) {
+        decl.prop = renamed;
+        replacements++;
+      }
+    }
+    const result = rewriteCssNamesInValue(decl.value, renames, decl.prop.toLowerCase());
+    decl.value = result.value;
+    replacements += result.replacements;
+  });
+
+  return replacements;
+}
+
+/**
+ * Summary written to `css-names.json`
+ * @param {object} context - Mapping context
+ * @returns {object} Renamed counts, kept names and unsafe references per category
+ */
+export function cssNameReport(context) {
+  const report = { issues: context.cssNames?.issues || [] };
+  for (const category of Object.keys(CSS_NAME_CATEGORIES)) {
+    report[category] = {
+      enabled: cssNamesEnabled(context.config, category),
+      renamed: Object.keys(context[category] || {}).length,
+      kept: context.cssNames?.kept[category] || []
+    };
+  }
+  return report;
+}
@@ -0,0 +1,433 @@
+/**
+ * Obfuscation dashboard of the preview server (scripts/test-server.js)
+ *
+ * Served under `/__obfuscation` from the current build and its obfuscation
+ * data, read again on every request so it follows rebuilds in watch mode:
+ * - the mapping tables, searchable by original or obfuscated name,
+ * - the results of the last verification (`verification.json`),
+ * - raw, gzip and brotli sizes before and after obfuscation,
+ * - a side-by-side view of the original and obfuscated version of every
+ *   page, stylesheet and script, server-rendered pages included.
+ *
+ * Nothing is written: files are only read from `srcPath`, `desPath`,
+ * `jsonDataPath` and copies of the server functions.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readMappingFile } from './deobfuscate.js';
+import { MAPPING_TABLES } from './mapping.js';
+import { describeMethod } from './naming.js';
+import { measureBuild, pairBuildFiles, SIZE_METRICS } from './sizes.js';
+import { listServerRoutes, renderServerSnapshot } from './ssr.js';
+
+export const DASHBOARD_PATH = '/__obfuscation';
+
+// Longer files are cut in the side-by-side view
+const MAX_LINES = 5000;
+// Failures listed per verified file
+const MAX_FAILURES = 20;
+
+const TABLE_TITLES = {
+  classes: 'Classes',
+  ids: 'IDs',
+  properties: 'Custom properties',
+  keyframes: 'Keyframes',
+  layers: 'Layers'
+};
+
+const STYLE = `
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 0; color: #1f2937; background: #f9fafb; }
+  header { background: #111827; color: #f9fafb; padding: 12px 24px; display: flex; gap: 24px; align-items: baseline; }
+  header a { color: #93c5fd; }
+  main { padding: 16px 24px; }
+  section { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px; margin-bottom: 16px; }
+  h1 { font-size: 18px; margin: 0; }
+  h2 { font-size: 16px; margin: 0 0 12px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+  th { background: #f3f4f6; position: sticky; top: 0; }
+  code, pre, .code td { font-family: ui-monospace, Menlo, monospace; font-size: 12px; }
+  .passed { color: #047857; } .failed { color: #b91c1c; } .muted { color: #6b7280; }
+  .num { text-align: right; white-space: nowrap; }
+  .scroll { max-height: 480px; overflow: auto; }
+  .code td { white-space: pre-wrap; word-break: break-all; width: 50%; }
+  .code td.line { width: auto; color: #9ca3af; text-align: right; user-select: none; }
+  .code tr.changed td:not(.line) { background: #fef9c3; }
+  input[type=search] { width: 100%; max-width: 480px; padding: 6px 10px; margin-bottom: 12px; }
+`;
+
+// Filters the mapping rows as the search box changes
+const SEARCH_SCRIPT = `
+  const input = document.getElementById('search');
+  const count = document.getElementById('matches');
+  input.addEventListener('input', () => {
+    const query = input.value.trim().toLowerCase();
+    let shown = 0;
+    for (const row of document.querySelectorAll('tr[data-search]')) {
+      row.hidden = query !== '' && !row.dataset.search.includes(query);
+      shown += row.hidden ? 0 : 1;
+    }
+    count.textContent = query ? shown + ' match(es)' : '';
+  });
+`;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function formatBytes(bytes) {
+  return bytes == null ? '-' : bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function formatChange(before, after) {
+  if (before == null || after == null) {
+    return `${formatBytes(before)} → ${formatBytes(after)}`;
+  }
+  const percent = before === 0 ? 0 : ((after - before) / before) * 100;
+  return `${formatBytes(before)} → ${formatBytes(after)} (${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%)`;
+}
+
+function layout(title, body, script = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header><h1>${escapeHtml(title)}</h1><a href="${DASHBOARD_PATH}">Dashboard</a><a href="/">Site</a></header>
+<main>${body}</main>
+${script ? `<script>${script}</script>` : ''}
+</body>
+</html>`;
+}
+
+/**
+ * Read the current build and its obfuscation data
+ * @param {object} config - Validated config from loadConfig()
+ * @param {string} serverPath - Server functions of the build
+ * @returns {object} Mapping (or the error reading it), verification result, file pairs and
+ *   server routes. `verification` is null when it is missing or older than the mapping.
+ */
+function readBuildState(config, serverPath) {
+  const dataFile = name => path.join(config.jsonDataPath, name);
+  let mapping = null;
+  let mappingError = null;
+  try {
+    mapping = readMappingFile(dataFile('main.json'));
+  } catch (error) {
+    mappingError = error.message;
+  }
+
+  const verification = readJson(dataFile('verification.json'));
+  // A verification of an earlier build would describe files that are gone
+  const current =
+    verification &&
+    !(mapping?.timestamp && Date.parse(verification.timestamp) < Date.parse(mapping.timestamp));
+  const renamedAssets = readJson(dataFile('assets.json')) || {};
+
+  return {
+    mapping,
+    mappingError,
+    verification: current ? verification : null,
+    staleVerification: Boolean(verification && !current),
+    renamedAssets,
+    pairs: pairBuildFiles({ srcDir: config.srcPath, outDir: config.desPath, renamedAssets }),
+    serverRoutes: listServerRoutes(serverPath)
+  };
+}
+
+function renderSummary(state) {
+  if (!state.mapping) {
+    return `<section><h2>Mapping</h2><p class="failed">${escapeHtml(state.mappingError)}</p>
+<p>Run <code>npm run build</code> to create an obfuscated build.</p></section>`;
+  }
+  const { mapping } = state;
+  const counts = MAPPING_TABLES.map(
+    table =>
+      `<tr><td>${TABLE_TITLES[table]}</td><td class="num">${Object.keys(mapping[table] || {}).length}</td></tr>`
+  ).join('');
+  return `<section><h2>Build</h2><table>
+<tr><td>Method</td><td>${escapeHtml(describeMethod(mapping.method))}</td></tr>
+<tr><td>Obfuscated at</td><td>${escapeHtml(mapping.timestamp || '-')}</td></tr>
+${counts}</table></section>`;
+}
+
+function renderVerification(state) {
+  const { verification } = state;
+  if (!verification) {
+    const reason = state.staleVerification
+      ? 'The last verification is older than the current build.'
+      : 'No verification results yet.';
+    return `<section><h2>Verification</h2><p class="muted">${reason} Run <code>npm run verify:obfuscation</code>.</p></section>`;
+  }
+
+  const checks = verification.checks
+    .map(check => {
+      const failing = check.cases.filter(entry => entry.failures.length > 0);
+      const details = failing
+        .map(
+          entry =>
+            `<li><code>${escapeHtml(entry.name)}</code><ul>${entry.failures
+              .slice(0, MAX_FAILURES)
+              .map(failure => `<li>${escapeHtml(failure.message)}</li>`)
+              .join('')}${
+              entry.failures.length > MAX_FAILURES
+                ? `<li class="muted">and ${entry.failures.length - MAX_FAILURES} more</li>`
+                : ''
+            }</ul></li>`
+        )
+        .join('');
+      return `<tr><td class="${failing.length > 0 ? 'failed' : 'passed'}">${failing.length > 0 ? '✗' : '✓'}</td>
+<td>${escapeHtml(check.title)}${details ? `<ul>${details}</ul>` : ''}</td>
+<td class="num">${check.cases.length - failing.length}/${check.cases.length} files</td></tr>`;
+    })
+    .join('');
+  const warnings = verification.warnings.length
+    ? `<p class="muted">${verification.warnings.map(escapeHtml).join('<br>')}</p>`
+    : '';
+  return `<section><h2>Verification <span class="${verification.passed ? 'passed' : 'failed'}">${
+    verification.passed ? 'passed' : 'failed'
+  }</span> <span class="muted">${escapeHtml(verification.timestamp)}</span></h2>
+<table>${checks}</table>${warnings}</section>`;
+}
+
+function renderSizes(config, state) {
+  // Measured here only when the verification did not, as brotli at full quality takes a while
+  const sizes =
+    state.verification?.sizes ||
+    measureBuild({
+      srcDir: config.srcPath,
+      outDir: config.desPath,
+      renamedAssets: state.renamedAssets
+    });
+  const row = (label, before, after) =>
+    `<tr><td>${label}</td>${SIZE_METRICS.map(
+      metric => `<td class="num">${formatChange(before?.[metric], after?.[metric])}</td>`
+    ).join('')}</tr>`;
+  return `<section><h2>Sizes</h2><div class="scroll"><table>
+<tr><th>File</th>${SIZE_METRICS.map(metric => `<th class="num">${metric}</th>`).join('')}</tr>
+${sizes.files.map(entry => row(`<code>${escapeHtml(entry.file)}</code>`, entry.before, entry.after)).join('')}
+${row('<strong>Total</strong>', sizes.totals.before, sizes.totals.after)}
+</table></div></section>`;
+}
+
+function renderFiles(state) {
+  const link = (href, label) =>
+    `<a href="${escapeHtml(href)}"><code>${escapeHtml(label)}</code></a>`;
+  const files = state.pairs
+    .map(
+      pair =>
+        `<tr><td>${pair.type}</td><td>${
+          pair.original && pair.obfuscated
+            ? link(`${DASHBOARD_PATH}/file?path=${encodeURIComponent(pair.file)}`, pair.file)
+            : `<code>${escapeHtml(pair.file)}</code> <span class="muted">(${pair.original ? 'removed' : 'added'})</span>`
+        }</td></tr>`
+    )
+    .join('');
+  const pages = state.serverRoutes
+    .map(
+      route =>
+        `<tr><td>server</td><td>${link(
+          `${DASHBOARD_PATH}/page?path=${encodeURIComponent(route.pathname)}`,
+          route.pathname
+        )} <span class="muted">(${escapeHtml(route.function)})</span></td></tr>`
+    )
+    .join('');
+  return `<section><h2>Original and obfuscated files</h2><div class="scroll"><table>
+<tr><th>Type</th><th>File</th></tr>${pages}${files}</table></div></section>`;
+}
+
+function renderMapping(state) {
+  if (!state.mapping) {
+    return '';
+  }
+  const tables = MAPPING_TABLES.filter(table => Object.keys(state.mapping[table] || {}).length > 0)
+    .map(table => {
+      const rows = Object.entries(state.mapping[table])
+        .map(
+          ([original, obfuscated]) =>
+            `<tr data-search="${escapeHtml(`${original} ${obfuscated}`.toLowerCase())}"><td><code>${escapeHtml(
+              original
+            )}</code></td><td><code>${escapeHtml(obfuscated)}</code></td></tr>`
+        )
+        .join('');
+      return `<h3>${TABLE_TITLES[table]}</h3><div class="scroll"><table>
+<tr><th>Original</th><th>Obfuscated</th></tr>${rows}</table></div>`;
+    })
+    .join('');
+  return `<section><h2>Mapping</h2>
+<input type="search" id="search" placeholder="Search original or obfuscated names" autocomplete="off">
+<span id="matches" class="muted"></span>${tables}</section>`;
+}
+
+// One rule, tag or source line per row, so both versions line up
+function splitLines(content, type) {
+  if (type === 'css') {
+    return content.replace(/}/g, '}\n').split('\n');
+  }
+  if (type === 'html') {
+    return content.replace(/>\s*</g, '>\n<').split('\n');
+  }
+  return content.split('\n');
+}
+
+function renderSideBySide(title, original, obfuscated, type) {
+  const left = splitLines(original, type);
+  const right = splitLines(obfuscated, type);
+  const count = Math.max(left.length, right.length);
+  let changed = 0;
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const different = left[i] !== right[i];
+    changed += different ? 1 : 0;
+    if (i < MAX_LINES) {
+      rows.push(
+        `<tr${different ? ' class="changed"' : ''}><td class="line">${i + 1}</td><td>${escapeHtml(
+          left[i] ?? ''
+        )}</td><td>${escapeHtml(right[i] ?? '')}</td></tr>`
+      );
+    }
+  }
+  const cut =
+    count > MAX_LINES ? `<p class="muted">Showing ${MAX_LINES} of ${count} lines.</p>` : '';
+  return layout(
+    title,
+    `<section><h2>${escapeHtml(title)}</h2>
+<p class="muted">${changed} of ${count} lines differ · ${formatChange(
+      Buffer.byteLength(original),
+      Buffer.byteLength(obfuscated)
+    )}</p>${cut}
+<table class="code"><tr><th></th><th>Original</th><th>Obfuscated</th></tr>${rows.join('')}</table></section>`
+  );
+}
+
+/**
+ * Create the request handler of the dashboard
+ * @param {object} options
+ * @param {object} options.config - Validated config from loadConfig()
+ * @param {string} options.serverPath - Server functions whose pages are compared
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse)
+ *   => Promise<boolean>} Resolves to false for requests outside the dashboard
+ */
+export function createDashboard({ config, serverPath }) {
+  const send = (req, res, status, type, body) => {
+    res.writeHead(status, { 'content-type': type, 'cache-control': 'no-store' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  };
+  const sendHtml = (req, res, status, html) =>
+    send(req, res, status, 'text/html; charset=utf-8', html);
+  const sendJson = (req, res, data) =>
+    send(req, res, 200, 'application/json; charset=utf-8', JSON.stringify(data, null, 2));
+  const notFound = (req, res, message) =>
+    sendHtml(
+      req,
+      res,
+      404,
+      layout('Not found', `<section><p>${escapeHtml(message)}</p></section>`)
+    );
+
+  const routes = {
+    '': (req, res) => {
+      const state = readBuildState(config, serverPath);
+      const body = [
+        renderSummary(state),
+        renderVerification(state),
+        state.pairs.length > 0 ? renderSizes(config, state) : '',
+        renderFiles(state),
+        renderMapping(state)
+      ].join('\n');
+      sendHtml(req, res, 200, layout('Obfuscation dashboard', body, SEARCH_SCRIPT));
+    },
+
+    '/mapping.json': (req, res) => {
+      const state = readBuildState(config, serverPath);
+      if (!state.mapping) {
+        return notFound(req, res, state.mappingError);
+      }
+      // Tables only; the salt fingerprint and other metadata stay out
+      sendJson(
+        req,
+        res,
+        Object.fromEntries(MAPPING_TABLES.map(table => [table, state.mapping[table] || {}]))
+      );
+    },
+
+    '/verification.json': (req, res) => {
+      const verification = readJson(path.join(config.jsonDataPath, 'verification.json'));
+      return verification
+        ? sendJson(req, res, verification)
+        : notFound(req, res, 'No verification results yet');
+    },
+
+    '/file': (req, res, params) => {
+      // Only paths of the listed pairs, so nothing outside the builds can be read
+      const pair = readBuildState(config, serverPath).pairs.find(
+        candidate => candidate.file === params.get('path')
+      );
+      if (!pair?.original || !pair.obfuscated) {
+        return notFound(req, res, `No original and obfuscated version of ${params.get('path')}`);
+      }
+      const read = (directory, file) => fs.readFileSync(path.join(directory, file), 'utf8');
+      sendHtml(
+        req,
+        res,
+        200,
+        renderSideBySide(
+          pair.file,
+          read(config.srcPath, pair.original),
+          read(config.desPath, pair.obfuscated),
+          pair.type
+        )
+      );
+    },
+
+    '/page': async (req, res, params) => {
+      const pathname = params.get('path');
+      if (!listServerRoutes(serverPath).some(route => route.pathname === pathname)) {
+        return notFound(req, res, `No server route renders ${pathname}`);
+      }
+      const render = async options =>
+        (await renderServerSnapshot(serverPath, options)).find(page => page.pathname === pathname);
+      const original = await render({ original: true });
+      const obfuscated = await render();
+      if (!original || !obfuscated) {
+        return notFound(req, res, `${pathname} did not render HTML`);
+      }
+      sendHtml(
+        req,
+        res,
+        200,
+        renderSideBySide(`${pathname} (server)`, original.html, obfuscated.html, 'html')
+      );
+    }
+  };
+
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== DASHBOARD_PATH && !url.pathname.startsWith(`${DASHBOARD_PATH}/`)) {
+      return false;
+    }
+    const route = routes[url.pathname.slice(DASHBOARD_PATH.length).replace(/\/$/, '')];
+    if (!route) {
+      notFound(req, res, `${url.pathname} is not part of the dashboard`);
+    } else if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { allow: 'GET, HEAD', 'content-type': 'text/plain; charset=utf-8' });
+      res.end('Method Not Allowed');
+    } else {
+      await route(req, res, url.searchParams);
+    }
+    return true;
+  };
+}
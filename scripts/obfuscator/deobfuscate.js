@@ -0,0 +1,141 @@
+/**
+ * Translate obfuscated class names, IDs and CSS names back to the originals, or
+ * originals to their obfuscated names, using a saved mapping (`main.json`)
+ *
+ * The input goes through the same CSS, HTML and selector passes as the
+ * build, with the mapping table inverted for deobfuscation.
+ */
+
+import fs from 'fs';
+import { obfuscateCSS, rewriteSelector } from './css.js';
+import { obfuscateHTML, rewriteClassList } from './html.js';
+import {
+  createIgnoreMatcher,
+  createLookupContext,
+  lookupClass,
+  lookupId,
+  MAPPING_TABLES,
+  MAPPING_VERSION
+} from './mapping.js';
+
+export const INPUT_TYPES = ['html', 'css', 'selector', 'classes'];
+
+// Keeps names of different kinds apart in the translation table
+const LABELS = {
+  id: name => `#${name}`,
+  keyframes: name => `@keyframes ${name}`,
+  layers: name => `@layer ${name}`
+};
+
+/**
+ * Read and check a mapping file written by {@link saveMapping}
+ * @param {string} file - Path of a `main.json`
+ * @returns {object} Mapping data, with `version` filled in for old files
+ */
+export function readMappingFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Mapping file not found: ${file}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Mapping file is not valid JSON: ${file} (${error.message})`);
+  }
+  if (typeof data?.classes !== 'object' || data.classes === null) {
+    throw new Error(`Mapping file has no "classes" table: ${file}`);
+  }
+
+  // Files written before versioning only had classes, timestamp and totalClasses
+  const version = data.version ?? 1;
+  if (!Number.isInteger(version) || version > MAPPING_VERSION) {
+    throw new Error(
+      `Mapping file version ${version} is newer than this tool supports (${MAPPING_VERSION}): ${file}`
+    );
+  }
+  return { ...data, version };
+}
+
+/**
+ * Guess what kind of input a string is
+ * @param {string} input - Input text
+ * @param {string} [file] - File the input was read from
+ * @returns {'html'|'css'|'selector'|'classes'} Input type
+ */
+export function detectType(input, file) {
+  if (file && /\.html?$/i.test(file)) return 'html';
+  if (file && /\.css$/i.test(file)) return 'css';
+
+  const text = input.trim();
+  if (text.startsWith('<')) return 'html';
+  if (/[{}]/.test(text)) return 'css';
+  // Tailwind classes contain `.`, `:` and `[` (`size-5.5`, `lg:flex`), so only tokens that start
+  // like a selector, or combinators between tokens, make a selector
+  if (text.split(/\s+/).some(token => /^[.#[:>+~*,]/.test(token))) return 'selector';
+  return 'classes';
+}
+
+/**
+ * Translate the class names in a piece of HTML, CSS, a selector or a class list
+ * @param {string} input - Input text
+ * @param {object} options
+ * @param {object} options.mapping - Mapping data from {@link readMappingFile}
+ * @param {object} options.config - Obfuscation config (attribute rules, ignore list)
+ * @param {string} [options.type] - One of {@link INPUT_TYPES}, detected when omitted
+ * @param {boolean} [options.reverse=false] - Translate original names to obfuscated ones
+ * @returns {{ output: string, type: string, translated: Map<string, string>, unknown: string[],
+ *   warnings: string[] }} Translated text, the names that were translated, names missing from
+ *   the mapping and parse problems
+ */
+export function deobfuscate(input, { mapping, config, type, reverse = false }) {
+  const inputType = type || detectType(input);
+  if (!INPUT_TYPES.includes(inputType)) {
+    throw new Error(`Unknown input type "${inputType}" (expected ${INPUT_TYPES.join(', ')})`);
+  }
+
+  const orient = names =>
+    reverse
+      ? { ...names }
+      : Object.fromEntries(Object.entries(names).map(([original, renamed]) => [renamed, original]));
+  const tables = Object.fromEntries(
+    MAPPING_TABLES.map(table => [table, orient(mapping[table] || {})])
+  );
+
+  const isIgnored = createIgnoreMatcher(config.classIgnore);
+  const translated = new Map();
+  const unknown = new Set();
+  const context = createLookupContext(config, tables, (name, found, kind) => {
+    if (found) {
+      const label = LABELS[kind] || (value => value);
+      translated.set(label(name), label(found));
+    } else if (kind === 'class' && !isIgnored(name)) {
+      unknown.add(name);
+    }
+  });
+  const rename = name => lookupClass(context, name);
+  const renameId = context.config.ids ? id => lookupId(context, id) : undefined;
+
+  let output;
+  switch (inputType) {
+    case 'html':
+      output = obfuscateHTML(input, context, 'input').content;
+      break;
+    case 'css':
+      output = obfuscateCSS(input, context, 'input', { discover: false }).content;
+      break;
+    case 'selector':
+      output = rewriteSelector(input.trim(), rename, renameId).selector;
+      break;
+    default:
+      output = rewriteClassList(input.trim(), rename).value;
+  }
+
+  return {
+    output,
+    type: inputType,
+    translated,
+    unknown: [...unknown].sort(),
+    warnings: context.warnings
+  };
+}
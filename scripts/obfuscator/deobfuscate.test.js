@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { validateConfig } from './config.js';
+import { obfuscateCSS } from './css.js';
+import { deobfuscate, detectType } from './deobfuscate.js';
+import { obfuscateHTML } from './html.js';
+import { createMappingContext } from './mapping.js';
+
+const config = validateConfig({ classMethod: 'hash', salt: 'test' });
+const css = '.btn { color: red } .btn-primary:hover, .lg\\:flex > .size-5\\.5 { display: flex }';
+const html =
+  '<nav class="btn btn-primary"><span class="lg:flex size-5.5">Menu</span></nav>' +
+  '<div data-collapse=".btn-primary"></div>';
+
+// Builds the mapping the way a build does: stylesheets define the classes, pages reuse them
+function build() {
+  const context = createMappingContext(config);
+  const stylesheet = obfuscateCSS(css, context, 'main.css').content;
+  const page = obfuscateHTML(html, context, 'index.html').content;
+  return { stylesheet, page, mapping: { classes: context.classes } };
+}
+
+describe('detectType', () => {
+  it('reads whitespace separated names as a class list', () => {
+    assert.equal(detectType('btn-primary lg:flex size-5.5'), 'classes');
+    assert.equal(detectType('w-[10px] hover:bg-primary/50'), 'classes');
+  });
+
+  it('reads names that start like a selector, or combinators, as a selector', () => {
+    assert.equal(detectType('.btn:hover'), 'selector');
+    assert.equal(detectType('#contact-us .btn'), 'selector');
+    assert.equal(detectType('nav > a'), 'selector');
+    assert.equal(detectType('[data-theme] a'), 'selector');
+  });
+
+  it('reads markup and rules', () => {
+    assert.equal(detectType('  <div class="a1"></div>'), 'html');
+    assert.equal(detectType('.a1 { color: red }'), 'css');
+    assert.equal(detectType('a1 a2', 'page.html'), 'html');
+  });
+});
+
+describe('deobfuscate', () => {
+  it('restores obfuscated HTML and CSS', () => {
+    const { stylesheet, page, mapping } = build();
+    assert.notEqual(page, html);
+    assert.equal(deobfuscate(page, { mapping, config }).output, html);
+    assert.equal(deobfuscate(stylesheet, { mapping, config }).output, css);
+  });
+
+  it('obfuscates originals again with reverse', () => {
+    const { page, mapping } = build();
+    const result = deobfuscate(html, { mapping, config, reverse: true });
+    assert.equal(result.output, page);
+    assert.equal(result.translated.get('btn'), mapping.classes.btn);
+  });
+
+  it('translates class lists with dots and colons', () => {
+    const { mapping } = build();
+    const result = deobfuscate('btn-primary lg:flex size-5.5', { mapping, config, reverse: true });
+    assert.equal(result.type, 'classes');
+    assert.equal(
+      result.output,
+      ['btn-primary', 'lg:flex', 'size-5.5'].map(name => mapping.classes[name]).join(' ')
+    );
+  });
+
+  it('lists names missing from the mapping', () => {
+    const { mapping } = build();
+    const result = deobfuscate('.zz9 .btn', { mapping, config, reverse: true });
+    assert.equal(result.type, 'selector');
+    assert.equal(result.output, `.zz9 .${mapping.classes.btn}`);
+    assert.deepEqual(result.unknown, ['zz9']);
+  });
+});
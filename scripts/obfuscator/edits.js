@@ -0,0 +1,25 @@
+/**
+ * Offset-based text edits, so passes only touch the spans they rewrite
+ */
+
+/**
+ * Apply non-overlapping `{ start, end, text }` edits to a string
+ * @param {string} content - Original text
+ * @param {{ start: number, end: number, text: string }[]} edits - Replacements by offset
+ * @returns {string} Edited text
+ */
+export function applyEdits(content, edits) {
+  const sorted = [...edits].sort((a, b) => b.start - a.start);
+  let result = content;
+  let limit = Infinity;
+
+  for (const edit of sorted) {
+    if (edit.end > limit) {
+      continue; // overlaps an edit that was already applied
+    }
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    limit = edit.start;
+  }
+
+  return result;
+}
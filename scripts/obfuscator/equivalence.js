@@ -0,0 +1,221 @@
+/**
+ * Semantic equivalence of an original and an obfuscated page
+ *
+ * Both documents are parsed with parse5 and every rule of their stylesheets is
+ * matched with css-select, entirely offline. Obfuscation only renames, so the
+ * n-th element of both documents must match the same rules (the n-th rule of
+ * a stylesheet and its counterpart). Any difference is a rename that broke a
+ * selector or a class token.
+ *
+ * Media queries and `@supports` conditions are not evaluated, and state
+ * pseudo-classes (`:hover`, `:focus-visible`, `:checked`...) and pseudo-elements
+ * are dropped so rules for every state are compared, the same way on both sides.
+ */
+
+import { selectAll } from 'css-select';
+import { parse } from 'parse5';
+import { adapter } from 'parse5-htmlparser2-tree-adapter';
+import postcss from 'postcss';
+import selectorParser from 'postcss-selector-parser';
+
+const KEYFRAMES = /^(-\w+-)?keyframes$/i;
+
+// Pseudo-classes that depend on the document alone; css-select evaluates them
+const STRUCTURAL_PSEUDOS = new Set([
+  ':not',
+  ':is',
+  ':where',
+  ':matches',
+  ':has',
+  ':root',
+  ':empty',
+  ':first-child',
+  ':last-child',
+  ':only-child',
+  ':first-of-type',
+  ':last-of-type',
+  ':only-of-type',
+  ':nth-child',
+  ':nth-last-child',
+  ':nth-of-type',
+  ':nth-last-of-type'
+]);
+const LEGACY_PSEUDO_ELEMENTS = new Set([':before', ':after', ':first-line', ':first-letter']);
+
+/**
+ * Turn a selector into one css-select can match against a static document
+ * @param {string} selector - Selector list
+ * @returns {string} Selector without state pseudo-classes and pseudo-elements
+ */
+export function staticSelector(selector) {
+  return selectorParser(selectors => {
+    const dropped = [];
+    selectors.walkPseudos(pseudo => {
+      const value = pseudo.value.toLowerCase();
+      if (
+        value.startsWith('::') ||
+        LEGACY_PSEUDO_ELEMENTS.has(value) ||
+        !STRUCTURAL_PSEUDOS.has(value)
+      ) {
+        dropped.push(pseudo);
+      }
+    });
+    dropped.forEach(pseudo => pseudo.remove());
+
+    // `:not(:hover)` is left with an empty argument and `::before` with an empty compound;
+    // innermost pseudos come last in the walk
+    const functional = [];
+    selectors.walkPseudos(pseudo => functional.push(pseudo));
+    for (const pseudo of functional.reverse()) {
+      pseudo.nodes.filter(inner => inner.nodes.length === 0).forEach(inner => inner.remove());
+      if (pseudo.nodes.length === 0) {
+        pseudo.remove();
+      }
+    }
+    selectors.each(compound => {
+      const last = compound.nodes[compound.nodes.length - 1];
+      if (!last || last.type === 'combinator') {
+        compound.append(selectorParser.universal());
+      }
+    });
+  }).processSync(selector);
+}
+
+/**
+ * List the style rules of a stylesheet in source order, keyframe stops excluded
+ * @param {string} content - Stylesheet source
+ * @param {string} [file] - Source file, used in parse errors
+ * @returns {string[]} Selectors
+ */
+export function listRules(content, file) {
+  const rules = [];
+  postcss.parse(content, { from: file }).walkRules(rule => {
+    if (!(rule.parent?.type === 'atrule' && KEYFRAMES.test(rule.parent.name))) {
+      rules.push(rule.selector);
+    }
+  });
+  return rules;
+}
+
+/**
+ * Parse a page for {@link comparePages}
+ * @param {string} html - HTML source
+ * @returns {import('domhandler').Document} Document
+ */
+export function parseDocument(html) {
+  return parse(html, { treeAdapter: adapter });
+}
+
+/**
+ * Stylesheets a page loads, in document order
+ * @param {import('domhandler').Document} document - Parsed page
+ * @returns {{ href?: string, content?: string }[]} Linked (`href`) and inline (`content`) sheets
+ */
+export function pageStylesheets(document) {
+  return selectAll('link[rel~="stylesheet"][href], style', document).map(element =>
+    element.name === 'link'
+      ? { href: element.attribs.href }
+      : { content: element.children.map(child => child.data || '').join('') }
+  );
+}
+
+function describeElement(element) {
+  const parts = [];
+  for (let node = element; node?.type !== 'root' && node?.name; node = node.parent) {
+    if (node.attribs.id) {
+      parts.unshift(`${node.name}#${node.attribs.id}`);
+      break;
+    }
+    const siblings = (node.parent?.children || []).filter(sibling => sibling.name === node.name);
+    parts.unshift(
+      siblings.length > 1 ? `${node.name}:nth-of-type(${siblings.indexOf(node) + 1})` : node.name
+    );
+  }
+  return parts.join(' > ');
+}
+
+function matchRules(document, elements, stylesheets, unmatched) {
+  const matched = new Map(elements.map(element => [element, new Set()]));
+  stylesheets.forEach((rules, sheet) => {
+    rules.forEach((selector, index) => {
+      let found;
+      try {
+        found = selectAll(staticSelector(selector), document);
+      } catch (error) {
+        unmatched?.add(`${selector} (${error.message})`);
+        return;
+      }
+      for (const element of found) {
+        matched.get(element)?.add(`${sheet}:${index}`);
+      }
+    });
+  });
+  return elements.map(element => matched.get(element));
+}
+
+/**
+ * Compare the rules every element of two versions of a page matches
+ * @param {object} original - Page before obfuscation
+ * @param {import('domhandler').Document} original.document - From {@link parseDocument}
+ * @param {string[][]} original.stylesheets - Rules of each stylesheet, from {@link listRules}
+ * @param {object} obfuscated - Same for the obfuscated page; stylesheets in the same order
+ * @returns {{ differences: { element: string, originalClass: string, selector: string,
+ *   obfuscatedSelector: string, change: 'lost'|'gained' }[], problems: string[],
+ *   unmatched: string[] }} Elements whose matched rules differ, why the pages could not be
+ *   compared, and original selectors css-select cannot match
+ */
+export function comparePages(original, obfuscated) {
+  const unmatched = new Set();
+  const elements = [selectAll('*', original.document), selectAll('*', obfuscated.document)];
+  if (elements[0].length !== elements[1].length) {
+    return {
+      differences: [],
+      problems: [`the pages have ${elements[0].length} and ${elements[1].length} elements`],
+      unmatched: []
+    };
+  }
+  const sheets = original.stylesheets.length;
+  if (sheets !== obfuscated.stylesheets.length) {
+    return {
+      differences: [],
+      problems: [`the pages load ${sheets} and ${obfuscated.stylesheets.length} stylesheets`],
+      unmatched: []
+    };
+  }
+  for (let sheet = 0; sheet < sheets; sheet++) {
+    const [before, after] = [original.stylesheets[sheet], obfuscated.stylesheets[sheet]];
+    if (before.length !== after.length) {
+      return {
+        differences: [],
+        problems: [`stylesheet ${sheet + 1} has ${before.length} and ${after.length} rules`],
+        unmatched: []
+      };
+    }
+  }
+
+  const before = matchRules(original.document, elements[0], original.stylesheets, unmatched);
+  // Selectors that cannot be matched fail the same way on both sides; reported once
+  const after = matchRules(obfuscated.document, elements[1], obfuscated.stylesheets);
+  const selectorOf = (stylesheets, id) => {
+    const [sheet, index] = id.split(':').map(Number);
+    return stylesheets[sheet][index];
+  };
+
+  const differences = [];
+  elements[0].forEach((element, index) => {
+    const changes = [
+      ...[...before[index]].filter(id => !after[index].has(id)).map(id => [id, 'lost']),
+      ...[...after[index]].filter(id => !before[index].has(id)).map(id => [id, 'gained'])
+    ];
+    for (const [id, change] of changes) {
+      differences.push({
+        element: describeElement(element),
+        originalClass: element.attribs.class || '',
+        selector: selectorOf(original.stylesheets, id),
+        obfuscatedSelector: selectorOf(obfuscated.stylesheets, id),
+        change
+      });
+    }
+  });
+  return { differences, problems: [], unmatched: [...unmatched] };
+}
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  comparePages,
+  listRules,
+  pageStylesheets,
+  parseDocument,
+  staticSelector
+} from './equivalence.js';
+
+const page = (html, css) => ({ document: parseDocument(html), stylesheets: [listRules(css)] });
+
+describe('staticSelector', () => {
+  it('drops state pseudo-classes and pseudo-elements', () => {
+    assert.equal(staticSelector('.btn:hover > .icon::before'), '.btn > .icon');
+    assert.equal(staticSelector('.btn:not(:focus-visible)'), '.btn');
+    assert.equal(staticSelector('.list > :hover'), '.list > *');
+    assert.equal(staticSelector('li:nth-child(2n):is(.a, .b)'), 'li:nth-child(2n):is(.a, .b)');
+  });
+});
+
+describe('listRules', () => {
+  it('lists style rules in source order without keyframe stops', () => {
+    const css = '.a {} @media print { .b, .c {} } @keyframes spin { from {} to {} }';
+    assert.deepEqual(listRules(css), ['.a', '.b, .c']);
+  });
+});
+
+describe('pageStylesheets', () => {
+  it('lists linked and inline stylesheets in document order', () => {
+    const document = parseDocument(
+      '<link rel="preload stylesheet" href="/a.css"><style>.b {}</style><link rel="icon" href="/i">'
+    );
+    assert.deepEqual(pageStylesheets(document), [{ href: '/a.css' }, { content: '.b {}' }]);
+  });
+});
+
+describe('comparePages', () => {
+  const css = '.btn {} .btn-primary:hover {} .card > .btn {}';
+  const html = '<div class="card"><a class="btn btn-primary">Go</a></div>';
+
+  it('accepts a consistent rename', () => {
+    const result = comparePages(
+      page(html, css),
+      page('<div class="c1"><a class="a1 a2">Go</a></div>', '.a1 {} .a2:hover {} .c1 > .a1 {}')
+    );
+    assert.deepEqual(result, { differences: [], problems: [], unmatched: [] });
+  });
+
+  it('reports the rules an element lost or gained', () => {
+    const result = comparePages(
+      page(html, css),
+      page('<div class="c1"><a class="a1 a3">Go</a></div>', '.a1 {} .a2:hover {} .c1 > .a1 {}')
+    );
+    assert.deepEqual(result.differences, [
+      {
+        element: 'html > body > div > a',
+        originalClass: 'btn btn-primary',
+        selector: '.btn-primary:hover',
+        obfuscatedSelector: '.a2:hover',
+        change: 'lost'
+      }
+    ]);
+  });
+
+  it('does not compare pages with a different structure', () => {
+    const result = comparePages(page(html, css), page('<div class="c1"></div>', css));
+    assert.match(result.problems[0], /^the pages have \d+ and \d+ elements$/);
+  });
+});
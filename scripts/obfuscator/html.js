@@ -0,0 +1,432 @@
+/**
+ * HTML pass: rewrites class tokens, and with `ids` enabled IDs and ID
+ * references, in markup using an existing mapping
+ *
+ * Documents are parsed with parse5 and only the source spans of changed
+ * attributes, inline `<style>` blocks and inline `<script>` blocks are
+ * replaced, so the rest of the markup stays byte-for-byte identical.
+ */
+
+import { parse, parseFragment } from 'parse5';
+import { obfuscateCSS, rewriteSelector } from './css.js';
+import { applyEdits } from './edits.js';
+import {
+  cssNamesEnabled,
+  lookupCssName,
+  rewriteCssNamesInDeclarations,
+  rewriteCssNamesInValue
+} from './cssnames.js';
+import { recordIdDefinition, referenceId, rewriteFragment, rewriteUrlReferences } from './ids.js';
+import { obfuscateJS, scanJS } from './js.js';
+import { lookupClass, lookupId } from './mapping.js';
+
+/**
+ * Attributes that carry class names or IDs. `classList` values are
+ * whitespace separated class tokens, `selector` values are CSS selectors and
+ * `json` values are component option blobs whose `paths` hold class lists.
+ * The ID types only apply with `ids` enabled: `id` defines an ID, `idList`
+ * holds whitespace separated ID references and `fragment` is a link whose
+ * `#fragment` names an ID. `style` (declarations) and `cssValue` (a single
+ * CSS value) may contain `url(#id)` and, with CSS name obfuscation enabled,
+ * `var(--*)` references and keyframe names.
+ */
+export const DEFAULT_ATTRIBUTE_RULES = [
+  { attribute: 'class', type: 'classList' },
+  // FlyonUI component options
+  {
+    attribute: 'data-carousel',
+    type: 'json',
+    paths: ['loadingClasses', 'afterLoadingClasses', 'dotsItemClasses']
+  },
+  {
+    attribute: 'data-select',
+    type: 'json',
+    paths: [
+      'toggleClasses',
+      'dropdownClasses',
+      'optionClasses',
+      'wrapperClasses',
+      'tagsItemClasses',
+      'tagsInputClasses',
+      'searchClasses',
+      'searchWrapperClasses',
+      'searchNoResultClasses',
+      'descriptionClasses',
+      'iconClasses',
+      'removeOptionalClasses'
+    ]
+  },
+  {
+    attribute: 'data-overlay-options',
+    type: 'json',
+    paths: ['backdropClasses', 'backdropExtraClasses']
+  },
+  { attribute: 'data-collapse', type: 'selector' },
+  { attribute: 'data-overlay', type: 'selector' },
+  { attribute: 'data-tab', type: 'selector' },
+  { attribute: 'data-remove-element', type: 'selector' },
+  // ID definitions and references
+  { attribute: 'id', type: 'id' },
+  ...[
+    'for',
+    'form',
+    'list',
+    'headers',
+    'popovertarget',
+    'aria-activedescendant',
+    'aria-controls',
+    'aria-describedby',
+    'aria-details',
+    'aria-errormessage',
+    'aria-flowto',
+    'aria-labelledby',
+    'aria-owns',
+    'data-dropdown-toggle'
+  ].map(attribute => ({ attribute, type: 'idList' })),
+  ...['href', 'xlink:href', 'usemap'].map(attribute => ({ attribute, type: 'fragment' })),
+  { attribute: 'style', type: 'style' },
+  ...[
+    'fill',
+    'stroke',
+    'mask',
+    'clip-path',
+    'filter',
+    'marker-start',
+    'marker-mid',
+    'marker-end'
+  ].map(attribute => ({ attribute, type: 'cssValue' }))
+];
+
+const RULE_TYPES = [
+  'classList',
+  'selector',
+  'json',
+  'id',
+  'idList',
+  'fragment',
+  'style',
+  'cssValue'
+];
+const ID_RULE_TYPES = ['id', 'idList', 'fragment'];
+const CSS_RULE_TYPES = ['style', 'cssValue'];
+const SCRIPT_TYPES = ['', 'module', 'text/javascript', 'application/javascript'];
+
+/**
+ * Merge the default attribute rules with `config.attributeRules`.
+ * A configured rule replaces the default rule for the same attribute.
+ * @param {object[]} [configured] - Rules from the obfuscation config
+ * @returns {Map<string, object>} Rules keyed by lower-case attribute name
+ */
+export function resolveAttributeRules(configured = []) {
+  const rules = new Map();
+
+  for (const rule of [...DEFAULT_ATTRIBUTE_RULES, ...configured]) {
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw new Error(
+        `Attribute rule for "${rule.attribute}" has unknown type "${rule.type}" (expected ${RULE_TYPES.join(', ')})`
+      );
+    }
+    rules.set(rule.attribute.toLowerCase(), rule);
+  }
+
+  return rules;
+}
+
+/**
+ * Rewrite whole class tokens in a whitespace separated class list
+ * @param {string} value - Class list, e.g. `btn btn-primary lg:flex`
+ * @param {(className: string) => string|null} rename - Returns the new name, or null to keep it
+ * @returns {{ value: string, replacements: number }} Rewritten class list
+ */
+export function rewriteClassList(value, rename) {
+  let replacements = 0;
+
+  const tokens = value.split(/(\s+)/).map(token => {
+    const renamed = token && !/^\s/.test(token) ? rename(token) : null;
+    if (renamed && renamed !== token) {
+      replacements++;
+      return renamed;
+    }
+    return token;
+  });
+
+  return { value: replacements > 0 ? tokens.join('') : value, replacements };
+}
+
+function rewriteJSONPaths(value, paths, rename) {
+  const data = JSON.parse(value);
+  let replacements = 0;
+
+  for (const jsonPath of paths) {
+    const keys = jsonPath.split('.');
+    const last = keys.pop();
+    const target = keys.reduce(
+      (node, key) => (node && typeof node === 'object' ? node[key] : undefined),
+      data
+    );
+
+    if (target && typeof target[last] === 'string') {
+      const result = rewriteClassList(target[last], rename);
+      target[last] = result.value;
+      replacements += result.replacements;
+    }
+  }
+
+  return { value: replacements > 0 ? JSON.stringify(data) : value, replacements };
+}
+
+/**
+ * Rewrite a single attribute value according to its rule
+ * @param {string} value - Decoded attribute value
+ * @param {object} rule - Attribute rule
+ * @param {object} renames
+ * @param {(className: string) => string|null} renames.classes - Class renamer
+ * @param {(id: string) => string|null} [renames.ids] - ID renamer, ID rules are skipped without it
+ * @param {(name: string) => string|null} [renames.properties] - Custom property renamer
+ * @param {(name: string) => string|null} [renames.keyframes] - Keyframes renamer
+ * @returns {{ value: string, replacements: number }} Rewritten value
+ */
+export function rewriteAttributeValue(value, rule, renames) {
+  const { classes, ids } = renames;
+  if (ID_RULE_TYPES.includes(rule.type) && !ids) {
+    return { value, replacements: 0 };
+  }
+  if (CSS_RULE_TYPES.includes(rule.type)) {
+    return rewriteCssAttribute(value, rule, renames);
+  }
+
+  switch (rule.type) {
+    case 'classList':
+      return rewriteClassList(value, classes);
+    case 'selector': {
+      const result = rewriteSelector(value, classes, ids);
+      return { value: result.selector, replacements: result.replacements };
+    }
+    case 'id': {
+      const renamed = ids(value);
+      return renamed ? { value: renamed, replacements: 1 } : { value, replacements: 0 };
+    }
+    case 'idList':
+      return rewriteClassList(value, ids);
+    case 'fragment':
+      return rewriteFragment(value, ids);
+    default:
+      return rewriteJSONPaths(value, rule.paths || [], classes);
+  }
+}
+
+function rewriteCssAttribute(value, rule, { ids, properties, keyframes }) {
+  let replacements = 0;
+  let result = value;
+
+  if (ids) {
+    const urls = rewriteUrlReferences(result, ids);
+    result = urls.value;
+    replacements += urls.replacements;
+  }
+  if (properties || keyframes) {
+    const names =
+      rule.type === 'style'
+        ? rewriteCssNamesInDeclarations(result, { properties, keyframes })
+        : rewriteCssNamesInValue(result, { properties });
+    result = names.value;
+    replacements += names.replacements;
+  }
+
+  return { value: result, replacements };
+}
+
+function escapeAttribute(value, quote) {
+  const escaped = value.replace(/&/g, '&amp;');
+  return quote === "'" ? escaped.replace(/'/g, '&#39;') : escaped.replace(/"/g, '&quot;');
+}
+
+function attributeEdit(content, location, value) {
+  const raw = content.slice(location.startOffset, location.endOffset);
+  const equals = raw.indexOf('=');
+  if (equals === -1) {
+    return null;
+  }
+
+  let valueStart = equals + 1;
+  while (/\s/.test(raw[valueStart])) {
+    valueStart++;
+  }
+  const quote = raw[valueStart] === "'" ? "'" : '"';
+
+  return {
+    start: location.startOffset,
+    end: location.endOffset,
+    text: raw.slice(0, valueStart) + quote + escapeAttribute(value, quote) + quote
+  };
+}
+
+function parseMarkup(content) {
+  const options = { sourceCodeLocationInfo: true };
+  return /<!doctype|<html[\s>]/i.test(content.slice(0, 1024))
+    ? parse(content, options)
+    : parseFragment(content, options);
+}
+
+function walk(node, visit) {
+  visit(node);
+  for (const child of node.childNodes || []) {
+    walk(child, visit);
+  }
+  if (node.content) {
+    walk(node.content, visit);
+  }
+}
+
+function getAttribute(node, name) {
+  return node.attrs?.find(attr => attr.name === name)?.value;
+}
+
+function rawText(node) {
+  const text = node.childNodes?.[0];
+  return text?.nodeName === '#text' && text.sourceCodeLocation ? text : null;
+}
+
+function isInlineScript(node) {
+  const type = (getAttribute(node, 'type') || '').trim().toLowerCase();
+  return (
+    node.tagName === 'script' &&
+    getAttribute(node, 'src') === undefined &&
+    SCRIPT_TYPES.includes(type)
+  );
+}
+
+/**
+ * Scan inline `<script>` blocks for runtime classes, add classes defined
+ * in inline `<style>` blocks to the mapping and record `id` attributes
+ * @param {string} content - HTML source
+ * @param {object} context - Mapping context
+ * @param {string} [file] - Source file, used in warnings
+ */
+export function discoverHTML(content, context, file) {
+  const styles = [];
+
+  walk(parseMarkup(content), node => {
+    const id = context.config.ids && getAttribute(node, 'id');
+    if (id) {
+      recordIdDefinition(context, id, file);
+    }
+
+    const text = rawText(node);
+    if (text && node.tagName === 'style') {
+      styles.push(text);
+    } else if (text && isInlineScript(node)) {
+      scanJS(text.value, context, file, text.sourceCodeLocation.startLine - 1);
+    }
+  });
+
+  for (const style of styles) {
+    obfuscateCSS(style.value, context, file, {
+      discover: true,
+      lineOffset: style.sourceCodeLocation.startLine - 1
+    });
+  }
+}
+
+/**
+ * Collect the contents of the inline `<style>` blocks of a document
+ * @param {string} content - HTML source
+ * @returns {string[]} Stylesheets in document order
+ */
+export function inlineStyles(content) {
+  const styles = [];
+  walk(parseMarkup(content), node => {
+    const text = node.tagName === 'style' && rawText(node);
+    if (text) {
+      styles.push(text.value);
+    }
+  });
+  return styles;
+}
+
+/**
+ * Rewrite mapped class tokens in attributes, inline styles and inline scripts
+ * @param {string} content - HTML source
+ * @param {object} context - Mapping context
+ * @param {string} [file] - Source file, used in warnings
+ * @returns {{ content: string, replacements: number }} Rewritten document
+ */
+export function obfuscateHTML(content, context, file = 'document') {
+  context.attributeRules ??= resolveAttributeRules(context.config.attributeRules);
+  const idsEnabled = Boolean(context.config.ids && context.idScan);
+  const rename = className => lookupClass(context, className);
+  const cssNameRenames = Object.fromEntries(
+    ['properties', 'keyframes']
+      .filter(category => cssNamesEnabled(context.config, category))
+      .map(category => [category, name => lookupCssName(context, category, name)])
+  );
+  const edits = [];
+  let replacements = 0;
+
+  walk(parseMarkup(content), node => {
+    const location = node.sourceCodeLocation;
+    if (!node.attrs || !location) {
+      return;
+    }
+
+    for (const attr of node.attrs) {
+      // parse5 splits namespaced attributes such as `xlink:href` into prefix and name
+      const name = attr.prefix ? `${attr.prefix}:${attr.name}` : attr.name;
+      const rule = context.attributeRules.get(name);
+      const attrLocation = location.attrs?.[name];
+      if (!rule || !attrLocation) {
+        continue;
+      }
+
+      const ids = !idsEnabled
+        ? undefined
+        : rule.type === 'id'
+          ? id => lookupId(context, id)
+          : id =>
+              referenceId(context, id, {
+                file,
+                line: attrLocation.startLine,
+                kind: name
+              });
+      try {
+        const result = rewriteAttributeValue(attr.value, rule, {
+          classes: rename,
+          ids,
+          ...cssNameRenames
+        });
+        const edit = result.replacements > 0 && attributeEdit(content, attrLocation, result.value);
+        if (edit) {
+          edits.push(edit);
+          replacements += result.replacements;
+        }
+      } catch (error) {
+        context.warnings.push(
+          `${file}:${attrLocation.startLine}: could not rewrite ${name}="${attr.value}" (${error.message})`
+        );
+      }
+    }
+
+    const text = rawText(node);
+    if (!text) {
+      return;
+    }
+
+    let result = null;
+    if (node.tagName === 'style') {
+      result = obfuscateCSS(text.value, context, file, {
+        discover: false,
+        lineOffset: text.sourceCodeLocation.startLine - 1
+      });
+    } else if (isInlineScript(node)) {
+      result = obfuscateJS(text.value, context, file, text.sourceCodeLocation.startLine - 1);
+    }
+
+    if (result?.replacements > 0) {
+      const { startOffset, endOffset } = text.sourceCodeLocation;
+      edits.push({ start: startOffset, end: endOffset, text: result.content });
+      replacements += result.replacements;
+    }
+  });
+
+  return { content: replacements > 0 ? applyEdits(content, edits) : content, replacements };
+}
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { validateConfig } from './config.js';
+import {
+  obfuscateHTML,
+  resolveAttributeRules,
+  rewriteAttributeValue,
+  rewriteClassList
+} from './html.js';
+import { createLookupContext } from './mapping.js';
+
+const classes = { btn: 'a1', 'btn-primary': 'a2', 'lg:flex': 'a3', 'size-5.5': 'a4' };
+const ids = { 'contact-us': 'b1', icon: 'b2' };
+const rename = name => classes[name] ?? null;
+const rules = resolveAttributeRules();
+
+describe('rewriteClassList', () => {
+  it('renames whole tokens and keeps the whitespace', () => {
+    const result = rewriteClassList(' btn\tbtn-primary  lg:flex size-5.5 ', rename);
+    assert.equal(result.value, ' a1\ta2  a3 a4 ');
+    assert.equal(result.replacements, 4);
+  });
+
+  it('leaves unmapped tokens and partial matches alone', () => {
+    const result = rewriteClassList('btn-secondary xbtn', rename);
+    assert.deepEqual(result, { value: 'btn-secondary xbtn', replacements: 0 });
+  });
+});
+
+describe('rewriteAttributeValue', () => {
+  it('rewrites the classes and IDs of selector attributes', () => {
+    const result = rewriteAttributeValue(
+      '#contact-us .btn, .lg\\:flex',
+      rules.get('data-overlay'),
+      {
+        classes: rename,
+        ids: id => ids[id] ?? null
+      }
+    );
+    assert.equal(result.value, '#b1 .a1, .a3');
+    assert.equal(result.replacements, 3);
+  });
+
+  it('rewrites only the configured paths of JSON attributes', () => {
+    const value = JSON.stringify({ loadingClasses: 'btn lg:flex', label: 'btn' });
+    const result = rewriteAttributeValue(value, rules.get('data-carousel'), { classes: rename });
+    assert.deepEqual(JSON.parse(result.value), { loadingClasses: 'a1 a3', label: 'btn' });
+    assert.equal(result.replacements, 2);
+  });
+
+  it('skips ID rules without an ID renamer', () => {
+    const result = rewriteAttributeValue('#contact-us', rules.get('href'), { classes: rename });
+    assert.deepEqual(result, { value: '#contact-us', replacements: 0 });
+  });
+});
+
+describe('obfuscateHTML', () => {
+  const context = () => createLookupContext(validateConfig({}), { classes, ids });
+
+  it('rewrites class lists, IDs and same-page links', () => {
+    const html =
+      '<a id="contact-us" class="btn btn-primary" href="/#contact-us">Contact</a>' +
+      '<a href="https://example.com/#contact-us">Elsewhere</a>';
+    const { content } = obfuscateHTML(html, context());
+    assert.equal(
+      content,
+      '<a id="b1" class="a1 a2" href="/#b1">Contact</a>' +
+        '<a href="https://example.com/#contact-us">Elsewhere</a>'
+    );
+  });
+
+  it('rewrites namespaced SVG references', () => {
+    const html =
+      '<svg><symbol id="icon"></symbol><use xlink:href="#icon"></use><use href="#icon"></use></svg>';
+    const { content } = obfuscateHTML(html, context());
+    assert.equal(
+      content,
+      '<svg><symbol id="b2"></symbol><use xlink:href="#b2"></use><use href="#b2"></use></svg>'
+    );
+  });
+
+  it('reports attribute values it cannot rewrite', () => {
+    const lookup = context();
+    const html = '<div data-carousel="{not json" class="btn"></div>';
+    const { content } = obfuscateHTML(html, lookup, 'page.html');
+    assert.equal(content, '<div data-carousel="{not json" class="a1"></div>');
+    assert.equal(lookup.warnings.length, 1);
+    assert.match(lookup.warnings[0], /^page\.html:1: could not rewrite data-carousel/);
+  });
+
+  it('leaves inline stylesheets it cannot parse unchanged', () => {
+    const lookup = context();
+    const html = '<p class="btn">Text</p>\n<style>\n.btn { color: red\n</style>';
+    const { content } = obfuscateHTML(html, lookup, 'page.html');
+    assert.equal(content, '<p class="a1">Text</p>\n<style>\n.btn { color: red\n</style>');
+    assert.equal(lookup.warnings.length, 1);
+    assert.match(
+      lookup.warnings[0],
+      /^page\.html:3:1: could not parse stylesheet \(Unclosed block\)/
+    );
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * ID obfuscation (`ids: true`)
+ *
+ * IDs are only renamed when it is provably safe:
+ * - the ID is defined by an `id` attribute in a processed document or a
+ *   page the server build renders,
+ * - it does not match `idIgnore` (public anchors such as `#home`),
+ * - it never appears in a script as a string outside the DOM APIs the JS
+ *   pass rewrites (`getElementById`, `querySelector`...). IDs kept in data,
+ *   e.g. `{ id: 'stats' }`, keep their name.
+ *
+ * References are rewritten by the passes: `href="#..."`, ID-list attributes
+ * such as `aria-controls`, selector attributes, `url(#...)` in CSS and SVG
+ * attributes, and literal arguments of the DOM APIs. References that cannot
+ * be checked are reported in `ids.json`.
+ */
+
+import { lookupId, mapId } from './mapping.js';
+
+const URL_REFERENCE = /url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g;
+
+function decode(id) {
+  try {
+    return decodeURIComponent(id);
+  } catch {
+    return id;
+  }
+}
+
+/**
+ * Record an `id` attribute found in a document
+ * @param {object} context - Mapping context
+ * @param {string} id - ID value
+ * @param {string} file - Document it was found in
+ */
+export function recordIdDefinition(context, id, file) {
+  if (id && !context.idScan.definitions.has(id)) {
+    context.idScan.definitions.set(id, file);
+  }
+}
+
+/**
+ * Record a script string literal that may hold an ID
+ * @param {object} context - Mapping context
+ * @param {string} value - Literal value
+ * @param {object} location - `{ file, line, snippet }`
+ */
+export function recordIdLiteral(context, value, location) {
+  const id = value.startsWith('#') ? value.slice(1) : value;
+  if (!id || /\s/.test(id)) {
+    return;
+  }
+  const locations = context.idScan.literals.get(id) || [];
+  locations.push(location);
+  context.idScan.literals.set(id, locations);
+}
+
+/**
+ * Record a reference that cannot be checked statically
+ * @param {object} context - Mapping context
+ * @param {object} issue - `{ file, line, kind, reason, snippet }`
+ */
+export function reportIdIssue(context, issue) {
+  context.idScan.issues.push(issue);
+}
+
+/**
+ * Decide which defined IDs are renamed. Runs once after discovery.
+ * @param {object} context - Mapping context
+ */
+export function planIds(context) {
+  const { definitions, literals, kept } = context.idScan;
+
+  for (const [id, file] of [...definitions].sort(([a], [b]) => a.localeCompare(b))) {
+    if (context.isIdIgnored(id)) {
+      kept.push({ id, file, reason: 'idIgnore' });
+    } else if (literals.has(id)) {
+      const [first] = literals.get(id);
+      kept.push({
+        id,
+        file,
+        reason: `used as a string in ${first.file}:${first.line} (${first.snippet})`
+      });
+    } else {
+      mapId(context, id);
+    }
+  }
+}
+
+/**
+ * Look up a referenced ID, reporting references to IDs no document defines
+ * @param {object} context - Mapping context
+ * @param {string} id - Referenced ID
+ * @param {object} location - `{ file, line, kind }` of the reference
+ * @returns {string|null} Obfuscated ID, or null to keep the reference
+ */
+export function referenceId(context, id, location) {
+  const found = lookupId(context, id);
+  if (!found && !context.idScan.definitions.has(id) && !context.isIdIgnored(id)) {
+    reportIdIssue(context, {
+      ...location,
+      reason: `"${id}" is not defined in any processed document; reference left unchanged`
+    });
+  }
+  return found;
+}
+
+/**
+ * Rewrite the fragment of a same-site link, e.g. `#contact-us` or `/#faqs`
+ * @param {string} value - `href` value
+ * @param {(id: string) => string|null} renameId - ID renamer
+ * @returns {{ value: string, replacements: number }} Rewritten link
+ */
+export function rewriteFragment(value, renameId) {
+  const hash = value.indexOf('#');
+  // Links with a scheme or host point at other sites
+  if (hash === -1 || hash === value.length - 1 || /^([a-z][a-z\d+.-]*:|\/\/)/i.test(value)) {
+    return { value, replacements: 0 };
+  }
+
+  const renamed = renameId(decode(value.slice(hash + 1)));
+  return renamed
+    ? { value: `${value.slice(0, hash)}#${renamed}`, replacements: 1 }
+    : { value, replacements: 0 };
+}
+
+/**
+ * Rewrite `url(#id)` references in a CSS value or declaration list
+ * @param {string} value - CSS text, e.g. `url(#mask0)` or `clip-path: url(#clip0)`
+ * @param {(id: string) => string|null} renameId - ID renamer
+ * @returns {{ value: string, replacements: number }} Rewritten text
+ */
+export function rewriteUrlReferences(value, renameId) {
+  let replacements = 0;
+  const rewritten = value.replace(URL_REFERENCE, (match, quote, id) => {
+    const renamed = renameId(decode(id));
+    if (!renamed) {
+      return match;
+    }
+    replacements++;
+    return `url(${quote}#${renamed}${quote})`;
+  });
+  return { value: replacements > 0 ? rewritten : value, replacements };
+}
+
+/**
+ * Summary written to `ids.json`
+ * @param {object} context - Mapping context
+ * @returns {object} Renamed count, kept IDs and unsafe references
+ */
+export function idReport(context) {
+  return {
+    enabled: Boolean(context.config.ids),
+    renamed: Object.keys(context.ids).length,
+    kept: context.idScan.kept,
+    issues: context.idScan.issues
+  };
+}
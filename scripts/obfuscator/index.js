@@ -0,0 +1,315 @@
+/**
+ * Class Name Obfuscation Engine
+ * Runs the CSS, HTML and JavaScript passes in-process over a build directory
+ *
+ * @example
+ * import { obfuscate } from './obfuscator/index.js';
+ * const result = await obfuscate({ srcDir: 'dist', outDir: 'dist-obfuscated', config });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { globSync } from 'glob';
+import { discoverCSS, obfuscateCSS } from './css.js';
+import { cssNameReport, cssNamesEnabled } from './cssnames.js';
+import { discoverHTML, obfuscateHTML } from './html.js';
+import { idReport, planIds } from './ids.js';
+import { obfuscateJS, scanJS } from './js.js';
+import { createMappingContext, loadSeed, saveMapping } from './mapping.js';
+import { purgeBuild } from './purge.js';
+import { writeServerMapping } from './server.js';
+import { renderServerSnapshot } from './ssr.js';
+
+/**
+ * @typedef {object} FileResult
+ * @property {string} file - Path relative to the output directory
+ * @property {'css'|'html'|'js'} type - Pass that processed the file
+ * @property {number} replacements - Number of rewritten class references
+ * @property {number} sizeBefore - Size in bytes before the pass
+ * @property {number} sizeAfter - Size in bytes after the pass
+ * @property {boolean} [reused] - Taken from the `cache` of an earlier run
+ */
+
+/**
+ * @typedef {object} ObfuscationResult
+ * @property {{ classes: Record<string, string>, ids: Record<string, string>, method: string }} mapping
+ *   Original to obfuscated names
+ * @property {FileResult[]} files - Per-file statistics
+ * @property {object} runtime - Classes found in scripts and usages that could not be resolved
+ * @property {object} ids - Renamed ID count, IDs that kept their name and unsafe references
+ * @property {object} cssNames - The same for custom properties, keyframes and layers
+ * @property {import('./purge.js').PurgeResult|null} purge - Rules removed by `purge`
+ * @property {string[]} warnings - Non-fatal problems found during the run
+ * @property {string|null} mappingPath - Where the mapping was saved
+ * @property {string[]} serverMappings - Copies of the mapping written into the server output
+ */
+
+const passes = [
+  {
+    type: 'css',
+    pattern: '**/*.css',
+    excludes: 'cssExcludes',
+    discover: discoverCSS,
+    run: obfuscateCSS
+  },
+  {
+    type: 'html',
+    pattern: '**/*.html',
+    excludes: 'htmlExcludes',
+    discover: discoverHTML,
+    run: obfuscateHTML
+  },
+  { type: 'js', pattern: '**/*.js', excludes: 'jsExcludes', discover: scanJS, run: obfuscateJS }
+];
+
+// Scripts are scanned first so safelisted runtime classes are known before any class is mapped
+const discoveryOrder = ['js', 'html', 'css'];
+
+function listFiles(outDir, pass, config) {
+  return globSync(pass.pattern, {
+    cwd: outDir,
+    nodir: true,
+    ignore: config[pass.excludes] || []
+  }).sort();
+}
+
+function discoverFiles(outDir, pass, files, context) {
+  for (const file of files) {
+    pass.discover(fs.readFileSync(path.join(outDir, file), 'utf8'), context, file);
+  }
+}
+
+function currentName(context, kind, name) {
+  const table = kind === 'class' ? context.classes : kind === 'id' ? context.ids : context[kind];
+  return Object.hasOwn(table, name) ? table[name] : null;
+}
+
+// Markup and scripts only look names up, so their output is the same as long as their source
+// and the answer to every lookup are
+function reusable(entry, source, context) {
+  return (
+    entry?.source === source &&
+    entry.lookups.every(([kind, name, found]) => currentName(context, kind, name) === found)
+  );
+}
+
+function processFiles(outDir, pass, files, context, cache) {
+  // Stylesheets map their classes rather than look them up, so they are always rewritten
+  const cacheable = pass.type !== 'css' ? cache : undefined;
+  return files.map(file => {
+    const fullPath = path.join(outDir, file);
+    const source = fs.readFileSync(fullPath, 'utf8');
+    const cached = cacheable?.get(file);
+    let result;
+
+    if (reusable(cached, source, context)) {
+      // Warnings of the pass are repeated, so every run reports the same
+      context.warnings.push(...cached.warnings);
+      result = { content: cached.content, replacements: cached.replacements, reused: true };
+    } else {
+      const lookups = [];
+      const warningCount = context.warnings.length;
+      context.onLookup = (name, found, kind) => lookups.push([kind, name, found]);
+      result = pass.run(source, context, file);
+      context.onLookup = undefined;
+      cacheable?.set(file, {
+        source,
+        lookups,
+        warnings: context.warnings.slice(warningCount),
+        content: result.content,
+        replacements: result.replacements
+      });
+    }
+
+    if (result.content !== source) {
+      fs.writeFileSync(fullPath, result.content);
+    }
+
+    return {
+      file: file.split(path.sep).join('/'),
+      type: pass.type,
+      replacements: result.replacements,
+      sizeBefore: Buffer.byteLength(source),
+      sizeAfter: Buffer.byteLength(result.content),
+      ...(result.reused ? { reused: true } : {})
+    };
+  });
+}
+
+/**
+ * Obfuscate class names across a build output directory
+ * @param {object} options
+ * @param {string} options.srcDir - Build output to read (e.g. `dist`)
+ * @param {string} [options.outDir] - Destination, defaults to rewriting `srcDir` in place
+ * @param {string} [options.dataDir] - Where to save `main.json`, skipped when omitted. With
+ *   `seedMapping` the names of the `main.json` already there are kept.
+ * @param {string} [options.serverDir] - Server output (SSR bundle) that gets a copy of the
+ *   mapping for the obfuscation middleware, skipped when omitted or missing. With `purge` its
+ *   chunks count as users of the classes they mention; with `ids` the IDs of the pages it
+ *   renders count as defined.
+ * @param {object} options.config - The `obfuscation` section of build.config.js
+ * @param {Map<string, object>} [options.cache] - Rewritten markup and scripts of earlier runs in
+ *   the same process (watch mode). A file is reused when its source and every name it looked up
+ *   are unchanged, and the cache is updated with the files that were rewritten. Not used with
+ *   `ids` or the CSS name options, whose passes report references while rewriting.
+ * @returns {Promise<ObfuscationResult>} Mapping, per-file stats and warnings
+ */
+export async function obfuscate({ srcDir, outDir = srcDir, dataDir, serverDir, config, cache }) {
+  if (!fs.existsSync(srcDir)) {
+    throw new Error(`Source directory not found: ${srcDir}`);
+  }
+
+  if (path.resolve(srcDir) !== path.resolve(outDir)) {
+    fs.cpSync(srcDir, outDir, { recursive: true });
+  }
+
+  // Unsalted hashes can be reversed by hashing known class names, so those builds use sequential
+  // names; the mapping, its seed check and the server copy all record the method actually used
+  let saltWarning = null;
+  if (config.classMethod === 'hash' && !config.salt) {
+    config = { ...config, classMethod: 'sequential' };
+    saltWarning =
+      'classMethod "hash" needs a salt, using "sequential" names instead (set OBFUSCATE_SALT)';
+  }
+
+  // Read before anything is written: the previous mapping is replaced at the end of the run
+  const { seed, warning } =
+    dataDir && config.seedMapping ? loadSeed(dataDir, config) : { seed: {}, warning: null };
+  const context = createMappingContext(config, { seed });
+  const files = [];
+  let purge = null;
+
+  if (warning) {
+    context.warnings.push(warning);
+  }
+  if (saltWarning) {
+    context.warnings.push(saltWarning);
+  }
+
+  if (config.enable !== false) {
+    const filesByPass = new Map(passes.map(pass => [pass, listFiles(outDir, pass, config)]));
+
+    for (const type of discoveryOrder) {
+      const pass = passes.find(candidate => candidate.type === type);
+      if (pass.discover) {
+        discoverFiles(outDir, pass, filesByPass.get(pass), context);
+      }
+    }
+
+    if (config.ids) {
+      // A server build writes no HTML: the server renders the pages that define its IDs
+      if (serverDir && fs.existsSync(serverDir)) {
+        for (const page of await renderServerSnapshot(serverDir, { original: true })) {
+          discoverHTML(page.html, context, `${page.pathname} (server)`);
+        }
+      }
+      if (context.idScan.definitions.size === 0) {
+        context.warnings.push(
+          `"ids" is enabled, but no HTML in ${outDir} and no server-rendered page defines an ` +
+            'ID: no ID is renamed'
+        );
+      }
+    }
+
+    // Purged before anything is mapped, so removed classes get no name
+    if (config.purge) {
+      const byType = type => filesByPass.get(passes.find(pass => pass.type === type));
+      purge = purgeBuild({
+        outDir,
+        files: { css: byType('css'), html: byType('html'), js: byType('js') },
+        serverDir,
+        context
+      });
+    }
+
+    // IDs are decided up front: a single unsafe use anywhere keeps an ID unchanged
+    if (config.ids) {
+      planIds(context);
+    }
+
+    // CSS runs first: it maps every class selector before markup and scripts are rewritten
+    const passCache = config.ids || cssNamesEnabled(config) ? undefined : cache;
+    for (const pass of passes) {
+      files.push(...processFiles(outDir, pass, filesByPass.get(pass), context, passCache));
+    }
+    // Files of earlier builds that are gone (new content hash) are dropped
+    for (const file of passCache?.keys() || []) {
+      if (!files.some(entry => entry.file === file.split(path.sep).join('/'))) {
+        passCache.delete(file);
+      }
+    }
+  } else {
+    context.warnings.push('Obfuscation is disabled in the config; files were copied unchanged');
+  }
+
+  const mapping = {
+    classes: context.classes,
+    ids: context.ids,
+    properties: context.properties,
+    keyframes: context.keyframes,
+    layers: context.layers,
+    method: config.classMethod
+  };
+  const runtime = {
+    mode: config.runtimeClasses,
+    classes: context.runtime.classes,
+    safelist: [...context.safelist].sort(),
+    globs: context.runtime.globs,
+    unresolved: context.runtime.unresolved
+  };
+  const ids = idReport(context);
+  const cssNames = cssNameReport(context);
+
+  let mappingPath = null;
+  if (dataDir) {
+    mappingPath = saveMapping(dataDir, mapping, config);
+    fs.writeFileSync(
+      path.join(dataDir, 'runtime-classes.json'),
+      JSON.stringify(runtime, null, config.formatJson === false ? 0 : 2)
+    );
+    if (config.ids) {
+      fs.writeFileSync(
+        path.join(dataDir, 'ids.json'),
+        JSON.stringify(ids, null, config.formatJson === false ? 0 : 2)
+      );
+    }
+    if (cssNamesEnabled(config)) {
+      fs.writeFileSync(
+        path.join(dataDir, 'css-names.json'),
+        JSON.stringify(cssNames, null, config.formatJson === false ? 0 : 2)
+      );
+    }
+    // The verifier leaves the rules listed here out of the original stylesheets
+    const purgePath = path.join(dataDir, 'purge.json');
+    if (purge) {
+      fs.writeFileSync(purgePath, JSON.stringify(purge, null, config.formatJson === false ? 0 : 2));
+    } else {
+      fs.rmSync(purgePath, { force: true });
+    }
+  }
+
+  let serverMappings = [];
+  if (serverDir && fs.existsSync(serverDir)) {
+    serverMappings = writeServerMapping(serverDir, mapping, config);
+    if (serverMappings.length === 0) {
+      context.warnings.push(
+        `No chunk in ${serverDir} includes the obfuscation middleware (src/middleware.js); ` +
+          'server-rendered pages keep their original class names'
+      );
+    }
+  }
+
+  return {
+    mapping,
+    files,
+    runtime,
+    ids,
+    cssNames,
+    purge,
+    warnings: context.warnings,
+    mappingPath,
+    serverMappings
+  };
+}
+
+export default obfuscate;
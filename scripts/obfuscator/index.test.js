@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { validateConfig } from './config.js';
+import { obfuscate } from './index.js';
+
+describe('obfuscate', () => {
+  let directory;
+  let srcDir;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'obfuscate-'));
+    srcDir = path.join(directory, 'dist');
+    fs.mkdirSync(srcDir);
+    fs.writeFileSync(path.join(srcDir, 'main.css'), '.hero {} .hero-title {}');
+    fs.writeFileSync(path.join(srcDir, 'index.html'), '<h1 class="hero hero-title">Hi</h1>');
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const run = (options, name) =>
+    obfuscate({
+      srcDir,
+      outDir: path.join(directory, name),
+      dataDir: path.join(directory, `${name}-data`),
+      config: validateConfig({ verify: false, ...options })
+    });
+
+  it('uses sequential names instead of unsalted hashes', async () => {
+    const result = await run({ classMethod: 'hash', salt: '' }, 'unsalted');
+    assert.equal(result.mapping.method, 'sequential');
+    assert.deepEqual(result.mapping.classes, { hero: 'a1', 'hero-title': 'a2' });
+    assert.ok(result.warnings.some(warning => /"hash" needs a salt/.test(warning)));
+    const saved = JSON.parse(fs.readFileSync(result.mappingPath, 'utf8'));
+    assert.equal(saved.method, 'sequential');
+  });
+
+  it('hashes names with a salt', async () => {
+    const result = await run({ classMethod: 'hash', salt: 'secret' }, 'salted');
+    assert.equal(result.mapping.method, 'hash');
+    assert.notEqual(result.mapping.classes.hero, 'a1');
+    assert.deepEqual(result.warnings, []);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Astro integration that obfuscates the build inside `astro build`
+ *
+ * @example
+ * // astro.config.mjs
+ * import obfuscator from './scripts/obfuscator/integration.js';
+ * export default defineConfig({ integrations: [obfuscator()] });
+ *
+ * Runs the same steps as `node scripts/obfuscate.js` once the adapter has
+ * written its output: `dist` → `dist-obfuscated`, new content hashes for the
+ * rewritten assets, the mapping copy for the server bundle and the obfuscated
+ * client files in the adapter's static output (`staticPath`).
+ */
+
+import AstroObfuscator from '../obfuscate.js';
+import { loadConfig } from './config.js';
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.configPath] - Config module, defaults to build.config.js
+ * @param {object} [options.overrides] - Settings that take precedence over the config file
+ * @returns {import('astro').AstroIntegration} Integration
+ */
+export default function obfuscator({ configPath, overrides = {} } = {}) {
+  const buildDone = async ({ logger }) => {
+    const config = await loadConfig({ configPath, overrides });
+    if (!config.enable) {
+      logger.info('Obfuscation is disabled in the config; the build is left unchanged');
+      return;
+    }
+    await new AstroObfuscator(config).run();
+  };
+
+  return {
+    name: 'astro-obfuscator',
+    hooks: {
+      'astro:config:setup': ({ command, updateConfig }) => {
+        if (command !== 'build') {
+          return;
+        }
+        // Integrations added here run after the ones the adapter adds during its own setup,
+        // so the adapter has copied its static files by the time the build is obfuscated
+        updateConfig({
+          integrations: [
+            { name: 'astro-obfuscator:build', hooks: { 'astro:build:done': buildDone } }
+          ]
+        });
+      }
+    }
+  };
+}
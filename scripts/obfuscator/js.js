@@ -0,0 +1,421 @@
+/**
+ * JavaScript pass: finds class names and IDs used through DOM APIs
+ *
+ * Scripts are parsed with acorn. String literals passed to `classList.*`,
+ * `className`, `setAttribute('class', ...)`, `getElementsByClassName` and
+ * the selector APIs (`querySelector*`, `closest`, `matches`) are either
+ * rewritten with the mapping (`runtimeClasses: 'rewrite'`) or added to the
+ * safelist before the mapping is built (`runtimeClasses: 'safelist'`).
+ * Class names that are computed at runtime keep their name when the static
+ * parts tell which ones they can be (`is-${state}` keeps every `is-*` class);
+ * the others are reported, since any renamed class they produce loses its
+ * styles.
+ *
+ * With `ids` enabled, `getElementById` arguments and `#id` selectors are
+ * rewritten too, and with `customProperties` the property names passed to
+ * `getPropertyValue`, `setProperty` and `removeProperty`. Every other string
+ * literal is recorded so IDs and CSS names that scripts handle as data keep
+ * their name (see ids.js and cssnames.js).
+ */
+
+import { parse } from 'acorn';
+import { simple } from 'acorn-walk';
+import { rewriteSelector } from './css.js';
+import { applyEdits } from './edits.js';
+import { rewriteClassList } from './html.js';
+import {
+  cssNamesEnabled,
+  lookupCssName,
+  recordCssNameLiteral,
+  reportCssNameIssue
+} from './cssnames.js';
+import { recordIdLiteral, referenceId, reportIdIssue } from './ids.js';
+import { keepRuntimeClasses, lookupClass } from './mapping.js';
+
+// Number of leading arguments that hold class names, Infinity for all of them
+const CLASS_LIST_METHODS = { add: Infinity, remove: Infinity, toggle: 1, contains: 1, replace: 2 };
+const PROPERTY_METHODS = [
+  'getPropertyValue',
+  'getPropertyPriority',
+  'setProperty',
+  'removeProperty'
+];
+const SELECTOR_METHODS = [
+  'querySelector',
+  'querySelectorAll',
+  'closest',
+  'matches',
+  'webkitMatchesSelector'
+];
+const CLASS_SELECTOR_FRAGMENT = /(^|[\s>+~,(])\.(-?[_a-zA-Z\\]|$)/;
+const ID_SELECTOR_FRAGMENT = /(^|[\s>+~,(])#(-?[_a-zA-Z\\]|$)/;
+
+function parseScript(content) {
+  const options = { ecmaVersion: 'latest', locations: true, allowHashBang: true };
+  try {
+    return parse(content, { ...options, sourceType: 'module' });
+  } catch {
+    return parse(content, { ...options, sourceType: 'script' });
+  }
+}
+
+function propertyNames(member) {
+  const { property, computed } = member;
+  if (!computed && property.type === 'Identifier') {
+    return [property.name];
+  }
+  return (stringValues(property) || []).map(entry => entry.value);
+}
+
+/**
+ * Resolve an expression to the string literals it can evaluate to
+ * @returns {{ node: object, value: string }[]|null} Literals, or null when computed at runtime
+ */
+function stringValues(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return [{ node, value: node.value }];
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return [{ node, value: node.quasis[0].value.cooked }];
+  }
+  if (node.type === 'ConditionalExpression') {
+    const consequent = stringValues(node.consequent);
+    const alternate = stringValues(node.alternate);
+    return consequent && alternate ? [...consequent, ...alternate] : null;
+  }
+  return null;
+}
+
+function hasSelectorFragment(node, fragment) {
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis.some(quasi => fragment.test(quasi.value.cooked || ''));
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return [node.left, node.right].some(
+      side =>
+        (side.type === 'Literal' && fragment.test(String(side.value))) ||
+        hasSelectorFragment(side, fragment)
+    );
+  }
+  return false;
+}
+
+// Text of a computed string with `*` for every part only known at runtime
+function dynamicText(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value.replace(/[*?\\]/g, '\\$&');
+  }
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis
+      .map((quasi, index) => {
+        const text = (quasi.value.cooked || '').replace(/[*?\\]/g, '\\$&');
+        return index < node.expressions.length ? text + dynamicText(node.expressions[index]) : text;
+      })
+      .join('');
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return dynamicText(node.left) + dynamicText(node.right);
+  }
+  return '*';
+}
+
+/**
+ * Name globs for the classes of a computed class list, e.g. `is-*` for `is-${state}`
+ * @returns {string[]|null} Globs, or null when a class can have almost any name
+ */
+function dynamicClassGlobs(node) {
+  const globs = dynamicText(node).split(/\s+/).filter(Boolean);
+  // `${a}-${b}` says nothing about the name; a prefix or suffix such as `is-` does
+  const informative = glob => {
+    const parts = glob.split(/(?<!\\)\*/);
+    return parts.length === 1 || parts[0].length + parts[parts.length - 1].length >= 2;
+  };
+  return globs.length > 0 && globs.every(informative) ? globs : null;
+}
+
+function snippetOf(content, node) {
+  const snippet = content.slice(node.start, node.end).replace(/\s+/g, ' ');
+  return snippet.length > 80 ? `${snippet.slice(0, 77)}...` : snippet;
+}
+
+/**
+ * Find the class names and IDs a script passes to DOM APIs
+ * @param {string} content - Script source
+ * @returns {{ usages: object[], unresolved: object[], literals: object[] }} Literal usages,
+ *   runtime-computed ones (`target` is 'class' or 'id') and all other string literals
+ */
+export function findDomUsages(content) {
+  const usages = [];
+  const unresolved = [];
+  const literals = [];
+
+  const report = (node, api, reason, target, globs = null) => {
+    unresolved.push({
+      line: node.loc.start.line,
+      column: node.loc.start.column,
+      api,
+      reason,
+      target,
+      globs,
+      snippet: snippetOf(content, node)
+    });
+  };
+
+  const collect = (node, kind, api, reportDynamic = 'class') => {
+    const values = stringValues(node);
+    if (values) {
+      values.forEach(entry => usages.push({ ...entry, kind, api }));
+    } else if (reportDynamic) {
+      const reason = node.type === 'TemplateLiteral' ? 'template literal' : `${node.type}`;
+      const globs = kind === 'classList' ? dynamicClassGlobs(node) : null;
+      report(node, api, reason, reportDynamic, globs);
+    }
+  };
+
+  const ast = parseScript(content);
+  simple(ast, {
+    CallExpression(node) {
+      const { callee } = node;
+      if (callee.type !== 'MemberExpression') {
+        return;
+      }
+      const methods = propertyNames(callee);
+      const args = node.arguments.filter(arg => arg.type !== 'SpreadElement');
+
+      const onClassList =
+        callee.object.type === 'MemberExpression' &&
+        propertyNames(callee.object).includes('classList');
+      const classListMethod = methods.find(method => Object.hasOwn(CLASS_LIST_METHODS, method));
+
+      if (onClassList && classListMethod) {
+        args
+          .slice(0, CLASS_LIST_METHODS[classListMethod])
+          .forEach(arg => collect(arg, 'classList', `classList.${classListMethod}`));
+      } else if (methods.some(method => SELECTOR_METHODS.includes(method)) && args[0]) {
+        // Dynamic selectors are only worth reporting when they visibly build a class or ID selector
+        const target =
+          (hasSelectorFragment(args[0], CLASS_SELECTOR_FRAGMENT) && 'class') ||
+          (hasSelectorFragment(args[0], ID_SELECTOR_FRAGMENT) && 'id');
+        collect(args[0], 'selector', methods[0], target);
+      } else if (methods.includes('getElementById') && args[0]) {
+        collect(args[0], 'id', 'getElementById', 'id');
+      } else if (methods.some(method => PROPERTY_METHODS.includes(method)) && args[0]) {
+        collect(args[0], 'property', methods[0], 'property');
+      } else if (methods.includes('getElementsByClassName') && args[0]) {
+        collect(args[0], 'classList', 'getElementsByClassName');
+      } else if (methods.includes('setAttribute') && args[1]) {
+        const name = stringValues(args[0]);
+        if (name?.some(entry => entry.value.toLowerCase() === 'class')) {
+          collect(args[1], 'classList', 'setAttribute');
+        }
+      }
+    },
+    AssignmentExpression(node) {
+      const { left } = node;
+      if (left.type === 'MemberExpression' && propertyNames(left).includes('className')) {
+        collect(node.right, 'classList', 'className');
+      }
+    }
+  });
+
+  const used = new Set(usages.map(usage => usage.node));
+  simple(ast, {
+    Literal(node) {
+      if (typeof node.value === 'string' && !used.has(node)) {
+        literals.push({ node, value: node.value });
+      }
+    },
+    TemplateLiteral(node) {
+      if (node.expressions.length === 0 && !used.has(node)) {
+        literals.push({ node, value: node.quasis[0].value.cooked });
+      }
+    }
+  });
+
+  return { usages, unresolved, literals };
+}
+
+function classNamesIn(usage) {
+  const names = [];
+  const collect = name => {
+    names.push(name);
+    return null;
+  };
+
+  if (usage.kind === 'selector') {
+    rewriteSelector(usage.value, collect);
+  } else if (usage.kind === 'id' || usage.kind === 'property') {
+    return names;
+  } else {
+    rewriteClassList(usage.value, collect);
+  }
+  return names;
+}
+
+function literalText(node, value) {
+  if (node.type === 'TemplateLiteral') {
+    return '`' + value.replace(/\\|`|\$\{/g, match => '\\' + match) + '`';
+  }
+  const quote = node.raw[0];
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(new RegExp(quote, 'g'), '\\' + quote);
+  return quote + escaped + quote;
+}
+
+/**
+ * Record the runtime class usages of a script. In `safelist` mode the
+ * classes are also excluded from the mapping that is built afterwards.
+ * With `ids` enabled, string literals and dynamic ID lookups are recorded.
+ * @param {string} content - Script source
+ * @param {object} context - Mapping context
+ * @param {string} [file] - Source file, used in the report
+ * @param {number} [lineOffset=0] - Line of the script inside its file, for inline scripts
+ */
+export function scanJS(content, context, file = 'script', lineOffset = 0) {
+  let found;
+  try {
+    found = findDomUsages(content);
+  } catch (error) {
+    context.warnings.push(`${file}: could not parse script (${error.message})`);
+    return;
+  }
+  const idsEnabled = Boolean(context.config.ids);
+  const propertiesEnabled = cssNamesEnabled(context.config, 'properties');
+
+  for (const usage of found.usages) {
+    let names;
+    try {
+      names = classNamesIn(usage);
+    } catch (error) {
+      context.runtime.unresolved.push({
+        file,
+        line: usage.node.loc.start.line + lineOffset,
+        api: usage.api,
+        reason: `invalid selector (${error.message})`,
+        snippet: usage.value
+      });
+      continue;
+    }
+
+    for (const name of names) {
+      context.runtime.classes[name] = (context.runtime.classes[name] || 0) + 1;
+      if (context.config.runtimeClasses === 'safelist') {
+        context.safelist.add(name);
+      }
+    }
+  }
+
+  for (const { target, globs, ...entry } of found.unresolved) {
+    const line = entry.line + lineOffset;
+    if (target === 'class' && globs) {
+      keepRuntimeClasses(context, globs);
+    } else if (target === 'class') {
+      context.runtime.unresolved.push({ file, ...entry, line });
+      context.warnings.push(
+        `${file}:${line}: ${entry.api} ← ${entry.snippet} computes class names at runtime; ` +
+          'renamed classes it uses lose their styles (add them to classIgnore)'
+      );
+    } else if (target === 'id' && idsEnabled) {
+      reportIdIssue(context, {
+        file,
+        line,
+        kind: entry.api,
+        reason: `ID computed at runtime (${entry.reason})`,
+        snippet: entry.snippet
+      });
+    } else if (target === 'property' && propertiesEnabled) {
+      reportCssNameIssue(context, {
+        file,
+        line,
+        kind: entry.api,
+        reason: `property name computed at runtime (${entry.reason})`,
+        snippet: entry.snippet
+      });
+    }
+  }
+
+  const cssNames = cssNamesEnabled(context.config) && context.cssNames;
+  if (idsEnabled || cssNames) {
+    for (const { node, value } of found.literals) {
+      const location = {
+        file,
+        line: node.loc.start.line + lineOffset,
+        snippet: snippetOf(content, node)
+      };
+      if (idsEnabled) recordIdLiteral(context, value, location);
+      if (cssNames) recordCssNameLiteral(context, value, location);
+    }
+  }
+}
+
+function rewriteUsage(usage, { classes, ids, properties }) {
+  if (usage.kind === 'selector') {
+    const result = rewriteSelector(usage.value, classes, ids);
+    return { value: result.selector, replacements: result.replacements };
+  }
+  if (usage.kind === 'id' || usage.kind === 'property') {
+    const renamed = (usage.kind === 'id' ? ids : properties)?.(usage.value);
+    return renamed ? { value: renamed, replacements: 1 } : { value: usage.value, replacements: 0 };
+  }
+  return rewriteClassList(usage.value, classes);
+}
+
+/**
+ * Rewrite mapped class names, IDs and custom properties in literals passed to DOM APIs
+ * @param {string} content - Script source
+ * @param {object} context - Mapping context
+ * @param {string} [file] - Source file, used in warnings
+ * @param {number} [lineOffset=0] - Line of the script inside its file, for inline scripts
+ * @returns {{ content: string, replacements: number }} Rewritten script
+ */
+export function obfuscateJS(content, context, file = 'script', lineOffset = 0) {
+  const rewriteClasses = context.config.runtimeClasses !== 'safelist';
+  const idsEnabled = Boolean(context.config.ids && context.idScan);
+  const properties = cssNamesEnabled(context.config, 'properties')
+    ? name => lookupCssName(context, 'properties', name)
+    : undefined;
+  if (!rewriteClasses && !idsEnabled && !properties) {
+    return { content, replacements: 0 };
+  }
+
+  let usages;
+  try {
+    ({ usages } = findDomUsages(content));
+  } catch (error) {
+    context.warnings.push(`${file}: could not parse script (${error.message})`);
+    return { content, replacements: 0 };
+  }
+
+  const rename = rewriteClasses ? className => lookupClass(context, className) : () => null;
+  const edits = [];
+  let replacements = 0;
+
+  for (const usage of usages) {
+    const renameId = idsEnabled
+      ? id =>
+          referenceId(context, id, {
+            file,
+            line: usage.node.loc.start.line + lineOffset,
+            kind: usage.api
+          })
+      : undefined;
+    try {
+      const result = rewriteUsage(usage, { classes: rename, ids: renameId, properties });
+      if (result.replacements > 0) {
+        const { value } = result;
+        edits.push({
+          start: usage.node.start,
+          end: usage.node.end,
+          text: literalText(usage.node, value)
+        });
+        replacements += result.replacements;
+      }
+    } catch {
+      // Invalid selectors are reported by scanJS and left untouched
+    }
+  }
+
+  return { content: replacements > 0 ? applyEdits(content, edits) : content, replacements };
+}
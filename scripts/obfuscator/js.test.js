@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { validateConfig } from './config.js';
+import { findDomUsages, obfuscateJS, scanJS } from './js.js';
+import { createLookupContext, createMappingContext, mapClass } from './mapping.js';
+
+const config = validateConfig({ classMethod: 'hash', salt: 'test' });
+const classes = { btn: 'a1', 'btn-primary': 'a2', 'text-primary': 'a3', hidden: 'a4' };
+
+describe('findDomUsages', () => {
+  it('finds the literals passed to classList, className and selector APIs', () => {
+    const { usages } = findDomUsages(`
+      el.classList.add('btn', \`btn-primary\`);
+      el.classList.toggle(open ? 'hidden' : 'block', force);
+      el.className = 'btn text-primary';
+      document.querySelectorAll('.nav > .btn');
+    `);
+    assert.deepEqual(
+      usages.map(({ kind, api, value }) => [kind, api, value]),
+      [
+        ['classList', 'classList.add', 'btn'],
+        ['classList', 'classList.add', 'btn-primary'],
+        ['classList', 'classList.toggle', 'hidden'],
+        ['classList', 'classList.toggle', 'block'],
+        ['classList', 'className', 'btn text-primary'],
+        ['selector', 'querySelectorAll', '.nav > .btn']
+      ]
+    );
+  });
+
+  it('reports class names computed at runtime', () => {
+    const { usages, unresolved } = findDomUsages(
+      'el.classList.add(`is-${state}`); el.classList.remove(name); el.matches(".a-" + b);'
+    );
+    assert.equal(usages.length, 0);
+    assert.deepEqual(
+      unresolved.map(({ api, reason, globs }) => [api, reason, globs]),
+      [
+        ['classList.add', 'template literal', ['is-*']],
+        ['classList.remove', 'Identifier', null],
+        ['matches', 'BinaryExpression', null]
+      ]
+    );
+  });
+});
+
+describe('scanJS', () => {
+  it('keeps the classes a template literal can produce', () => {
+    const context = createMappingContext(config);
+    scanJS('el.classList.add(`is-${state}`); el.className = "card " + size + "-card";', context);
+    assert.deepEqual(context.runtime.globs, ['is-*', 'card', '*-card']);
+    assert.equal(mapClass(context, 'is-open'), null);
+    assert.equal(mapClass(context, 'card'), null);
+    assert.equal(mapClass(context, 'large-card'), null);
+    assert.ok(mapClass(context, 'btn'));
+    assert.deepEqual(context.warnings, []);
+  });
+
+  it('warns about class names it cannot tell anything about', () => {
+    const context = createMappingContext(config);
+    scanJS('\nel.classList.add(this.hiddenClass);', context, 'app.js');
+    assert.equal(context.runtime.unresolved.length, 1);
+    assert.match(
+      context.warnings[0],
+      /^app\.js:2: classList\.add ← this\.hiddenClass computes class names at runtime/
+    );
+  });
+
+  it('safelists literal classes in safelist mode', () => {
+    const context = createMappingContext({ ...config, runtimeClasses: 'safelist' });
+    scanJS('el.classList.add("text-primary")', context);
+    assert.deepEqual([...context.safelist], ['text-primary']);
+    assert.equal(mapClass(context, 'text-primary'), null);
+  });
+});
+
+describe('obfuscateJS', () => {
+  it('rewrites mapped classes in literals and leaves computed ones alone', () => {
+    const context = createLookupContext(config, { classes });
+    const source =
+      'el.classList.add(`btn-primary`, "unknown");\n' +
+      "el.querySelector('.btn:not(.hidden)');\n" +
+      'el.classList.add(`is-${state}`);';
+    const { content, replacements } = obfuscateJS(source, context);
+    assert.equal(
+      content,
+      'el.classList.add(`a2`, "unknown");\n' +
+        "el.querySelector('.a1:not(.a4)');\n" +
+        'el.classList.add(`is-${state}`);'
+    );
+    assert.equal(replacements, 3);
+  });
+
+  it('leaves scripts it cannot parse unchanged', () => {
+    const context = createLookupContext(config, { classes });
+    const result = obfuscateJS('el.classList.add("btn"', context, 'broken.js');
+    assert.deepEqual(result, { content: 'el.classList.add("btn"', replacements: 0 });
+    assert.match(context.warnings[0], /^broken\.js: could not parse script/);
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Shared logger of the build scripts (obfuscate.js, verify-obfuscation.js,
+ * test-server.js)
+ *
+ * - Levels: `error`, `warn`, `info` (default) and `debug`. `--quiet` shows
+ *   warnings and errors only, `--verbose` adds per-file details.
+ * - Formats: `text` (default) prints lines prefixed with the level and the
+ *   time, `json` (`--json` without a value) prints one JSON object per line
+ *   to stdout.
+ * - `OBFUSCATE_LOG_LEVEL` and `OBFUSCATE_LOG_FORMAT` set the same from the
+ *   environment, e.g. for `astro build`, whose arguments the scripts do not
+ *   see. Command line flags win.
+ * - {@link Logger#stage} times the steps of a run and {@link Logger#summary}
+ *   reports them with the warning and error counts and the exit code.
+ *
+ * Exit codes ({@link EXIT_CODES}), the same for every script:
+ *   0  success, warnings included
+ *   1  a check failed: verification, size budgets ({@link CheckError})
+ *   2  invalid command line or config ({@link UsageError}, ConfigError)
+ *   3  the run could not complete: missing build, unreadable files, crashes
+ */
+
+import { performance } from 'perf_hooks';
+import { ConfigError } from './config.js';
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+export const LOG_FORMATS = ['text', 'json'];
+export const LOG_FLAGS = ['--quiet', '--verbose', '--json'];
+
+export const EXIT_CODES = {
+  success: 0,
+  checkFailed: 1,
+  usage: 2,
+  failed: 3
+};
+
+/**
+ * A check found a problem in the build; exits with {@link EXIT_CODES}.checkFailed
+ */
+export class CheckError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CheckError';
+  }
+}
+
+/**
+ * The command line is invalid; exits with {@link EXIT_CODES}.usage
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Exit code for the error that ended a run
+ * @param {Error} [error] - Error, or nothing for a successful run
+ * @returns {number} Code from {@link EXIT_CODES}
+ */
+export function exitCodeFor(error) {
+  if (!error) {
+    return EXIT_CODES.success;
+  }
+  if (error instanceof CheckError) {
+    return EXIT_CODES.checkFailed;
+  }
+  if (error instanceof UsageError || error instanceof ConfigError) {
+    return EXIT_CODES.usage;
+  }
+  return EXIT_CODES.failed;
+}
+
+/**
+ * Read the log options from the command line and the environment
+ * @param {string[]} [argv] - Process arguments
+ * @param {Record<string, string|undefined>} [env] - Environment variables
+ * @returns {{ level: string, format: string }} Logger options
+ */
+export function parseLogArgs(argv = process.argv, env = process.env) {
+  const quiet = argv.includes('--quiet');
+  const verbose = argv.includes('--verbose');
+  if (quiet && verbose) {
+    throw new UsageError('--quiet and --verbose cannot be combined');
+  }
+  // `--json <file>` names a report file in verify-obfuscation.js
+  const json = argv.some(
+    (arg, index) => arg === '--json' && (!argv[index + 1] || argv[index + 1].startsWith('--'))
+  );
+
+  const level = quiet ? 'warn' : verbose ? 'debug' : env.OBFUSCATE_LOG_LEVEL || 'info';
+  const format = json ? 'json' : env.OBFUSCATE_LOG_FORMAT || 'text';
+  if (!LOG_LEVELS.includes(level)) {
+    throw new UsageError(`OBFUSCATE_LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new UsageError(`OBFUSCATE_LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')}`);
+  }
+  return { level, format };
+}
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+export class Logger {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.level='info'] - Lowest level that is printed
+   * @param {string} [options.format='text'] - `text` or `json`
+   * @param {string} [options.name] - Script name, part of every JSON record
+   * @param {{ write: (text: string) => void }} [options.stdout] - Output for records
+   * @param {{ write: (text: string) => void }} [options.stderr] - Output for text warnings and
+   *   errors
+   */
+  constructor({
+    level = 'info',
+    format = 'text',
+    name,
+    stdout = process.stdout,
+    stderr = process.stderr
+  } = {}) {
+    this.level = level;
+    this.format = format;
+    this.name = name;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.started = performance.now();
+    this.stages = [];
+    this.currentStage = null;
+    this.counts = { warn: 0, error: 0 };
+  }
+
+  /**
+   * Logger with the same options and its own stages and counts
+   * @param {string} name - Script or step name
+   * @returns {Logger} New logger
+   */
+  child(name) {
+    const { level, format, stdout, stderr } = this;
+    return new Logger({ level, format, name, stdout, stderr });
+  }
+
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+  }
+
+  write(level, message, data = {}, { detail = false } = {}) {
+    if (level === 'warn' || level === 'error') {
+      this.counts[level] += detail ? 0 : 1;
+    }
+    if (!this.enabled(level)) {
+      return;
+    }
+    const time = new Date().toISOString();
+    if (this.format === 'json') {
+      const record = {
+        time,
+        level,
+        ...(this.name ? { name: this.name } : {}),
+        ...(this.currentStage ? { stage: this.currentStage } : {}),
+        message,
+        ...(detail ? { detail: true } : {}),
+        ...data
+      };
+      this.stdout.write(`${JSON.stringify(record)}\n`);
+      return;
+    }
+    const stream = level === 'warn' || level === 'error' ? this.stderr : this.stdout;
+    stream.write(
+      detail ? `  ${message}\n` : `${level.toUpperCase().padEnd(5)} [${time}] ${message}\n`
+    );
+  }
+
+  error(message, data) {
+    this.write('error', message, data);
+  }
+
+  warn(message, data) {
+    this.write('warn', message, data);
+  }
+
+  info(message, data) {
+    this.write('info', message, data);
+  }
+
+  success(message, data) {
+    this.write('info', message, data);
+  }
+
+  debug(message, data) {
+    this.write('debug', message, data);
+  }
+
+  /**
+   * Indented continuation of the previous line, such as one failure of a check. Not counted as
+   * a warning or error of its own.
+   * @param {string} message - Line
+   * @param {string} [level='info'] - Level the line is printed at
+   * @param {object} [data] - Extra fields of the JSON record
+   */
+  detail(message, level = 'info', data) {
+    this.write(level, message, data, { detail: true });
+  }
+
+  /**
+   * Text that is not a log record, such as the usage of a script; printed at every level and in
+   * every format
+   * @param {string} text - Text, one or more lines
+   */
+  print(text) {
+    this.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+  }
+
+  /**
+   * Heading of a group of lines; text output only
+   * @param {string} title - Heading
+   */
+  section(title) {
+    if (this.format === 'text' && this.enabled('info')) {
+      this.stdout.write(`\n${title}\n`);
+    }
+  }
+
+  /**
+   * Run and time a step of the pipeline. Records logged during the step carry its name.
+   * @template T
+   * @param {string} name - Step name
+   * @param {() => Promise<T>|T} run - Step
+   * @returns {Promise<T>} Result of the step; errors are passed on
+   */
+  async stage(name, run) {
+    const started = performance.now();
+    const outer = this.currentStage;
+    this.currentStage = name;
+    let status = 'failed';
+    try {
+      const result = await run();
+      status = 'ok';
+      return result;
+    } finally {
+      const duration = performance.now() - started;
+      this.stages.push({ name, durationMs: Math.round(duration), status });
+      this.debug(`${name}: ${status} in ${formatDuration(duration)}`);
+      this.currentStage = outer;
+    }
+  }
+
+  /**
+   * Report the stage timings, counts and exit code of the run
+   * @param {Error} [error] - Error that ended the run
+   * @returns {number} Exit code, see {@link exitCodeFor}
+   */
+  summary(error) {
+    const exitCode = exitCodeFor(error);
+    const durationMs = Math.round(performance.now() - this.started);
+    const status = exitCode === EXIT_CODES.success ? 'passed' : 'failed';
+    const counts = `${this.counts.warn} warning(s), ${this.counts.error} error(s)`;
+
+    if (this.format === 'json') {
+      this.stdout.write(
+        `${JSON.stringify({
+          time: new Date().toISOString(),
+          level: exitCode === EXIT_CODES.success ? 'info' : 'error',
+          ...(this.name ? { name: this.name } : {}),
+          message: 'summary',
+          status,
+          exitCode,
+          ...(error ? { error: error.message } : {}),
+          durationMs,
+          stages: this.stages,
+          warnings: this.counts.warn,
+          errors: this.counts.error
+        })}\n`
+      );
+      return exitCode;
+    }
+    if (this.enabled('info')) {
+      const width = Math.max(0, ...this.stages.map(stage => stage.name.length));
+      this.section(`Summary (${status}, exit code ${exitCode})`);
+      for (const stage of this.stages) {
+        const mark = stage.status === 'ok' ? '' : ` (${stage.status})`;
+        this.stdout.write(
+          `   ${stage.name.padEnd(width)}  ${formatDuration(stage.durationMs)}${mark}\n`
+        );
+      }
+      this.stdout.write(`   ${'total'.padEnd(width)}  ${formatDuration(durationMs)}, ${counts}\n`);
+    } else if (exitCode !== EXIT_CODES.success) {
+      this.stderr.write(
+        `ERROR [${new Date().toISOString()}] Failed (exit code ${exitCode}), ${counts}\n`
+      );
+    }
+    return exitCode;
+  }
+}
+
+/**
+ * Create a logger
+ * @param {object} [options] - See {@link Logger}; defaults come from {@link parseLogArgs}
+ * @returns {Logger} Logger
+ */
+export function createLogger(options = {}) {
+  return new Logger({ ...parseLogArgs(), ...options });
+}
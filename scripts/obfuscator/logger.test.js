@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CheckError, EXIT_CODES, Logger, parseLogArgs, UsageError } from './logger.js';
+
+function capture(options) {
+  const out = [];
+  const err = [];
+  const logger = new Logger({
+    ...options,
+    stdout: { write: text => out.push(text) },
+    stderr: { write: text => err.push(text) }
+  });
+  return { logger, out, err };
+}
+
+describe('Logger', () => {
+  it('prefixes text lines with the level and the time', () => {
+    const { logger, out, err } = capture();
+    logger.info('Started');
+    logger.success('Done');
+    logger.warn('Careful');
+    logger.detail('one failure');
+    assert.match(out[0], /^INFO {2}\[\d{4}-\d\d-\d\dT[\d:.]+Z\] Started\n$/);
+    assert.match(out[1], /^INFO {2}\[.+\] Done\n$/);
+    assert.match(err[0], /^WARN {2}\[.+\] Careful\n$/);
+    assert.equal(out[2], '  one failure\n');
+  });
+
+  it('writes one JSON record per line', () => {
+    const { logger, out } = capture({ format: 'json', name: 'test' });
+    logger.error('Broken', { file: 'a.css' });
+    assert.deepEqual(
+      { ...JSON.parse(out[0]), time: undefined },
+      { time: undefined, level: 'error', name: 'test', message: 'Broken', file: 'a.css' }
+    );
+  });
+
+  it('counts warnings and errors below the level it prints', () => {
+    const { logger, out, err } = capture({ level: 'error' });
+    logger.warn('Hidden');
+    logger.info('Hidden');
+    assert.equal(out.length + err.length, 0);
+    assert.equal(logger.summary(new CheckError('Failed check')), EXIT_CODES.checkFailed);
+    assert.match(err[0], /^ERROR \[.+\] Failed \(exit code 1\), 1 warning\(s\), 0 error\(s\)\n$/);
+  });
+});
+
+describe('parseLogArgs', () => {
+  it('reads the flags before the environment', () => {
+    assert.deepEqual(parseLogArgs(['--quiet'], { OBFUSCATE_LOG_LEVEL: 'debug' }), {
+      level: 'warn',
+      format: 'text'
+    });
+    assert.deepEqual(parseLogArgs(['--json', '--verbose'], {}), { level: 'debug', format: 'json' });
+    assert.deepEqual(parseLogArgs(['--json', 'report.json'], {}), {
+      level: 'info',
+      format: 'text'
+    });
+  });
+
+  it('rejects contradicting options', () => {
+    assert.throws(() => parseLogArgs(['--quiet', '--verbose'], {}), UsageError);
+    assert.throws(() => parseLogArgs([], { OBFUSCATE_LOG_LEVEL: 'loud' }), UsageError);
+  });
+});
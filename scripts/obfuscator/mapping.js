@@ -0,0 +1,299 @@
+/**
+ * Class mapping helpers shared by the obfuscation passes
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CSS_NAME_CATEGORIES, initCssNames } from './cssnames.js';
+import { createNameGenerator, saltFingerprint } from './naming.js';
+
+// Bumped whenever the layout of main.json changes
+export const MAPPING_VERSION = 2;
+export const MAPPING_TABLES = ['classes', 'ids', 'properties', 'keyframes', 'layers'];
+
+/**
+ * Convert a class/ID ignore pattern to a regular expression.
+ * `*` matches any run of characters, `?` a single character and `\` escapes
+ * the next character; everything else (including `[`, `:` and `/`) is literal.
+ * @param {string} pattern - Ignore pattern, e.g. `theme-*` or `print:*`
+ * @returns {RegExp} Anchored expression
+ */
+export function nameGlobToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a matcher for an ignore list of name globs (`*` and `?` wildcards)
+ * @param {string[]} patterns - Ignore list entries, e.g. `btn`, `theme-*`, `print:*`
+ * @returns {(name: string) => boolean} Matcher
+ */
+export function createIgnoreMatcher(patterns = []) {
+  const exact = new Set(patterns.filter(pattern => !/[*?\\]/.test(pattern)));
+  const globs = patterns.filter(pattern => !exact.has(pattern)).map(nameGlobToRegExp);
+
+  return name => exact.has(name) || globs.some(glob => glob.test(name));
+}
+
+/**
+ * Create the mutable mapping state a single obfuscation run works on
+ * @param {object} config - Obfuscation config
+ * @param {object} [options]
+ * @param {object} [options.seed] - Names to keep from a previous mapping, keyed by table
+ *   (`classes`, `ids`, `properties`, `keyframes`, `layers`)
+ * @returns {object} Mapping context
+ */
+export function createMappingContext(config, { seed = {} } = {}) {
+  const context = {
+    config,
+    classes: {},
+    ids: {},
+    isIgnored: createIgnoreMatcher(config.classIgnore),
+    isIdIgnored: createIgnoreMatcher(config.idIgnore),
+    // Classes found in scripts when `runtimeClasses` is 'safelist'
+    safelist: new Set(),
+    // Globs of the classes scripts compute at runtime, which keep their name (see js.js)
+    runtime: { classes: {}, globs: [], unresolved: [] },
+    isRuntimeClass: () => false,
+    // ID definitions, string literals that may hold IDs and unsafe references (see ids.js)
+    idScan: { definitions: new Map(), literals: new Map(), kept: [], issues: [] },
+    warnings: []
+  };
+
+  // Generated names must not clash with classes or IDs that keep their original name
+  context.names = createNameGenerator(config, {
+    seed: seed.classes,
+    isReserved: name =>
+      context.isIgnored(name) ||
+      context.safelist.has(name) ||
+      context.isRuntimeClass(name) ||
+      Object.hasOwn(context.classes, name)
+  });
+  context.idNames = createNameGenerator(config, {
+    seed: seed.ids,
+    namespace: '#',
+    isReserved: name => context.idScan.definitions.has(name)
+  });
+  initCssNames(context, seed);
+  return context;
+}
+
+/**
+ * Return the obfuscated name for a class, creating one on first use
+ * @param {object} context - Mapping context
+ * @param {string} className - Original class name
+ * @returns {string|null} Obfuscated name, or null when the class is ignored
+ */
+export function mapClass(context, className) {
+  if (Object.hasOwn(context.classes, className)) {
+    return context.classes[className];
+  }
+  if (
+    context.isIgnored(className) ||
+    context.safelist.has(className) ||
+    context.isRuntimeClass(className)
+  ) {
+    return null;
+  }
+
+  const obfuscated = context.names.next(className);
+  context.classes[className] = obfuscated;
+  return obfuscated;
+}
+
+/**
+ * Keep the classes a script computes at runtime out of the mapping
+ * @param {object} context - Mapping context
+ * @param {string[]} globs - Name globs of the computed classes, e.g. `is-*`
+ */
+export function keepRuntimeClasses(context, globs) {
+  const added = globs.filter(glob => !context.runtime.globs.includes(glob));
+  if (added.length > 0) {
+    context.runtime.globs.push(...added);
+    context.isRuntimeClass = createIgnoreMatcher(context.runtime.globs);
+  }
+}
+
+/**
+ * Look up a class without extending the mapping. A context may define
+ * `onLookup(name, found, kind)` to observe class and ID lookups.
+ * @param {object} context - Mapping context
+ * @param {string} className - Original class name
+ * @returns {string|null} Obfuscated name, or null when the class is not mapped
+ */
+export function lookupClass(context, className) {
+  const found = Object.hasOwn(context.classes, className) ? context.classes[className] : null;
+  context.onLookup?.(className, found, 'class');
+  return found;
+}
+
+/**
+ * Assign an obfuscated name to an ID
+ * @param {object} context - Mapping context
+ * @param {string} id - Original ID
+ * @returns {string} Obfuscated ID
+ */
+export function mapId(context, id) {
+  if (!Object.hasOwn(context.ids, id)) {
+    context.ids[id] = context.idNames.next(id);
+  }
+  return context.ids[id];
+}
+
+/**
+ * Look up an ID without extending the mapping
+ * @param {object} context - Mapping context
+ * @param {string} id - Original ID
+ * @returns {string|null} Obfuscated ID, or null when the ID keeps its name
+ */
+export function lookupId(context, id) {
+  const found = Object.hasOwn(context.ids, id) ? context.ids[id] : null;
+  context.onLookup?.(id, found, 'id');
+  return found;
+}
+
+/**
+ * Create a context that only looks names up in finished tables, for
+ * rewriting markup outside a build (deobfuscation, server responses).
+ * Categories enable themselves when their table has names.
+ * @param {object} config - Obfuscation config (attribute rules)
+ * @param {object} tables - `classes`, `ids` and CSS name tables, original → replacement
+ * @param {(name: string, found: string|null, kind: string) => void} [onLookup] - Lookup observer
+ * @returns {object} Mapping context
+ */
+export function createLookupContext(config, tables, onLookup) {
+  const ids = tables.ids || {};
+  const context = {
+    config: { ...config, runtimeClasses: 'rewrite', ids: Object.keys(ids).length > 0 },
+    classes: tables.classes || {},
+    ids,
+    isIdIgnored: () => false,
+    // Every ID in the table counts as defined, so references are never reported
+    idScan: { definitions: new Map(Object.keys(ids).map(id => [id, 'mapping'])), issues: [] },
+    warnings: [],
+    onLookup
+  };
+  for (const [category, { option }] of Object.entries(CSS_NAME_CATEGORIES)) {
+    context[category] = tables[category] || {};
+    context.config[option] = Object.keys(context[category]).length > 0;
+  }
+  return context;
+}
+
+/**
+ * Run a pass with an empty lookup table to find the classes a file uses:
+ * every class the pass looks up is one it references
+ * @param {object} config - Obfuscation config (attribute rules)
+ * @param {(context: object) => void} run - Runs the pass with the given context
+ * @returns {{ names: Set<string>, warnings: string[] }} Referenced classes and pass warnings
+ */
+export function collectClasses(config, run) {
+  const names = new Set();
+  const context = createLookupContext(config, {}, (name, found, kind) => {
+    if (kind === 'class') {
+      names.add(name);
+    }
+  });
+  run(context);
+  return { names, warnings: context.warnings };
+}
+
+/**
+ * Write the mapping to `<dataDir>/main.json`
+ * @param {string} dataDir - Obfuscation data directory
+ * @param {object} mapping - Mapping with `classes`, `ids` and CSS name tables
+ * @param {object} config - Obfuscation config the mapping was built with
+ * @returns {string} Path of the written file
+ */
+export function saveMapping(dataDir, mapping, config) {
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const mappingPath = path.join(dataDir, 'main.json');
+  const data = {
+    version: MAPPING_VERSION,
+    method: config.classMethod,
+    salt: saltFingerprint(config.salt),
+    classes: mapping.classes,
+    ids: mapping.ids || {},
+    properties: mapping.properties || {},
+    keyframes: mapping.keyframes || {},
+    layers: mapping.layers || {},
+    timestamp: new Date().toISOString(),
+    totalClasses: Object.keys(mapping.classes).length
+  };
+
+  fs.writeFileSync(mappingPath, JSON.stringify(data, null, config.formatJson === false ? 0 : 2));
+  return mappingPath;
+}
+
+/**
+ * Read `<dataDir>/main.json` if it exists
+ * @param {string} dataDir - Obfuscation data directory
+ * @returns {object|null} Parsed mapping data
+ */
+export function loadMapping(dataDir) {
+  const mappingPath = path.join(dataDir, 'main.json');
+  if (!fs.existsSync(mappingPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+}
+
+/**
+ * Read the names of a previous mapping to keep them stable in this build.
+ * A mapping made with another method, or another salt for `hash`, is not reused.
+ * @param {string} dataDir - Obfuscation data directory
+ * @param {object} config - Obfuscation config of this build
+ * @returns {{ seed: Record<string, object>, warning: string|null }} Seed names by table
+ */
+export function loadSeed(dataDir, config) {
+  let previous;
+  try {
+    previous = loadMapping(dataDir);
+  } catch (error) {
+    return {
+      seed: {},
+      warning: `Previous mapping is not valid JSON, not reused (${error.message})`
+    };
+  }
+  if (!previous) {
+    return { seed: {}, warning: null };
+  }
+
+  // Mappings written before the method was recorded used sequential names
+  const method = previous.method || 'sequential';
+  if (method !== config.classMethod) {
+    return {
+      seed: {},
+      warning: `Previous mapping used "${method}" names, not reused with "${config.classMethod}"`
+    };
+  }
+  if (method === 'hash' && (previous.salt ?? null) !== saltFingerprint(config.salt)) {
+    return {
+      seed: {},
+      warning: 'Salt changed since the previous mapping; all names are regenerated'
+    };
+  }
+
+  const names = table =>
+    Object.fromEntries(
+      Object.entries(table || {}).filter(([, obfuscated]) => typeof obfuscated === 'string')
+    );
+  const seed = {};
+  for (const table of MAPPING_TABLES) {
+    seed[table] = names(previous[table]);
+  }
+  return { seed, warning: null };
+}
@@ -0,0 +1,104 @@
+/**
+ * Obfuscated name generation
+ *
+ * - `sequential`: a short base36 counter (`a1`, `a2`, ...) in discovery order
+ * - `random`: random base36 names of `length` characters, new on every build
+ * - `hash`: HMAC-SHA256 of the original name keyed with `salt`, so a class keeps
+ *   its name for as long as the salt stays the same
+ *
+ * A previous mapping can be passed as `seed`; classes found in it keep their
+ * old names and its names are never handed out to other classes.
+ */
+
+import crypto from 'crypto';
+
+const ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const LETTERS = ALPHABET.slice(10);
+const MAX_ATTEMPTS = 1000;
+
+export const METHOD_DESCRIPTIONS = {
+  sequential: 'Sequential base36 counter',
+  random: 'Random base36 strings',
+  hash: 'Salted HMAC-SHA256 hashes'
+};
+
+/**
+ * Human readable description of a naming method
+ * @param {string} [method] - `classMethod` value recorded in the mapping
+ * @returns {string} Description
+ */
+export function describeMethod(method) {
+  return METHOD_DESCRIPTIONS[method] || 'Unknown';
+}
+
+/**
+ * Short, non-reversible fingerprint of the salt, stored in the mapping so a
+ * seed made with a different salt can be detected
+ * @param {string} salt - Secret salt
+ * @returns {string|null} Fingerprint, or null without a salt
+ */
+export function saltFingerprint(salt) {
+  return salt ? crypto.createHash('sha256').update(salt).digest('hex').slice(0, 8) : null;
+}
+
+// Names must start with a letter to be valid unescaped CSS identifiers
+function encode(bytes, length) {
+  let name = LETTERS[bytes[0] % LETTERS.length];
+  for (let i = 1; i < length; i++) {
+    name += ALPHABET[bytes[i % bytes.length] % ALPHABET.length];
+  }
+  return name;
+}
+
+/**
+ * Create a name generator for one obfuscation run
+ * @param {object} config - Validated obfuscation config
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.seed] - Previous original → obfuscated names
+ * @param {(name: string) => boolean} [options.isReserved] - Names that must not be generated
+ * @param {string} [options.namespace] - Mixed into `hash` input so classes and IDs with the
+ *   same name get different names
+ * @returns {{ next: (original: string) => string, seeded: number }} Generator
+ */
+export function createNameGenerator(
+  config,
+  { seed = {}, isReserved = () => false, namespace = '' } = {}
+) {
+  const { classMethod, length, salt = '', classPrefix = '', classSuffix = '' } = config;
+  const used = new Set(Object.values(seed));
+  let counter = 0;
+
+  const candidate = (original, attempt) => {
+    switch (classMethod) {
+      case 'sequential':
+        counter++;
+        return 'a' + counter.toString(36);
+      case 'hash': {
+        // Collisions are resolved deterministically by re-hashing with the attempt number
+        const input = namespace + (attempt === 0 ? original : `${original}\u0000${attempt}`);
+        return encode(crypto.createHmac('sha256', salt).update(input).digest(), length);
+      }
+      default:
+        return encode(crypto.randomBytes(length), length);
+    }
+  };
+
+  const next = original => {
+    if (Object.hasOwn(seed, original)) {
+      return seed[original];
+    }
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const name = classPrefix + candidate(original, attempt) + classSuffix;
+      if (!used.has(name) && !isReserved(name)) {
+        used.add(name);
+        return name;
+      }
+    }
+    throw new Error(
+      `Could not find a free name for "${original}" after ${MAX_ATTEMPTS} attempts; increase "length"`
+    );
+  };
+
+  return { next, seeded: Object.keys(seed).length };
+}
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { validateConfig } from './config.js';
+import { createNameGenerator } from './naming.js';
+
+const names = ['btn', 'btn-primary', 'lg:flex', 'size-5.5', 'hero'];
+
+function generate(options, list = names) {
+  const generator = createNameGenerator(validateConfig(options));
+  return list.map(name => generator.next(name));
+}
+
+describe('createNameGenerator', () => {
+  it('numbers sequential names in order of first use', () => {
+    assert.deepEqual(generate({ classMethod: 'sequential' }), ['a1', 'a2', 'a3', 'a4', 'a5']);
+  });
+
+  it('derives hash names from the name and the salt only', () => {
+    const first = generate({ classMethod: 'hash', salt: 'one' });
+    assert.deepEqual(generate({ classMethod: 'hash', salt: 'one' }), first);
+    assert.deepEqual(
+      generate({ classMethod: 'hash', salt: 'one' }, [...names].reverse()),
+      [...first].reverse()
+    );
+    assert.notDeepEqual(generate({ classMethod: 'hash', salt: 'two' }), first);
+  });
+
+  it('gives classes and IDs with the same name different hash names', () => {
+    const config = validateConfig({ classMethod: 'hash', salt: 'one' });
+    const classNames = createNameGenerator(config);
+    const idNames = createNameGenerator(config, { namespace: '#' });
+    assert.notEqual(classNames.next('hero'), idNames.next('hero'));
+  });
+
+  it('makes random names unique and valid identifiers', () => {
+    const generated = generate({ classMethod: 'random', length: 4 });
+    assert.equal(new Set(generated).size, names.length);
+    for (const name of generated) {
+      assert.match(name, /^[a-z][a-z0-9]{3}$/i);
+    }
+  });
+
+  it('adds the prefix and suffix for every method', () => {
+    for (const classMethod of ['sequential', 'random', 'hash']) {
+      for (const name of generate({ classMethod, classPrefix: 'x-', classSuffix: '-y' })) {
+        assert.match(name, /^x-.+-y$/);
+      }
+    }
+  });
+
+  it('keeps seeded names and skips reserved ones', () => {
+    const generator = createNameGenerator(validateConfig({ classMethod: 'sequential' }), {
+      seed: { btn: 'a2' },
+      isReserved: name => name === 'a1'
+    });
+    assert.equal(generator.next('btn'), 'a2');
+    assert.equal(generator.next('hero'), 'a3');
+    assert.equal(generator.seeded, 1);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Unused-CSS purge: drops style rules whose class selectors nothing references
+ *
+ * Runs over the copied build after discovery and before any file is
+ * rewritten, so it sees the original names. A class counts as used when
+ * - the HTML pass looks it up in a page (class attributes, attribute rules),
+ * - the JS pass looks it up in a script (`classList`, selectors, `className`...),
+ * - it appears as a whole word, delimited by whitespace or quotes, in a client
+ *   script or in the server bundle. This covers the markup of server-rendered
+ *   pages and class names that scripts keep in data,
+ * - or it matches `classIgnore`, `purgeSafelist`, the runtime safelist or a
+ *   class name a script computes, such as `is-*` for `is-${state}`.
+ *
+ * A rule is removed only when none of the selectors in its list can match:
+ * every class of the selector must be used, and one argument of `:is()`,
+ * `:where()` and `:has()` is enough. Classes inside `:not()` are ignored.
+ * Keyframes, at-rules without selectors and selectors without classes are kept.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { globSync } from 'glob';
+import postcss from 'postcss';
+import selectorParser from 'postcss-selector-parser';
+import { obfuscateHTML } from './html.js';
+import { obfuscateJS } from './js.js';
+import { collectClasses, createIgnoreMatcher } from './mapping.js';
+
+const KEYFRAMES = /^(-\w+-)?keyframes$/i;
+const SELECTOR_LIST_PSEUDOS = new Set([':is', ':where', ':matches', ':-webkit-any', ':-moz-any']);
+// Quotes, whitespace, string escapes and HTML-encoded quotes end a word. Words are also split
+// without single quotes, which arbitrary values such as `bg-[url('/a.png')]` contain.
+const WORD_SEPARATORS = [
+  /(?:[\s"'`]|\\[nrt"'`]|&quot;|&#0?34;|&#0?39;|&apos;)+/,
+  /(?:[\s"`]|\\[nrt"`]|&quot;|&#0?34;)+/
+];
+
+/**
+ * @typedef {object} PurgeResult
+ * @property {{ file: string, before: number, after: number, removed: { index: number,
+ *   selector: string }[] }[]} stylesheets - Bytes before and after and the removed rules of each
+ *   stylesheet; `index` counts the style rules outside `@keyframes` in source order
+ * @property {number} removedRules - Rules removed from all stylesheets
+ * @property {number} savedBytes - Bytes removed from all stylesheets
+ */
+
+/**
+ * Collect the words of a script or server chunk that could be class names
+ * @param {string} content - File content
+ * @returns {Set<string>} Words delimited by whitespace and quotes
+ */
+export function scriptWords(content) {
+  const words = new Set();
+  for (const separators of WORD_SEPARATORS) {
+    content.split(separators).forEach(word => word && words.add(word));
+  }
+  return words;
+}
+
+function canMatch(selector, isUsed) {
+  return selector.nodes.every(node => {
+    if (node.type === 'class') {
+      return isUsed(node.value);
+    }
+    if (node.type === 'pseudo' && node.nodes.length > 0) {
+      const value = node.value.toLowerCase();
+      if (SELECTOR_LIST_PSEUDOS.has(value) || value === ':has') {
+        return node.nodes.some(inner => canMatch(inner, isUsed));
+      }
+    }
+    return true;
+  });
+}
+
+/**
+ * Whether any selector of a list can match with the used classes
+ * @param {string} selector - Selector list
+ * @param {(className: string) => boolean} isUsed - Whether a class is referenced
+ * @returns {boolean} False when every selector needs an unused class
+ */
+export function selectorIsUsed(selector, isUsed) {
+  return selectorParser()
+    .astSync(selector)
+    .nodes.some(inner => canMatch(inner, isUsed));
+}
+
+/**
+ * List the classes of a selector list
+ * @param {string} selector - Selector list
+ * @returns {string[]} Class names, empty when the selector cannot be parsed
+ */
+export function selectorClasses(selector) {
+  const names = [];
+  try {
+    selectorParser()
+      .astSync(selector)
+      .walkClasses(node => names.push(node.value));
+  } catch {
+    // Unparsable selectors are kept by the purge, so they are never listed as removed
+  }
+  return names;
+}
+
+function styleRules(root) {
+  const rules = [];
+  root.walkRules(rule => {
+    if (!(rule.parent?.type === 'atrule' && KEYFRAMES.test(rule.parent.name))) {
+      rules.push(rule);
+    }
+  });
+  return rules;
+}
+
+function removeRule(rule) {
+  let parent = rule.parent;
+  rule.remove();
+  // `@media` and `@layer` blocks left without content go too
+  while (parent?.type === 'atrule' && parent.nodes?.length === 0) {
+    const next = parent.parent;
+    parent.remove();
+    parent = next;
+  }
+}
+
+/**
+ * Remove style rules by position
+ * @param {string} content - Stylesheet source
+ * @param {Iterable<number>} indices - Rule positions from {@link PurgeResult}
+ * @param {string} [file] - Source file, used in parse errors
+ * @returns {string} Stylesheet without those rules
+ */
+export function removeRules(content, indices, file) {
+  const remove = new Set(indices);
+  if (remove.size === 0) {
+    return content;
+  }
+  const root = postcss.parse(content, { from: file });
+  styleRules(root).forEach((rule, index) => remove.has(index) && removeRule(rule));
+  return root.toString();
+}
+
+/**
+ * Remove the rules of a stylesheet that cannot match any used class
+ * @param {string} content - Stylesheet source
+ * @param {(className: string) => boolean} isUsed - Whether a class is referenced
+ * @param {string} [file] - Source file, used in warnings
+ * @param {string[]} [warnings] - Receives selectors and stylesheets that could not be parsed;
+ *   their rules are kept
+ * @returns {{ content: string, removed: { index: number, selector: string }[] }} Purged stylesheet
+ */
+export function purgeCSS(content, isUsed, file = 'stylesheet', warnings = []) {
+  let root;
+  try {
+    root = postcss.parse(content, { from: file });
+  } catch (error) {
+    if (error.name !== 'CssSyntaxError') {
+      throw error;
+    }
+    warnings.push(
+      `${file}:${error.line}:${error.column}: could not parse stylesheet (${error.reason}), not purged`
+    );
+    return { content, removed: [] };
+  }
+  const removed = [];
+  styleRules(root).forEach((rule, index) => {
+    let used;
+    try {
+      used = selectorIsUsed(rule.selector, isUsed);
+    } catch (error) {
+      const line = rule.source?.start?.line;
+      warnings.push(
+        `${file}${line ? `:${line}` : ''}: could not parse selector "${rule.selector}" (${error.message})`
+      );
+      return;
+    }
+    if (!used) {
+      removed.push({ index, selector: rule.selector });
+      removeRule(rule);
+    }
+  });
+  return { content: removed.length > 0 ? root.toString() : content, removed };
+}
+
+/**
+ * Purge the stylesheets of a build in place
+ * @param {object} options
+ * @param {string} options.outDir - Copied build, not rewritten yet
+ * @param {{ css: string[], html: string[], js: string[] }} options.files - Files of each pass,
+ *   relative to `outDir`
+ * @param {string} [options.serverDir] - Server output whose chunks hold the server-rendered markup
+ * @param {object} options.context - Mapping context after discovery (ignore list, safelist)
+ * @returns {PurgeResult} Removed rules and saved bytes
+ */
+export function purgeBuild({ outDir, files, serverDir, context }) {
+  const { config } = context;
+  const read = file => fs.readFileSync(path.join(outDir, file), 'utf8');
+  const used = new Set();
+  const collect = run => collectClasses(config, run).names.forEach(name => used.add(name));
+
+  for (const file of files.html) {
+    collect(lookup => obfuscateHTML(read(file), lookup, file));
+  }
+  for (const file of files.js) {
+    const content = read(file);
+    collect(lookup => obfuscateJS(content, lookup, file));
+    scriptWords(content).forEach(word => used.add(word));
+  }
+  if (serverDir && fs.existsSync(serverDir)) {
+    const chunks = globSync('**/*.{js,mjs}', {
+      cwd: serverDir,
+      nodir: true,
+      ignore: '**/node_modules/**'
+    });
+    for (const chunk of chunks) {
+      scriptWords(fs.readFileSync(path.join(serverDir, chunk), 'utf8')).forEach(word =>
+        used.add(word)
+      );
+    }
+  }
+
+  const isSafe = createIgnoreMatcher(config.purgeSafelist);
+  const isUsed = name =>
+    used.has(name) ||
+    context.isIgnored(name) ||
+    context.safelist.has(name) ||
+    context.isRuntimeClass(name) ||
+    isSafe(name);
+
+  const stylesheets = files.css.map(file => {
+    const source = read(file);
+    const { content, removed } = purgeCSS(source, isUsed, file, context.warnings);
+    if (content !== source) {
+      fs.writeFileSync(path.join(outDir, file), content);
+    }
+    return {
+      file: file.split(path.sep).join('/'),
+      before: Buffer.byteLength(source),
+      after: Buffer.byteLength(content),
+      removed
+    };
+  });
+
+  return {
+    stylesheets,
+    removedRules: stylesheets.reduce((total, sheet) => total + sheet.removed.length, 0),
+    savedBytes: stylesheets.reduce((total, sheet) => total + sheet.before - sheet.after, 0)
+  };
+}
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { validateConfig } from './config.js';
+import { scanJS } from './js.js';
+import { createMappingContext } from './mapping.js';
+import { purgeBuild, purgeCSS, scriptWords, selectorIsUsed } from './purge.js';
+
+const used = new Set(['btn', 'card']);
+const isUsed = name => used.has(name);
+
+describe('selectorIsUsed', () => {
+  it('needs every class of a selector and one argument of :is()', () => {
+    assert.equal(selectorIsUsed('.btn .card', isUsed), true);
+    assert.equal(selectorIsUsed('.btn .modal', isUsed), false);
+    assert.equal(selectorIsUsed('.btn, .modal', isUsed), true);
+    assert.equal(selectorIsUsed(':is(.modal, .card) > a', isUsed), true);
+    assert.equal(selectorIsUsed('.btn:not(.modal)', isUsed), true);
+    assert.equal(selectorIsUsed('a[href]', isUsed), true);
+  });
+});
+
+describe('scriptWords', () => {
+  it('splits on quotes, whitespace and encoded quotes', () => {
+    const words = scriptWords('x="btn card"; y=\'bg-[url(/a.png)]\'; z=&quot;modal&quot;');
+    assert.ok(['btn', 'card', 'bg-[url(/a.png)]', 'modal'].every(word => words.has(word)));
+  });
+});
+
+describe('purgeCSS', () => {
+  it('removes unused rules and empty at-rules, and keeps keyframes', () => {
+    const css =
+      '.btn { color: red } @media (min-width: 1px) { .modal { top: 0 } } ' +
+      '@keyframes spin { from { opacity: 0 } }';
+    const { content, removed } = purgeCSS(css, isUsed);
+    assert.equal(content, '.btn { color: red } @keyframes spin { from { opacity: 0 } }');
+    assert.deepEqual(removed, [{ index: 1, selector: '.modal' }]);
+  });
+
+  it('keeps stylesheets it cannot parse', () => {
+    const warnings = [];
+    const css = '.modal { color: red';
+    assert.deepEqual(purgeCSS(css, isUsed, 'main.css', warnings), { content: css, removed: [] });
+    assert.match(warnings[0], /^main\.css:1:1: could not parse stylesheet/);
+  });
+});
+
+describe('purgeBuild', () => {
+  let outDir;
+
+  before(() => {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purge-'));
+    fs.writeFileSync(path.join(outDir, 'index.html'), '<button class="btn">Open</button>');
+    fs.writeFileSync(
+      path.join(outDir, 'app.js'),
+      'el.classList.add(`is-${state}`); el.classList.toggle("toast-open"); const label = "badge";'
+    );
+    fs.writeFileSync(
+      path.join(outDir, 'main.css'),
+      '.btn{} .is-open{} .toast-open{} .badge{} .kept-1{} .unused{}'
+    );
+  });
+
+  after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+  it('keeps the classes pages and scripts use, computed ones included', () => {
+    const config = validateConfig({
+      classMethod: 'hash',
+      salt: 'test',
+      purge: true,
+      purgeSafelist: ['kept-*']
+    });
+    const context = createMappingContext(config);
+    scanJS(fs.readFileSync(path.join(outDir, 'app.js'), 'utf8'), context, 'app.js');
+
+    const result = purgeBuild({
+      outDir,
+      files: { css: ['main.css'], html: ['index.html'], js: ['app.js'] },
+      context
+    });
+    assert.deepEqual(result.stylesheets[0].removed, [{ index: 5, selector: '.unused' }]);
+    assert.equal(result.removedRules, 1);
+    assert.equal(
+      fs.readFileSync(path.join(outDir, 'main.css'), 'utf8'),
+      '.btn{} .is-open{} .toast-open{} .badge{} .kept-1{}'
+    );
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Obfuscation of server-rendered pages
+ *
+ * With `output: 'server'` most HTML only exists at request time, so it cannot
+ * be rewritten after the build like the files in `dist`. Instead:
+ * - the build step writes the finished mapping next to the server bundle
+ *   chunk that contains this module ({@link writeServerMapping}),
+ * - `src/middleware.js` rewrites every HTML response with the same HTML pass
+ *   the static files go through ({@link createObfuscationMiddleware}).
+ *
+ * Client and server therefore always use the mapping of the same run. Without
+ * a mapping file (`astro dev`, or a build that was not obfuscated) responses
+ * are passed through unchanged.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { obfuscateHTML, resolveAttributeRules } from './html.js';
+import { createLogger } from './logger.js';
+import { createLookupContext, MAPPING_TABLES, MAPPING_VERSION } from './mapping.js';
+
+// Also the marker the build step looks for in the bundled chunks
+export const SERVER_MAPPING_FILE = 'obfuscation-mapping.json';
+
+// Config the HTML pass needs at runtime; salt and paths stay out of the server bundle
+const RUNTIME_CONFIG_KEYS = ['attributeRules'];
+
+// Kept free of glob, which is a build-time dependency
+function listScripts(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'node_modules' ? [] : listScripts(file);
+    }
+    return /\.m?js$/.test(entry.name) ? [file] : [];
+  });
+}
+
+/**
+ * Find the server bundle chunks that include the obfuscation middleware
+ * @param {string} serverPath - Server output directory, e.g. `.vercel/output/functions`
+ * @returns {string[]} Absolute chunk paths
+ */
+export function findServerChunks(serverPath) {
+  if (!fs.existsSync(serverPath)) {
+    return [];
+  }
+  return listScripts(path.resolve(serverPath))
+    .filter(file => {
+      const content = fs.readFileSync(file, 'utf8');
+      return (
+        content.includes(`'${SERVER_MAPPING_FILE}'`) || content.includes(`"${SERVER_MAPPING_FILE}"`)
+      );
+    })
+    .sort();
+}
+
+/**
+ * Write the mapping next to every server chunk that includes the middleware
+ * @param {string} serverPath - Server output directory
+ * @param {object} mapping - Mapping with `classes`, `ids` and CSS name tables
+ * @param {object} config - Obfuscation config the mapping was built with
+ * @returns {string[]} Paths of the written files
+ */
+export function writeServerMapping(serverPath, mapping, config) {
+  const data = {
+    version: MAPPING_VERSION,
+    method: config.classMethod,
+    timestamp: new Date().toISOString(),
+    config: Object.fromEntries(RUNTIME_CONFIG_KEYS.map(key => [key, config[key]])),
+    ...Object.fromEntries(MAPPING_TABLES.map(table => [table, mapping[table] || {}]))
+  };
+  const json = JSON.stringify(data);
+
+  const directories = new Set(findServerChunks(serverPath).map(file => path.dirname(file)));
+  return [...directories].map(directory => {
+    const file = path.join(directory, SERVER_MAPPING_FILE);
+    fs.writeFileSync(file, json);
+    return file;
+  });
+}
+
+/**
+ * Read a mapping written by {@link writeServerMapping}
+ * @param {string|URL} file - Mapping file
+ * @returns {object|null} Lookup context for the HTML pass, or null without a mapping
+ */
+export function readServerMapping(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Server obfuscation mapping is unreadable: ${file} (${error.message})`);
+  }
+  if (data.version > MAPPING_VERSION) {
+    throw new Error(`Server obfuscation mapping version ${data.version} is not supported: ${file}`);
+  }
+  const context = createLookupContext(data.config || {}, data);
+  // Resolved once here, since every response gets its own copy of the context
+  context.attributeRules = resolveAttributeRules(context.config.attributeRules);
+  return context;
+}
+
+/**
+ * Rewrite a rendered page with a server mapping
+ * @param {string} html - Rendered HTML
+ * @param {object} context - Lookup context from {@link readServerMapping}
+ * @param {string} [file] - Request path, used in warnings
+ * @returns {{ content: string, warnings: string[] }} Obfuscated HTML, and what this response
+ *   reported
+ */
+export function obfuscateServerHTML(html, context, file = 'response') {
+  // The context is shared by all requests, so findings are collected per response
+  const request = {
+    ...context,
+    warnings: [],
+    idScan: { ...context.idScan, issues: [] }
+  };
+  const { content } = obfuscateHTML(html, request, file);
+  const issues = request.idScan.issues.map(
+    issue => `${issue.file}:${issue.line} ${issue.kind} ← ${issue.reason}`
+  );
+  return { content, warnings: [...request.warnings, ...issues] };
+}
+
+/**
+ * Astro middleware that obfuscates HTML responses
+ * @param {object} [options]
+ * @param {string|URL} [options.mappingFile] - Mapping to use, defaults to the file the build
+ *   step writes next to this module's chunk
+ * @param {import('./logger.js').Logger} [options.logger] - Output, set by the OBFUSCATE_LOG_*
+ *   variables by default
+ * @returns {import('astro').MiddlewareHandler} Middleware
+ */
+export function createObfuscationMiddleware({
+  mappingFile = fileURLToPath(new URL(SERVER_MAPPING_FILE, import.meta.url)),
+  logger = createLogger({ name: 'middleware' })
+} = {}) {
+  let context;
+
+  return async ({ url }, next) => {
+    const response = await next();
+    if (!/^text\/html\b/i.test(response.headers.get('content-type') || '')) {
+      return response;
+    }
+
+    if (context === undefined) {
+      try {
+        context = readServerMapping(mappingFile);
+      } catch (error) {
+        // Serve pages as rendered rather than failing every request
+        logger.error(error.message, { mappingFile: String(mappingFile) });
+        context = null;
+      }
+    }
+    if (!context) {
+      return response;
+    }
+
+    let result;
+    try {
+      // Read a copy, so the response can still be sent as rendered
+      result = obfuscateServerHTML(await response.clone().text(), context, url.pathname);
+    } catch (error) {
+      // A failed rewrite must not break a page that rendered fine
+      logger.error(`${url.pathname}: not obfuscated, sent as rendered (${error.message})`, {
+        pathname: url.pathname
+      });
+      return response;
+    }
+    const { content: html, warnings } = result;
+    warnings.forEach(warning => logger.warn(warning, { pathname: url.pathname }));
+    const headers = new Headers(response.headers);
+    headers.delete('content-length');
+    return new Response(html, {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    });
+  };
+}
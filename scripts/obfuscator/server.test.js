@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { Logger } from './logger.js';
+import { MAPPING_VERSION } from './mapping.js';
+import { createObfuscationMiddleware, obfuscateServerHTML, readServerMapping } from './server.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-mapping-'));
+const mappingFile = path.join(directory, 'obfuscation-mapping.json');
+fs.writeFileSync(
+  mappingFile,
+  JSON.stringify({
+    version: MAPPING_VERSION,
+    config: {},
+    classes: { btn: 'a1' },
+    ids: { faqs: 'b1' }
+  })
+);
+
+const broken = '<div data-carousel="{not json" class="btn"></div><a href="#missing">Top</a>';
+
+describe('obfuscateServerHTML', () => {
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('returns what each response reported and leaves the shared context alone', () => {
+    const context = readServerMapping(mappingFile);
+    const first = obfuscateServerHTML(broken, context, '/');
+    const second = obfuscateServerHTML('<a class="btn" href="#faqs">FAQ</a>', context, '/faq');
+
+    assert.equal(second.content, '<a class="a1" href="#b1">FAQ</a>');
+    assert.deepEqual(second.warnings, []);
+    assert.equal(first.warnings.length, 2);
+    assert.match(first.warnings[0], /^\/:1: could not rewrite data-carousel/);
+    assert.match(first.warnings[1], /^\/:1 .*"missing" is not defined/);
+    assert.deepEqual(context.warnings, []);
+    assert.deepEqual(context.idScan.issues, []);
+  });
+
+  it('logs the findings of a response in the middleware', async () => {
+    const lines = [];
+    const logger = new Logger({ level: 'warn', stderr: { write: line => lines.push(line) } });
+    const middleware = createObfuscationMiddleware({ mappingFile, logger });
+    const response = await middleware(
+      { url: new URL('https://example.com/') },
+      async () => new Response(broken, { headers: { 'content-type': 'text/html' } })
+    );
+
+    assert.match(await response.text(), /class="a1"/);
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], /^WARN .* \/:1: could not rewrite data-carousel/);
+  });
+
+  it('sends a page it cannot rewrite as rendered', async () => {
+    const lines = [];
+    const logger = new Logger({ level: 'warn', stderr: { write: line => lines.push(line) } });
+    const middleware = createObfuscationMiddleware({ mappingFile, logger });
+    const page = '<style>.btn { color: red</style><p class="btn">Not found</p>';
+    const response = await middleware(
+      { url: new URL('https://example.com/missing') },
+      async () =>
+        new Response(page, {
+          status: 404,
+          headers: { 'content-type': 'text/html', 'x-rendered-by': 'astro' }
+        })
+    );
+
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('x-rendered-by'), 'astro');
+    assert.match(await response.text(), /<style>\.btn \{ color: red<\/style>/);
+    assert.equal(lines.length, 1);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Size report of an obfuscated build: raw, gzip and brotli bytes of every CSS,
+ * JS and HTML file before and after obfuscation, per-asset budgets and the
+ * difference to a baseline saved from an earlier release
+ *
+ * Files are matched by their path relative to the build. Rehashed assets are
+ * matched through their renames (`assets.json`), and baselines by their path
+ * without the content hash, which changes with every release.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { globSync } from 'glob';
+import { assetStem } from './assets.js';
+
+export const SIZE_METRICS = ['raw', 'gzip', 'brotli'];
+
+const SIZED_FILES = '**/*.{css,js,mjs,html}';
+
+/**
+ * @typedef {{ raw: number, gzip: number, brotli: number }} Sizes
+ */
+
+/**
+ * @typedef {object} SizeEntry
+ * @property {string} file - Path relative to the obfuscated build, or to the original build for
+ *   files that were removed
+ * @property {string|null} original - Path of the counterpart in the original build
+ * @property {'css'|'js'|'html'} type - File type
+ * @property {Sizes|null} before - Sizes in the original build
+ * @property {Sizes|null} after - Sizes in the obfuscated build
+ */
+
+/**
+ * Raw and compressed size of a file, compressed the way a CDN would precompress it
+ * @param {Buffer} content - File content
+ * @returns {Sizes} Sizes in bytes
+ */
+export function measure(content) {
+  return {
+    raw: content.length,
+    gzip: zlib.gzipSync(content, { level: 9 }).length,
+    brotli: zlib.brotliCompressSync(content, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 11,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+      }
+    }).length
+  };
+}
+
+function listSized(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+  return globSync(SIZED_FILES, { cwd: directory, nodir: true })
+    .map(file => file.split(path.sep).join('/'))
+    .sort();
+}
+
+function typeOf(file) {
+  const extension = path.extname(file).slice(1);
+  return extension === 'mjs' ? 'js' : extension;
+}
+
+function sum(entries, side) {
+  return Object.fromEntries(
+    SIZE_METRICS.map(metric => [
+      metric,
+      entries.reduce((total, entry) => total + (entry[side]?.[metric] || 0), 0)
+    ])
+  );
+}
+
+/**
+ * Pair the CSS, JS and HTML files of both builds
+ * @param {object} options
+ * @param {string} options.srcDir - Build before obfuscation
+ * @param {string} options.outDir - Obfuscated build
+ * @param {Record<string, string>} [options.renamedAssets] - Asset renames from `assets.json`,
+ *   relative to the client root
+ * @returns {{ file: string, original: string|null, obfuscated: string|null,
+ *   type: 'css'|'js'|'html' }[]} Pairs sorted by `file`, the obfuscated path or, for files that
+ *   were removed, the original one
+ */
+export function pairBuildFiles({ srcDir, outDir, renamedAssets = {} }) {
+  const clientPrefix = fs.existsSync(path.join(outDir, 'client')) ? 'client/' : '';
+  const counterpartOf = file => {
+    const relative = file.startsWith(clientPrefix) ? file.slice(clientPrefix.length) : file;
+    return clientPrefix + (renamedAssets[relative] || relative);
+  };
+
+  const remaining = new Set(listSized(outDir));
+  const pairs = listSized(srcDir).map(original => {
+    const file = counterpartOf(original);
+    const exists = remaining.delete(file);
+    return {
+      file: exists ? file : original,
+      original,
+      obfuscated: exists ? file : null,
+      type: typeOf(original)
+    };
+  });
+  for (const file of remaining) {
+    pairs.push({ file, original: null, obfuscated: file, type: typeOf(file) });
+  }
+  return pairs.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Measure every CSS, JS and HTML file of both builds
+ * @param {object} options
+ * @param {string} options.srcDir - Build before obfuscation
+ * @param {string} options.outDir - Obfuscated build
+ * @param {Record<string, string>} [options.renamedAssets] - Asset renames from `assets.json`,
+ *   relative to the client root
+ * @returns {{ files: SizeEntry[], totals: { before: Sizes, after: Sizes } }} Size report
+ */
+export function measureBuild({ srcDir, outDir, renamedAssets = {} }) {
+  const files = pairBuildFiles({ srcDir, outDir, renamedAssets }).map(
+    ({ file, original, obfuscated, type }) => ({
+      file,
+      original,
+      type,
+      before: original ? measure(fs.readFileSync(path.join(srcDir, original))) : null,
+      after: obfuscated ? measure(fs.readFileSync(path.join(outDir, obfuscated))) : null
+    })
+  );
+  return { files, totals: { before: sum(files, 'before'), after: sum(files, 'after') } };
+}
+
+/**
+ * Check the obfuscated files against per-asset budgets
+ * @param {{ files: SizeEntry[] }} report - From {@link measureBuild}
+ * @param {{ files: string, raw?: number, gzip?: number, brotli?: number }[]} budgets - Maximum
+ *   bytes for every file matching the `files` glob (relative to the obfuscated build)
+ * @param {string} outDir - Obfuscated build the globs are matched in
+ * @returns {{ name: string, failures: { name: string, message: string }[] }[]} One case per
+ *   budgeted file
+ */
+export function checkBudgets(report, budgets, outDir) {
+  const cases = new Map();
+  for (const budget of budgets) {
+    const matched = new Set(
+      globSync(budget.files, { cwd: outDir, nodir: true }).map(file =>
+        file.split(path.sep).join('/')
+      )
+    );
+    for (const entry of report.files) {
+      if (!entry.after || !matched.has(entry.file)) {
+        continue;
+      }
+      const failures = cases.get(entry.file) || [];
+      for (const metric of SIZE_METRICS) {
+        if (budget[metric] !== undefined && entry.after[metric] > budget[metric]) {
+          failures.push({
+            name: `${metric} (${budget.files})`,
+            message: `${entry.after[metric]} bytes exceed the budget of ${budget[metric]} bytes`,
+            metric,
+            size: entry.after[metric],
+            budget: budget[metric]
+          });
+        }
+      }
+      cases.set(entry.file, failures);
+    }
+  }
+  return [...cases].map(([name, failures]) => ({ name, failures }));
+}
+
+// `client/_astro/index.B6gPzuok.css` and `client/_astro/index.Df3V076P.css` are the same asset
+function baselineKey(entry) {
+  return path.posix.join(
+    path.posix.dirname(entry.file),
+    assetStem(path.posix.basename(entry.file))
+  );
+}
+
+/**
+ * Compare the obfuscated sizes with a report saved from an earlier build
+ * @param {{ files: SizeEntry[] }} report - Current report
+ * @param {{ files: SizeEntry[] }} baseline - Earlier report
+ * @returns {{ file: string, baseline: Sizes|null, current: Sizes|null,
+ *   change: Record<string, number> }[]} Files whose sizes changed, were added or were removed
+ */
+export function diffSizes(report, baseline) {
+  const earlier = new Map(
+    baseline.files.filter(entry => entry.after).map(entry => [baselineKey(entry), entry.after])
+  );
+  const changes = [];
+  for (const entry of report.files.filter(file => file.after)) {
+    const key = baselineKey(entry);
+    const previous = earlier.get(key) || null;
+    earlier.delete(key);
+    const change = Object.fromEntries(
+      SIZE_METRICS.map(metric => [metric, entry.after[metric] - (previous?.[metric] || 0)])
+    );
+    if (!previous || SIZE_METRICS.some(metric => change[metric] !== 0)) {
+      changes.push({ file: entry.file, baseline: previous, current: entry.after, change });
+    }
+  }
+  for (const [file, previous] of earlier) {
+    const change = Object.fromEntries(SIZE_METRICS.map(metric => [metric, -previous[metric]]));
+    changes.push({ file, baseline: previous, current: null, change });
+  }
+  return changes;
+}
+
+/**
+ * Read a saved size report: a file written by {@link measureBuild} or a `verification.json`
+ * @param {string} file - Report path
+ * @returns {{ files: SizeEntry[] }} Size report
+ */
+export function readSizeReport(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Size baseline is unreadable: ${file} (${error.message})`);
+  }
+  const report = data.sizes || data;
+  if (!Array.isArray(report.files)) {
+    throw new Error(`Size baseline has no "files" list: ${file}`);
+  }
+  return report;
+}
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { checkBudgets, diffSizes, measure, measureBuild, pairBuildFiles } from './sizes.js';
+
+function write(directory, file, content) {
+  fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+  fs.writeFileSync(path.join(directory, file), content);
+}
+
+describe('measure', () => {
+  it('counts raw, gzip and brotli bytes', () => {
+    const sizes = measure(Buffer.from('.btn{color:red}'.repeat(100)));
+    assert.equal(sizes.raw, 1500);
+    assert.ok(sizes.gzip < sizes.raw && sizes.brotli < sizes.raw);
+  });
+});
+
+describe('sizes of a build', () => {
+  let directory;
+  let srcDir;
+  let outDir;
+  const renamedAssets = { '_astro/index.B6gPzuok.css': '_astro/index.Df3V076P.css' };
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sizes-'));
+    srcDir = path.join(directory, 'dist');
+    outDir = path.join(directory, 'dist-obfuscated');
+    write(srcDir, 'client/_astro/index.B6gPzuok.css', '.button-primary{color:red}');
+    write(srcDir, 'client/index.html', '<a class="button-primary">Go</a>');
+    write(srcDir, 'client/old.js', 'console.log(1)');
+    write(outDir, 'client/_astro/index.Df3V076P.css', '.a1{color:red}');
+    write(outDir, 'client/index.html', '<a class="a1">Go</a>');
+    write(outDir, 'client/new.js', 'console.log(2)');
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('pairs files by relative path and through asset renames', () => {
+    assert.deepEqual(pairBuildFiles({ srcDir, outDir, renamedAssets }), [
+      {
+        file: 'client/_astro/index.Df3V076P.css',
+        original: 'client/_astro/index.B6gPzuok.css',
+        obfuscated: 'client/_astro/index.Df3V076P.css',
+        type: 'css'
+      },
+      {
+        file: 'client/index.html',
+        original: 'client/index.html',
+        obfuscated: 'client/index.html',
+        type: 'html'
+      },
+      { file: 'client/new.js', original: null, obfuscated: 'client/new.js', type: 'js' },
+      { file: 'client/old.js', original: 'client/old.js', obfuscated: null, type: 'js' }
+    ]);
+  });
+
+  it('fails the files over budget', () => {
+    const report = measureBuild({ srcDir, outDir, renamedAssets });
+    const cases = checkBudgets(
+      report,
+      [
+        { files: '**/*.css', raw: 10 },
+        { files: 'client/*.html', raw: 1000 }
+      ],
+      outDir
+    );
+    assert.deepEqual(
+      cases.map(({ name, failures }) => [name, failures.map(failure => failure.message)]),
+      [
+        ['client/_astro/index.Df3V076P.css', ['14 bytes exceed the budget of 10 bytes']],
+        ['client/index.html', []]
+      ]
+    );
+    assert.equal(cases[0].failures[0].name, 'raw (**/*.css)');
+  });
+
+  it('compares with a baseline across content hashes', () => {
+    const report = measureBuild({ srcDir, outDir, renamedAssets });
+    const css = report.files[0].after;
+    const baseline = {
+      files: [
+        { file: 'client/_astro/index.OldHash1.css', after: { ...css, raw: css.raw - 4 } },
+        { file: 'client/index.html', after: report.files[1].after },
+        { file: 'client/gone.js', after: { raw: 5, gzip: 4, brotli: 3 } }
+      ]
+    };
+    const changes = diffSizes(report, baseline);
+    assert.deepEqual(
+      changes.map(({ file, change }) => [file, change.raw]),
+      [
+        ['client/_astro/index.Df3V076P.css', 4],
+        ['client/new.js', 14],
+        ['client/gone.js', -5]
+      ]
+    );
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Render pages with the server bundle of a build
+ *
+ * With `output: 'server'` the build has no HTML files to check. The adapter's
+ * serverless functions (Vercel Build Output API: `<serverPath>/*.func`) are
+ * loaded in-process behind a local HTTP server, so pages come out exactly as
+ * they would be served, obfuscation middleware included. The preview server
+ * (scripts/test-server.js) routes requests to them the same way.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { SERVER_MAPPING_FILE } from './server.js';
+
+/**
+ * Find the serverless functions of a build
+ * @param {string} serverPath - Functions directory, e.g. `.vercel/output/functions`
+ * @returns {{ name: string, entry: string }[]} Function names and absolute entry modules
+ */
+export function findServerFunctions(serverPath) {
+  if (!fs.existsSync(serverPath)) {
+    return [];
+  }
+  return fs
+    .readdirSync(serverPath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && entry.name.endsWith('.func'))
+    .flatMap(entry => {
+      const directory = path.join(path.resolve(serverPath), entry.name);
+      const configFile = path.join(directory, '.vc-config.json');
+      if (!fs.existsSync(configFile)) {
+        return [];
+      }
+      const { handler } = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      return handler
+        ? [{ name: entry.name.slice(0, -'.func'.length), entry: path.join(directory, handler) }]
+        : [];
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// `^/about/?$` → `/about`; patterns with parameters or wildcards give null
+function literalPath(source) {
+  const match = /^\^(.*?)(?:\/\?)?\$$/.exec(source);
+  if (!match) {
+    return null;
+  }
+  const pathname = match[1].replace(/\\(.)/g, '$1');
+  return /[()[\]*+?{}|^$]/.test(match[1].replace(/\\./g, '')) ? null : pathname || '/';
+}
+
+/**
+ * Read the routes of the routing config that end at a function
+ * @param {string} serverPath - Functions directory; `config.json` is read from its parent
+ * @returns {{ source: string, pattern: RegExp, function: string }[]} Routes in config order
+ */
+export function readFunctionRoutes(serverPath) {
+  const configFile = path.join(serverPath, '..', 'config.json');
+  if (!fs.existsSync(configFile)) {
+    return [];
+  }
+  const { routes = [] } = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  return routes
+    .filter(route => route.src && route.dest)
+    .map(route => ({
+      source: route.src,
+      pattern: new RegExp(route.src),
+      function: route.dest.replace(/^\//, '')
+    }));
+}
+
+/**
+ * List the page paths the routing config sends to a function
+ * @param {string} serverPath - Functions directory; `config.json` is read from its parent
+ * @returns {{ pathname: string, function: string }[]} Paths of routes without parameters.
+ *   Internal endpoints (`/_image`, `/_server-islands/...`) are left out.
+ */
+export function listServerRoutes(serverPath) {
+  const seen = new Set();
+  return readFunctionRoutes(serverPath).flatMap(route => {
+    const pathname = literalPath(route.source);
+    if (!pathname || pathname.startsWith('/_') || seen.has(pathname)) {
+      return [];
+    }
+    seen.add(pathname);
+    return [{ pathname, function: route.function }];
+  });
+}
+
+/**
+ * Copy the functions of a build and their routing config to a new temporary directory. Modules
+ * are cached by URL for the life of a process, and a rebuild keeps the names of chunks whose
+ * asset references were rewritten, so a process that loads a build more than once loads copies.
+ * @param {string} serverPath - Functions directory
+ * @param {object} [options]
+ * @param {(source: string) => boolean} [options.filter] - Whether to copy a file or directory
+ * @returns {{ serverPath: string, remove: () => void }} Functions directory of the copy, and a
+ *   function that deletes the copy
+ */
+export function snapshotFunctions(serverPath, { filter } = {}) {
+  const copy = fs.mkdtempSync(path.join(os.tmpdir(), 'server-functions-'));
+  const functions = path.join(copy, 'functions');
+  fs.cpSync(serverPath, functions, { recursive: true, filter });
+  const routes = path.join(serverPath, '..', 'config.json');
+  if (fs.existsSync(routes)) {
+    fs.copyFileSync(routes, path.join(copy, 'config.json'));
+  }
+  return {
+    serverPath: functions,
+    remove: () => fs.rmSync(copy, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Import the request handler of a function entry
+ * @param {string} entry - Entry module exporting a Node `(req, res)` handler, as the default
+ *   export (Vercel) or as `handler` (Node adapter)
+ * @returns {Promise<(req: import('http').IncomingMessage, res: import('http').ServerResponse)
+ *   => Promise<void>>} Handler that answers 500 when the function throws
+ */
+export async function loadServerHandler(entry) {
+  const module = await import(pathToFileURL(entry).href);
+  const handler = typeof module.default === 'function' ? module.default : module.handler;
+  if (typeof handler !== 'function') {
+    throw new Error(`Server entry exports no request handler: ${entry}`);
+  }
+  return (req, res) =>
+    Promise.resolve()
+      .then(() => handler(req, res))
+      .catch(error => {
+        if (!res.headersSent) {
+          res.writeHead(500, { 'content-type': 'text/plain' });
+        }
+        res.end(`Server function failed: ${error.message}`);
+      });
+}
+
+/**
+ * Create a request handler that routes requests to the functions of a build, like Vercel does
+ * after its filesystem check
+ * @param {string} serverPath - Functions directory
+ * @param {object} [options]
+ * @param {(entry: { pathname: string, function: string, status: number }) => void}
+ *   [options.onServe] - Called after every response a function finished
+ * @returns {Promise<{ routes: { source: string, pattern: RegExp, function: string }[],
+ *   handle: (req: import('http').IncomingMessage, res: import('http').ServerResponse)
+ *   => Promise<boolean>, reload: () => Promise<void>, close: () => void }>} Routes that reach a
+ *   function, a handler that resolves to false when no route matches, `reload` to pick up a
+ *   rebuild and `close` to delete the copy reloading made. `routes` is updated in place.
+ */
+export async function createFunctionHandler(serverPath, { onServe } = {}) {
+  const routes = [];
+  let current = null;
+  let handlers = new Map();
+
+  // Loaded up front so a broken bundle fails at startup, not on the first request
+  const load = async directory => {
+    const entries = new Map(findServerFunctions(directory).map(fn => [fn.name, fn.entry]));
+    const found = readFunctionRoutes(directory).filter(route => entries.has(route.function));
+    const loaded = new Map();
+    for (const name of new Set(found.map(route => route.function))) {
+      loaded.set(name, await loadServerHandler(entries.get(name)));
+    }
+    // Swapped only once everything loaded, so a broken rebuild keeps the previous functions
+    routes.splice(0, routes.length, ...found);
+    handlers = loaded;
+  };
+  await load(serverPath);
+
+  const handle = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = routes.find(candidate => candidate.pattern.test(pathname));
+    if (!route) {
+      return false;
+    }
+    res.once('finish', () =>
+      onServe?.({ pathname, function: route.function, status: res.statusCode })
+    );
+    await handlers.get(route.function)(req, res);
+    return true;
+  };
+  // Only the copy in use is kept: a copy that failed to load, or the one it replaced, is deleted
+  const reload = async () => {
+    const snapshot = snapshotFunctions(serverPath);
+    try {
+      await load(snapshot.serverPath);
+    } catch (error) {
+      snapshot.remove();
+      throw error;
+    }
+    current?.remove();
+    current = snapshot;
+  };
+  const close = () => {
+    current?.remove();
+    current = null;
+  };
+  return { routes, handle, reload, close };
+}
+
+/**
+ * Serve a function entry on a local port
+ * @param {string} entry - Entry module exporting a Node `(req, res)` handler, as the default
+ *   export (Vercel) or as `handler` (Node adapter)
+ * @returns {Promise<{ origin: string, fetch: (pathname: string, init?: RequestInit) =>
+ *   Promise<Response>, close: () => Promise<void> }>} Running server
+ */
+export async function startServerFunction(entry) {
+  const handler = await loadServerHandler(entry);
+  const server = http.createServer(handler);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin,
+    fetch: (pathname, init) => fetch(new URL(pathname, origin), init),
+    close: () =>
+      new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      })
+  };
+}
+
+/**
+ * Render the parameterless pages of a server build
+ * @param {string} serverPath - Functions directory
+ * @returns {Promise<{ pathname: string, status: number, html: string }[]>} HTML responses
+ */
+export async function renderServerPages(serverPath) {
+  const functions = new Map(findServerFunctions(serverPath).map(fn => [fn.name, fn.entry]));
+  const pages = [];
+
+  for (const [name, entry] of functions) {
+    const routes = listServerRoutes(serverPath).filter(route => route.function === name);
+    if (routes.length === 0) {
+      continue;
+    }
+    const server = await startServerFunction(entry);
+    try {
+      for (const { pathname } of routes) {
+        const response = await server.fetch(pathname);
+        if (/^text\/html\b/i.test(response.headers.get('content-type') || '')) {
+          pages.push({ pathname, status: response.status, html: await response.text() });
+        } else {
+          await response.arrayBuffer();
+        }
+      }
+    } finally {
+      await server.close();
+    }
+  }
+  return pages;
+}
+
+/**
+ * Render the parameterless pages of a server build from a copy, so a process that renders more
+ * than one build (the preview's watch mode) never uses the modules of an earlier one
+ * @param {string} serverPath - Functions directory
+ * @param {object} [options]
+ * @param {boolean} [options.original=false] - Leave out the middleware's mapping, which renders
+ *   the pages unobfuscated
+ * @returns {Promise<{ pathname: string, status: number, html: string }[]>} HTML responses
+ */
+export async function renderServerSnapshot(serverPath, { original = false } = {}) {
+  const snapshot = snapshotFunctions(serverPath, {
+    filter: original ? source => path.basename(source) !== SERVER_MAPPING_FILE : undefined
+  });
+  try {
+    return await renderServerPages(snapshot.serverPath);
+  } finally {
+    snapshot.remove();
+  }
+}
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { createFunctionHandler } from './ssr.js';
+
+// Answers with the path of the module, which tells the copies apart
+const ENTRY = `import { fileURLToPath } from 'node:url';
+export default (req, res) => res.end(fileURLToPath(import.meta.url));
+`;
+
+describe('createFunctionHandler', () => {
+  let directory;
+  let serverPath;
+  let server;
+  let functions;
+
+  const render = async () => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/`);
+    return response.text();
+  };
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ssr-'));
+    serverPath = path.join(directory, 'functions');
+    const fn = path.join(serverPath, '_render.func');
+    fs.mkdirSync(fn, { recursive: true });
+    fs.writeFileSync(path.join(fn, '.vc-config.json'), '{"handler":"entry.mjs"}');
+    fs.writeFileSync(path.join(fn, 'entry.mjs'), ENTRY);
+    fs.writeFileSync(
+      path.join(directory, 'config.json'),
+      JSON.stringify({ routes: [{ src: '^/$', dest: '_render' }] })
+    );
+
+    functions = await createFunctionHandler(serverPath);
+    server = http.createServer(async (req, res) => {
+      if (!(await functions.handle(req, res))) {
+        res.writeHead(404).end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(() => {
+    functions.close();
+    server.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('serves each rebuild from a new copy and deletes the previous one', async () => {
+    assert.equal(await render(), path.join(serverPath, '_render.func', 'entry.mjs'));
+
+    await functions.reload();
+    const first = await render();
+    assert.notEqual(path.dirname(path.dirname(first)), serverPath);
+    assert.ok(fs.existsSync(first));
+
+    await functions.reload();
+    const second = await render();
+    assert.notEqual(second, first);
+    assert.equal(fs.existsSync(first), false);
+    assert.ok(fs.existsSync(second));
+    assert.ok(fs.existsSync(serverPath));
+
+    functions.close();
+    assert.equal(fs.existsSync(second), false);
+  });
+});
@@ -0,0 +1,360 @@
+/**
+ * Static file handler for the preview server (scripts/test-server.js)
+ *
+ * Serves a build the way Vercel's CDN does, so the preview shows what
+ * production will: gzip/brotli negotiated from `Accept-Encoding`, `ETag` and
+ * `Last-Modified` validators with 304 responses, single-range requests,
+ * immutable caching for the content-hashed `/_astro/*` assets and the
+ * `headers` rules of vercel.json. Requests never resolve outside the root.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+import { pathToRegexp } from 'path-to-regexp';
+
+export const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.eot': 'application/vnd.ms-fontobject'
+};
+
+// Vercel's defaults: hashed assets never change, everything else is revalidated
+export const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable';
+export const REVALIDATE_CACHE = 'public, max-age=0, must-revalidate';
+
+const COMPRESSIBLE = /^(text\/|application\/(json|xml|manifest\+json)|image\/svg\+xml)/;
+// Smaller files are not worth compressing, as on Vercel
+const MIN_COMPRESS_SIZE = 1024;
+
+const compressors = {
+  br: promisify(zlib.brotliCompress),
+  gzip: promisify(zlib.gzip)
+};
+
+/**
+ * @typedef {object} HeaderRule
+ * @property {string} source - Path pattern from vercel.json, e.g. `/fonts/(.*)`
+ * @property {RegExp} pattern - Compiled `source`
+ * @property {Record<string, string>} headers - Headers to set, by name
+ */
+
+/**
+ * Media type of a file from its extension
+ * @param {string} file - File path
+ * @returns {string} Content type
+ */
+export function contentType(file) {
+  return MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Resolve a request path inside the served root
+ * @param {string} root - Served directory
+ * @param {string} pathname - URL path, still percent-encoded
+ * @returns {string|null} Absolute file path, or null when the path is malformed or leaves the root
+ */
+export function resolveStaticPath(root, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+  if (decoded.includes('\0')) {
+    return null;
+  }
+  const base = path.resolve(root);
+  const target = path.resolve(base, `.${path.posix.normalize(`/${decoded}`)}`);
+  const relative = path.relative(base, target);
+  // A prefix test would let `/root-other` through; `..` and absolute results leave the root
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return target;
+}
+
+/**
+ * Read the `headers` rules of a vercel.json
+ * @param {string} file - Path of vercel.json; a missing file has no rules
+ * @returns {{ rules: HeaderRule[], warnings: string[] }} Rules in file order, and rules that were
+ *   skipped
+ */
+export function loadVercelHeaders(file) {
+  if (!fs.existsSync(file)) {
+    return { rules: [], warnings: [] };
+  }
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON (${error.message})`);
+  }
+
+  const rules = [];
+  const warnings = [];
+  (config.headers || []).forEach((rule, index) => {
+    if (typeof rule?.source !== 'string' || !Array.isArray(rule.headers)) {
+      throw new Error(`${file}: headers[${index}] needs a "source" and a "headers" list`);
+    }
+    if (rule.has || rule.missing) {
+      warnings.push(`${file}: headers[${index}] (${rule.source}) has conditions, not applied`);
+      return;
+    }
+    rules.push({
+      source: rule.source,
+      // The options Vercel compiles `source` with
+      pattern: pathToRegexp(rule.source, [], { strict: true, sensitive: true, delimiter: '/' }),
+      headers: Object.fromEntries(rule.headers.map(({ key, value }) => [key.toLowerCase(), value]))
+    });
+  });
+  return { rules, warnings };
+}
+
+/**
+ * Headers a response gets before the vercel.json rules: caching by path
+ * @param {string} pathname - Request path
+ * @returns {Record<string, string>} Default headers
+ */
+function defaultHeaders(pathname) {
+  return {
+    'cache-control': pathname.startsWith('/_astro/') ? IMMUTABLE_CACHE : REVALIDATE_CACHE
+  };
+}
+
+/**
+ * Pick the encoding to send from an `Accept-Encoding` header
+ * @param {string} [header] - Request header
+ * @returns {'br'|'gzip'|null} Preferred supported encoding, brotli on a tie
+ */
+export function negotiateEncoding(header = '') {
+  const accepted = new Map();
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    accepted.set(name, q ? Number(q.slice(2)) || 0 : 1);
+  }
+  const quality = name => accepted.get(name) ?? (accepted.has('*') ? accepted.get('*') : 0);
+  const [best] = ['br', 'gzip']
+    .filter(name => quality(name) > 0)
+    .sort((a, b) => quality(b) - quality(a));
+  return best || null;
+}
+
+/**
+ * Parse a `Range` header against a file size
+ * @param {string} header - Request header, e.g. `bytes=0-499`
+ * @param {number} size - File size
+ * @returns {{ start: number, end: number }|'unsatisfiable'|null} Inclusive byte range, or null
+ *   to send the whole file (malformed or multiple ranges)
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  let start;
+  let end;
+  if (match[1] === '') {
+    // `bytes=-500` is the last 500 bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || start > end) {
+    return 'unsatisfiable';
+  }
+  return { start, end };
+}
+
+function etagMatches(header, etag) {
+  if (header.trim() === '*') {
+    return true;
+  }
+  // If-None-Match compares weakly
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => strip(tag) === strip(etag));
+}
+
+function notModified(req, etag, modified) {
+  const noneMatch = req.headers['if-none-match'];
+  if (noneMatch) {
+    return etagMatches(noneMatch, etag);
+  }
+  const since = Date.parse(req.headers['if-modified-since'] || '');
+  return !Number.isNaN(since) && Math.floor(modified.getTime() / 1000) * 1000 <= since;
+}
+
+function rangeApplies(req, etag, modified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+  return ifRange.startsWith('"') || ifRange.startsWith('W/')
+    ? ifRange === etag
+    : Date.parse(ifRange) >= Math.floor(modified.getTime() / 1000) * 1000;
+}
+
+function findFile(root, pathname) {
+  const target = resolveStaticPath(root, pathname);
+  if (!target) {
+    return { forbidden: true };
+  }
+  // Directories serve their index.html, clean URLs their .html file
+  const candidates = pathname.endsWith('/')
+    ? [path.join(target, 'index.html')]
+    : [target, path.join(target, 'index.html'), `${target}.html`];
+  for (const file of candidates) {
+    const stat = fs.statSync(file, { throwIfNoEntry: false });
+    if (stat?.isFile()) {
+      return { file, stat };
+    }
+  }
+  return {};
+}
+
+/**
+ * Create a request handler that serves the files of a directory
+ * @param {object} options
+ * @param {string} options.root - Served directory
+ * @param {HeaderRule[]} [options.headerRules] - From {@link loadVercelHeaders}
+ * @param {(entry: { pathname: string, file: string, status: number, encoding: string|null })
+ *   => void} [options.onServe] - Called after every served file
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse)
+ *   => Promise<boolean>} Resolves to false when no file matches, leaving the response to the caller
+ */
+export function createStaticHandler({ root, headerRules = [], onServe }) {
+  // Compressed bodies by file and encoding, with the modification time they were made from
+  const cache = new Map();
+  // A rebuild replaces hashed assets, so entries of changed or deleted files are dropped
+  const evictStale = () => {
+    for (const [key, entry] of cache) {
+      const stat = fs.statSync(entry.file, { throwIfNoEntry: false });
+      if (stat?.mtimeMs !== entry.mtimeMs) {
+        cache.delete(key);
+      }
+    }
+  };
+  const compress = (file, stat, encoding) => {
+    const key = `${file}:${encoding}`;
+    if (cache.get(key)?.mtimeMs !== stat.mtimeMs) {
+      evictStale();
+      const body = fs.promises.readFile(file).then(compressors[encoding]);
+      // A failed read is retried on the next request
+      body.catch(() => cache.get(key)?.body === body && cache.delete(key));
+      cache.set(key, { file, mtimeMs: stat.mtimeMs, body });
+    }
+    return cache.get(key).body;
+  };
+
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const { file, stat, forbidden } = findFile(root, pathname);
+    if (forbidden) {
+      res.writeHead(403, { 'content-type': 'text/plain; charset=utf-8' });
+      res.end('Forbidden');
+      return true;
+    }
+    if (!file) {
+      return false;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { allow: 'GET, HEAD', 'content-type': 'text/plain; charset=utf-8' });
+      res.end('Method Not Allowed');
+      return true;
+    }
+
+    const type = contentType(file);
+    const compressible = COMPRESSIBLE.test(type) && stat.size >= MIN_COMPRESS_SIZE;
+    const range = req.headers.range;
+    // Ranges address the file's own bytes, so they are served uncompressed
+    const encoding =
+      compressible && !range ? negotiateEncoding(req.headers['accept-encoding']) : null;
+    const version = `${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}`;
+    const etag = `"${version}${encoding ? `-${encoding}` : ''}"`;
+
+    const headers = {
+      ...defaultHeaders(pathname),
+      'content-type': type,
+      etag,
+      'last-modified': stat.mtime.toUTCString(),
+      'accept-ranges': 'bytes'
+    };
+    if (compressible) {
+      headers.vary = 'Accept-Encoding';
+    }
+    for (const rule of headerRules) {
+      if (rule.pattern.test(pathname)) {
+        Object.assign(headers, rule.headers);
+      }
+    }
+
+    const send = (status, body, extra = {}) => {
+      res.writeHead(status, { ...headers, ...extra });
+      res.end(req.method === 'HEAD' ? undefined : body);
+      onServe?.({ pathname, file, status, encoding });
+    };
+
+    if (notModified(req, etag, stat.mtime)) {
+      send(304);
+      return true;
+    }
+
+    if (encoding) {
+      const body = await compress(file, stat, encoding);
+      send(200, body, { 'content-encoding': encoding, 'content-length': body.length });
+      return true;
+    }
+
+    const parsed =
+      range && rangeApplies(req, etag, stat.mtime) ? parseRange(range, stat.size) : null;
+    if (parsed === 'unsatisfiable') {
+      send(416, undefined, { 'content-range': `bytes */${stat.size}`, 'content-length': 0 });
+      return true;
+    }
+    const { start, end } = parsed || { start: 0, end: stat.size - 1 };
+    const status = parsed ? 206 : 200;
+    res.writeHead(status, {
+      ...headers,
+      'content-length': stat.size === 0 ? 0 : end - start + 1,
+      ...(parsed ? { 'content-range': `bytes ${start}-${end}/${stat.size}` } : {})
+    });
+    if (req.method === 'HEAD' || stat.size === 0) {
+      res.end();
+    } else {
+      try {
+        await pipeline(fs.createReadStream(file, { start, end }), res);
+      } catch (error) {
+        // The client went away before the body was sent
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+          return true;
+        }
+        throw error;
+      }
+    }
+    onServe?.({ pathname, file, status, encoding: null });
+    return true;
+  };
+}
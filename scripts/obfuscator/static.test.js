@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import zlib from 'node:zlib';
+import { createStaticHandler, parseRange } from './static.js';
+
+let root;
+let server;
+let served;
+
+// Starts a preview server on a free port, keeping the promise of every handled request
+function listen(handler) {
+  served = [];
+  server = http.createServer((req, res) => served.push(handler(req, res)));
+  return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+}
+
+function get(pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const { port } = server.address();
+    http
+      .get({ host: '127.0.0.1', port, path: pathname, headers }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ res, body: Buffer.concat(chunks) }));
+      })
+      .on('error', reject);
+  });
+}
+
+describe('createStaticHandler', () => {
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    await listen(createStaticHandler({ root }));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('compresses a file again after it changes', async () => {
+    const file = path.join(root, 'app.js');
+    for (const [text, time] of [
+      ['first', 1000],
+      ['second', 2000]
+    ]) {
+      fs.writeFileSync(file, text.repeat(500));
+      fs.utimesSync(file, time, time);
+      const { res, body } = await get('/app.js', { 'accept-encoding': 'gzip' });
+      assert.equal(res.headers['content-encoding'], 'gzip');
+      assert.equal(zlib.gunzipSync(body).toString(), text.repeat(500));
+    }
+  });
+
+  it('settles when the client aborts a download', async () => {
+    fs.writeFileSync(path.join(root, 'video.bin'), Buffer.alloc(8 * 1024 * 1024));
+    served = [];
+    await new Promise((resolve, reject) => {
+      const { port } = server.address();
+      const req = http.get({ host: '127.0.0.1', port, path: '/video.bin' }, res => {
+        res.once('data', () => {
+          req.destroy();
+          resolve();
+        });
+      });
+      req.on('error', error => error.code !== 'ECONNRESET' && reject(error));
+    });
+    assert.equal(await served[0], true);
+  });
+});
+
+describe('parseRange', () => {
+  it('reads single ranges and rejects the ones past the end', () => {
+    assert.deepEqual(parseRange('bytes=0-499', 1000), { start: 0, end: 499 });
+    assert.deepEqual(parseRange('bytes=-200', 1000), { start: 800, end: 999 });
+    assert.equal(parseRange('bytes=1000-', 1000), 'unsatisfiable');
+    assert.equal(parseRange('bytes=0-1,5-6', 1000), null);
+  });
+});
@@ -0,0 +1,474 @@
+/**
+ * Integrity checks for an obfuscated build
+ *
+ * - `references`: every class the obfuscated pages and scripts use is defined
+ *   by a selector of the obfuscated CSS, or safelisted (`classIgnore`,
+ *   `verifyIgnore` and the runtime safelist)
+ * - `leftovers`: no class the mapping renamed appears under its original name
+ * - `rules`: every rule of the original stylesheets has exactly one
+ *   counterpart in the obfuscated ones, with the same at-rule nesting and the
+ *   selector translated through the mapping
+ * - `equivalence`: every element of every page matches the same rules as in
+ *   the original page (equivalence.js)
+ * - `budgets`: obfuscated assets stay within `sizeBudgets` (sizes.js)
+ *
+ * Class names are collected by running the regular passes with an empty
+ * mapping and recording every lookup, so the checks read markup, selectors and
+ * scripts exactly like the build does. Files excluded from the passes
+ * (`*Excludes`) are not checked. Server builds have no HTML files; their pages
+ * are rendered with the server functions instead (ssr.js), and with a copy of
+ * them without the mapping for the original version.
+ *
+ * With `purge`, the rules listed in `purge.json` are left out of the original
+ * stylesheets, so `rules` and `equivalence` compare what the purge kept. Classes
+ * of purged rules count as defined, and `rules` fails for every purged rule
+ * whose classes the pages and scripts still use.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { globSync } from 'glob';
+import postcss from 'postcss';
+import { obfuscateCSS, rewriteSelector } from './css.js';
+import { readMappingFile } from './deobfuscate.js';
+import { comparePages, listRules, pageStylesheets, parseDocument } from './equivalence.js';
+import { inlineStyles, obfuscateHTML } from './html.js';
+import { obfuscateJS } from './js.js';
+import { collectClasses, createIgnoreMatcher } from './mapping.js';
+import { removeRules, selectorClasses, selectorIsUsed } from './purge.js';
+import { checkBudgets, measureBuild } from './sizes.js';
+import { renderServerSnapshot } from './ssr.js';
+
+export const CHECKS = {
+  references: 'Used classes are defined in the obfuscated CSS',
+  leftovers: 'No original class names remain',
+  rules: 'Every CSS rule has exactly one counterpart',
+  equivalence: 'Elements match the same CSS rules as before',
+  budgets: 'Assets stay within their size budgets'
+};
+
+const KEYFRAMES = /^(-\w+-)?keyframes$/i;
+
+/**
+ * @typedef {object} VerificationResult
+ * @property {boolean} passed - No check failed
+ * @property {{ name: string, title: string, cases: { name: string, failures: { name: string,
+ *   message: string }[] }[] }[]} checks - One case per checked file
+ * @property {{ pages: number, scripts: number, stylesheets: number }} stats - Files checked
+ * @property {object} sizes - Size report of the CSS, JS and HTML files (sizes.js)
+ * @property {string[]} warnings - Files that could not be read or rendered
+ */
+
+function listBuildFiles(directory, pattern, excludes = []) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+  return globSync(pattern, { cwd: directory, nodir: true, ignore: excludes })
+    .map(file => file.split(path.sep).join('/'))
+    .sort();
+}
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+/**
+ * Count the rules of a stylesheet by at-rule nesting and selector
+ * @param {string} content - Stylesheet source
+ * @param {string} file - Source file, used in errors
+ * @param {(selector: string) => string} [translate] - Applied to every selector but keyframe stops
+ * @returns {Map<string, { count: number, selector: string }>} Rule counts and the untranslated
+ *   selector, keyed like `@media @supports .a > .b`
+ */
+function countRules(content, file, translate = selector => selector) {
+  const counts = new Map();
+  postcss.parse(content, { from: file }).walkRules(rule => {
+    const atRules = [];
+    for (let parent = rule.parent; parent?.type === 'atrule'; parent = parent.parent) {
+      atRules.unshift(`@${parent.name}`);
+    }
+    const inKeyframes = rule.parent?.type === 'atrule' && KEYFRAMES.test(rule.parent.name);
+    const key = [...atRules, inKeyframes ? rule.selector : translate(rule.selector)].join(' ');
+    counts.set(key, { count: (counts.get(key)?.count || 0) + 1, selector: rule.selector });
+  });
+  return counts;
+}
+
+function compareRules(original, obfuscated) {
+  const failures = [];
+  for (const key of new Set([...original.keys(), ...obfuscated.keys()])) {
+    const before = original.get(key)?.count || 0;
+    const after = obfuscated.get(key)?.count || 0;
+    if (before === after) {
+      continue;
+    }
+    const message =
+      before === 0
+        ? `${after} rule(s) without an original`
+        : after === 0
+          ? `no counterpart in the obfuscated stylesheet (original selector ${original.get(key).selector})`
+          : `${before} rule(s) in the original, ${after} in the obfuscated stylesheet`;
+    failures.push({ name: key, message });
+  }
+  return failures;
+}
+
+function invert(names) {
+  return Object.fromEntries(Object.entries(names).map(([from, to]) => [to, from]));
+}
+
+/**
+ * Compare the CSS rules each element matches in the original and obfuscated version of every page
+ * @param {{ file: string, content: string, original: string|null }[]} pages - Obfuscated pages
+ *   with their original markup
+ * @param {object} options
+ * @param {{ root: string, assets: Record<string, string>, read: (file: string) => string }}
+ *   options.original - Client root the original page's stylesheets are read from, asset renames
+ *   to try for missing files and how to read a stylesheet
+ * @param {{ root: string, assets: Record<string, string>, read: (file: string) => string }}
+ *   options.obfuscated - Same for the obfuscated page
+ * @param {string[]} options.warnings - Receives selectors that could not be matched
+ * @returns {{ name: string, failures: object[] }[]} One case per page
+ */
+function checkEquivalence(pages, { original, obfuscated, warnings }) {
+  const cache = new Map();
+  const loadRules = (side, stylesheet) => {
+    if (stylesheet.content !== undefined) {
+      return listRules(stylesheet.content, 'inline style');
+    }
+    const url = new URL(stylesheet.href, 'http://localhost/');
+    if (url.origin !== 'http://localhost') {
+      // Third-party stylesheets (web fonts) are the same on both sides and never obfuscated
+      return [];
+    }
+    const pathname = decodeURIComponent(url.pathname);
+    const relative = pathname.replace(/^\//, '');
+    const file = [relative, side.assets[relative]]
+      .filter(Boolean)
+      .map(candidate => path.join(side.root, candidate))
+      .find(candidate => fs.existsSync(candidate));
+    if (!file) {
+      throw new Error(`stylesheet ${pathname} not found`);
+    }
+    if (!cache.has(file)) {
+      cache.set(file, listRules(side.read(file), file));
+    }
+    return cache.get(file);
+  };
+  const load = (side, html) => {
+    const document = parseDocument(html);
+    return {
+      document,
+      stylesheets: pageStylesheets(document).map(stylesheet => loadRules(side, stylesheet))
+    };
+  };
+
+  return pages.map(page => {
+    if (page.original === null) {
+      return { name: page.file, failures: [{ name: page.file, message: 'page has no original' }] };
+    }
+    let result;
+    try {
+      result = comparePages(load(original, page.original), load(obfuscated, page.content));
+    } catch (error) {
+      return { name: page.file, failures: [{ name: page.file, message: error.message }] };
+    }
+    // Pages that cannot be compared element by element fail; unmatchable selectors only warn
+    warnings.push(...result.unmatched.map(selector => `${page.file}: cannot match ${selector}`));
+    return {
+      name: page.file,
+      failures: [
+        ...result.problems.map(problem => ({ name: page.file, message: problem })),
+        ...result.differences.map(difference => ({
+          name: difference.element,
+          message:
+            `${difference.change === 'lost' ? 'no longer matches' : 'now also matches'} ` +
+            `${difference.selector} (class="${difference.originalClass}")`,
+          ...difference
+        }))
+      ]
+    };
+  });
+}
+
+/**
+ * Check an obfuscated build against its source and mapping
+ * @param {object} options
+ * @param {string} options.srcDir - Build before obfuscation
+ * @param {string} options.outDir - Obfuscated build
+ * @param {string} options.dataDir - Obfuscation data (`main.json`, `runtime-classes.json`,
+ *   `assets.json`, `purge.json`)
+ * @param {string} [options.serverDir] - Server functions whose pages are rendered and checked
+ * @param {object} options.config - Obfuscation config the build was made with
+ * @returns {Promise<VerificationResult>} Result per check and file
+ */
+export async function verifyBuild({ srcDir, outDir, dataDir, serverDir, config }) {
+  if (!fs.existsSync(outDir)) {
+    throw new Error(`Obfuscated build not found: ${outDir}`);
+  }
+  const mapping = readMappingFile(path.join(dataDir, 'main.json'));
+  const runtime = readJson(path.join(dataDir, 'runtime-classes.json'), {});
+  const renamedAssets = readJson(path.join(dataDir, 'assets.json'), {});
+  const purge = readJson(path.join(dataDir, 'purge.json'), { stylesheets: [] });
+
+  const classes = mapping.classes;
+  const ids = mapping.ids || {};
+  const obfuscatedNames = new Set(Object.values(classes));
+  const isIgnored = createIgnoreMatcher([...config.classIgnore, ...(config.verifyIgnore || [])]);
+  const safelist = new Set(runtime.safelist || []);
+  const isSafe = name => safelist.has(name) || isIgnored(name);
+  const warnings = [];
+
+  const collect = run => {
+    const result = collectClasses(config, run);
+    warnings.push(...result.warnings);
+    return result.names;
+  };
+
+  // Obfuscated stylesheets: the classes their selectors define
+  const stylesheets = listBuildFiles(outDir, '**/*.css', config.cssExcludes).map(file => {
+    const content = fs.readFileSync(path.join(outDir, file), 'utf8');
+    return {
+      file,
+      names: collect(context => obfuscateCSS(content, context, file, { discover: false }))
+    };
+  });
+
+  const pages = listBuildFiles(outDir, '**/*.html', config.htmlExcludes).map(file => ({
+    file,
+    content: fs.readFileSync(path.join(outDir, file), 'utf8'),
+    original: fs.existsSync(path.join(srcDir, file))
+      ? fs.readFileSync(path.join(srcDir, file), 'utf8')
+      : null
+  }));
+  if (serverDir && fs.existsSync(serverDir)) {
+    const originals = new Map(
+      (await renderServerSnapshot(serverDir, { original: true })).map(page => [page.pathname, page])
+    );
+    for (const page of await renderServerSnapshot(serverDir)) {
+      if (page.status >= 500) {
+        warnings.push(`${page.pathname}: server responded with ${page.status}, page not checked`);
+      } else {
+        pages.push({
+          file: `${page.pathname} (server)`,
+          content: page.html,
+          original: originals.get(page.pathname)?.html ?? null
+        });
+      }
+    }
+  }
+
+  const defined = new Set(stylesheets.flatMap(sheet => [...sheet.names]));
+  for (const page of pages) {
+    for (const style of inlineStyles(page.content)) {
+      collect(context => obfuscateCSS(style, context, page.file, { discover: false })).forEach(
+        name => defined.add(name)
+      );
+    }
+  }
+
+  const users = [
+    ...pages.map(page => ({
+      file: page.file,
+      names: collect(context => obfuscateHTML(page.content, context, page.file))
+    })),
+    ...listBuildFiles(outDir, '**/*.js', config.jsExcludes).map(file => {
+      const content = fs.readFileSync(path.join(outDir, file), 'utf8');
+      return { file, names: collect(context => obfuscateJS(content, context, file)) };
+    })
+  ];
+
+  // Classes whose rules were all purged are used without a definition; the purge was only wrong
+  // when a purged rule still matches the classes in use (see `rules`)
+  const purgedNames = new Set(
+    purge.stylesheets.flatMap(sheet =>
+      sheet.removed.flatMap(rule => selectorClasses(rule.selector))
+    )
+  );
+  const references = users.map(({ file, names }) => ({
+    name: file,
+    failures: [...names]
+      .filter(name => !defined.has(name) && !isSafe(name) && !purgedNames.has(name))
+      .sort()
+      .map(name => ({ name, message: 'not defined by any selector in the obfuscated CSS' }))
+  }));
+
+  // Names that are also some other class's obfuscated name are legitimately present
+  const leftovers = [...stylesheets, ...users].map(({ file, names }) => ({
+    name: file,
+    failures: [...names]
+      .filter(name => Object.hasOwn(classes, name) && !obfuscatedNames.has(name))
+      .sort()
+      .map(name => ({ name, message: `original class name, mapped to "${classes[name]}"` }))
+  }));
+
+  const translate = selector => {
+    try {
+      return rewriteSelector(
+        selector,
+        name => (Object.hasOwn(classes, name) ? classes[name] : null),
+        id => (Object.hasOwn(ids, id) ? ids[id] : null)
+      ).selector;
+    } catch {
+      return selector;
+    }
+  };
+  // Rehashed assets changed their names; pair stylesheets through assets.json
+  const clientPrefix = fs.existsSync(path.join(outDir, 'client')) ? 'client/' : '';
+  const counterpartOf = file => {
+    const relative = file.startsWith(clientPrefix) ? file.slice(clientPrefix.length) : file;
+    return clientPrefix + (renamedAssets[relative] || relative);
+  };
+  // Original stylesheets as the purge left them
+  const purged = new Map(
+    purge.stylesheets.map(sheet => [
+      path.resolve(srcDir, sheet.file),
+      sheet.removed.map(rule => rule.index)
+    ])
+  );
+  const readOriginal = file =>
+    removeRules(fs.readFileSync(file, 'utf8'), purged.get(path.resolve(file)) || [], file);
+  const readObfuscated = file => fs.readFileSync(file, 'utf8');
+
+  const originalNames = invert(classes);
+  const usedNames = new Set(
+    users.flatMap(({ names }) => [...names].map(name => originalNames[name] ?? name))
+  );
+  const wronglyPurged = file =>
+    (purge.stylesheets.find(sheet => sheet.file === file)?.removed || [])
+      .filter(rule => selectorIsUsed(rule.selector, name => usedNames.has(name) || isSafe(name)))
+      .map(rule => ({
+        name: rule.selector,
+        message: 'purged, but the pages and scripts use its classes (add them to purgeSafelist)'
+      }));
+
+  const paired = new Set();
+  const rules = listBuildFiles(srcDir, '**/*.css').map(file => {
+    const counterpart = counterpartOf(file);
+    const target = path.join(outDir, counterpart);
+    if (!fs.existsSync(target)) {
+      return { name: file, failures: [{ name: counterpart, message: 'stylesheet is missing' }] };
+    }
+    paired.add(counterpart);
+    const original = countRules(readOriginal(path.join(srcDir, file)), file, translate);
+    const obfuscated = countRules(readObfuscated(target), counterpart);
+    return {
+      name: file,
+      failures: [...compareRules(original, obfuscated), ...wronglyPurged(file)]
+    };
+  });
+  for (const file of listBuildFiles(outDir, '**/*.css')) {
+    if (!paired.has(file)) {
+      rules.push({ name: file, failures: [{ name: file, message: 'stylesheet has no original' }] });
+    }
+  }
+
+  const equivalence = checkEquivalence(pages, {
+    original: {
+      root: path.join(srcDir, clientPrefix),
+      assets: invert(renamedAssets),
+      read: readOriginal
+    },
+    obfuscated: {
+      root: path.join(outDir, clientPrefix),
+      assets: renamedAssets,
+      read: readObfuscated
+    },
+    warnings
+  });
+
+  const sizes = measureBuild({ srcDir, outDir, renamedAssets });
+
+  const checks = [
+    { name: 'references', title: CHECKS.references, cases: references },
+    { name: 'leftovers', title: CHECKS.leftovers, cases: leftovers },
+    { name: 'rules', title: CHECKS.rules, cases: rules },
+    { name: 'equivalence', title: CHECKS.equivalence, cases: equivalence },
+    {
+      name: 'budgets',
+      title: CHECKS.budgets,
+      cases: checkBudgets(sizes, config.sizeBudgets || [], outDir)
+    }
+  ];
+  return {
+    passed: checks.every(check => check.cases.every(entry => entry.failures.length === 0)),
+    checks,
+    stats: {
+      pages: pages.length,
+      scripts: users.length - pages.length,
+      stylesheets: stylesheets.length
+    },
+    sizes,
+    warnings
+  };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a verification result as JUnit XML: one suite per check, one test case per file
+ * @param {VerificationResult} result - Result of {@link verifyBuild}
+ * @returns {string} XML document
+ */
+export function toJUnit(result) {
+  const count = cases => cases.filter(entry => entry.failures.length > 0).length;
+  const all = result.checks.flatMap(check => check.cases);
+
+  const suites = result.checks.map(check => {
+    const cases = check.cases.map(entry => {
+      const open = `    <testcase classname="obfuscation.${check.name}" name="${escapeXml(entry.name)}"`;
+      if (entry.failures.length === 0) {
+        return `${open}/>`;
+      }
+      const details = entry.failures.map(failure => `${failure.name}: ${failure.message}`);
+      return [
+        `${open}>`,
+        `      <failure type="${check.name}" message="${escapeXml(`${entry.failures.length} × ${check.title}`)}">${escapeXml(details.join('\n'))}</failure>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+    return [
+      `  <testsuite name="${escapeXml(check.title)}" tests="${check.cases.length}" failures="${count(check.cases)}">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="obfuscation" tests="${all.length}" failures="${count(all)}">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write the JSON and JUnit reports of a verification result
+ * @param {VerificationResult} result - Result of {@link verifyBuild}
+ * @param {{ json?: string, junit?: string }} files - Report paths; missing ones are skipped
+ * @returns {string[]} Written files
+ */
+export function writeVerificationReports(result, { json, junit }) {
+  const written = [];
+  if (json) {
+    fs.mkdirSync(path.dirname(json), { recursive: true });
+    fs.writeFileSync(
+      json,
+      JSON.stringify({ timestamp: new Date().toISOString(), ...result }, null, 2)
+    );
+    written.push(json);
+  }
+  if (junit) {
+    fs.mkdirSync(path.dirname(junit), { recursive: true });
+    fs.writeFileSync(junit, toJUnit(result));
+    written.push(junit);
+  }
+  return written;
+}
@@ -0,0 +1,261 @@
+/**
+ * Watch mode of the preview server (scripts/test-server.js --watch)
+ *
+ * Source changes trigger `astro build` without the obfuscation integration,
+ * after which the preview process obfuscates the build itself. Keeping the
+ * obfuscator in one process lets it reuse the mapping and the rewritten files
+ * of the previous run (see the `cache` option of obfuscate()). Browsers
+ * connected to the preview are told to reload over server-sent events.
+ * Changes that only touch static files in public/ are copied into the builds
+ * without a rebuild.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+
+export const LIVE_RELOAD_PATH = '/__live-reload';
+
+// Reconnects by itself (EventSource), so pages reload after the server restarts as well
+const CLIENT_SCRIPT = `<script>(() => {
+  const events = new EventSource('${LIVE_RELOAD_PATH}');
+  events.addEventListener('reload', () => location.reload());
+})();</script>`;
+
+// Files the obfuscator rewrites; a change to one of them needs the full rebuild
+const REWRITTEN_FILE = /\.(css|js|mjs|html)$/i;
+
+/**
+ * Watch directories and call `onChange` once changes settle. Runs never overlap: changes during
+ * a run schedule one more run after it.
+ * @param {string[]} directories - Directories to watch recursively; missing ones are skipped
+ * @param {(files: string[]) => Promise<void>} onChange - Receives the changed paths
+ * @param {object} [options]
+ * @param {number} [options.delay=300] - Quiet time in milliseconds before a run starts
+ * @returns {() => void} Stops watching
+ */
+export function watchSources(directories, onChange, { delay = 300 } = {}) {
+  const changed = new Set();
+  let timer = null;
+  let running = false;
+
+  const run = async () => {
+    timer = null;
+    if (running) {
+      return;
+    }
+    running = true;
+    const files = [...changed];
+    changed.clear();
+    try {
+      await onChange(files);
+    } finally {
+      running = false;
+      if (changed.size > 0) {
+        schedule();
+      }
+    }
+  };
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, delay);
+  };
+
+  const watchers = directories
+    .filter(directory => fs.existsSync(directory))
+    .map(directory =>
+      fs.watch(directory, { recursive: true }, (event, file) => {
+        changed.add(file ? path.join(directory, file) : directory);
+        if (!running) {
+          schedule();
+        }
+      })
+    );
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+  };
+}
+
+/**
+ * Copy changes to static files in `public/` into the builds, which Astro would only copy
+ * unchanged. Nothing is copied unless every change qualifies: a path outside `publicDir`, a
+ * directory or a file the obfuscator rewrites needs the full rebuild.
+ * @param {string[]} files - Changed paths
+ * @param {object} options
+ * @param {string} options.publicDir - Astro's `public/` directory
+ * @param {string[]} options.targets - Directories `public/` is copied to, e.g. the client
+ *   directories of the original and the obfuscated build
+ * @returns {string[]|null} Paths relative to `publicDir` that were copied or deleted, or null
+ *   when the site has to be rebuilt
+ */
+export function syncPublicFiles(files, { publicDir, targets }) {
+  const relative = files.map(file => path.relative(publicDir, file));
+  const qualifies = (name, index) =>
+    name !== '' &&
+    !name.startsWith('..') &&
+    !path.isAbsolute(name) &&
+    !REWRITTEN_FILE.test(name) &&
+    !fs.statSync(files[index], { throwIfNoEntry: false })?.isDirectory();
+  if (files.length === 0 || !relative.every(qualifies)) {
+    return null;
+  }
+
+  for (const [index, name] of relative.entries()) {
+    const exists = fs.existsSync(files[index]);
+    for (const target of targets) {
+      const destination = path.join(target, name);
+      if (exists) {
+        fs.mkdirSync(path.dirname(destination), { recursive: true });
+        fs.copyFileSync(files[index], destination);
+      } else {
+        fs.rmSync(destination, { force: true });
+      }
+    }
+  }
+  return relative;
+}
+
+/**
+ * Run `astro build` in a child process
+ * @param {object} options
+ * @param {string} options.cwd - Project root
+ * @param {Record<string, string>} [options.env] - Extra environment variables
+ * @param {AbortSignal} [options.signal] - Stops the build, e.g. when the server shuts down
+ * @returns {Promise<void>} Resolves when the build succeeded
+ */
+export function runAstroBuild({ cwd, env = {}, signal }) {
+  const require = createRequire(path.join(cwd, 'package.json'));
+  const cli = path.join(path.dirname(require.resolve('astro/package.json')), 'astro.js');
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [cli, 'build'], {
+      cwd,
+      env: { ...process.env, ...env },
+      stdio: 'inherit',
+      signal
+    });
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(
+          new Error(`astro build ${signal ? `was stopped (${signal})` : `exited with ${code}`}`)
+        );
+      }
+    });
+  });
+}
+
+// Bodiless and partial responses are left alone, as are compressed ones
+function injectable(req, res, status) {
+  return (
+    req.method !== 'HEAD' &&
+    ![204, 206, 304].includes(status) &&
+    /^text\/html\b/i.test(String(res.getHeader('content-type') || '')) &&
+    !res.getHeader('content-encoding')
+  );
+}
+
+/**
+ * Create the live-reload channel of the preview server
+ * @returns {{ handle: (req: import('http').IncomingMessage, res: import('http').ServerResponse)
+ *   => boolean, inject: (req: import('http').IncomingMessage,
+ *   res: import('http').ServerResponse) => void, reload: () => number,
+ *   close: () => void }} `handle` answers the event stream requests, `inject` adds the client
+ *   script to an HTML response before it is sent, `reload` notifies the connected pages and
+ *   returns their number
+ */
+export function createLiveReload() {
+  const clients = new Set();
+
+  const handle = (req, res) => {
+    if (new URL(req.url, 'http://localhost').pathname !== LIVE_RELOAD_PATH) {
+      return false;
+    }
+    res.writeHead(200, {
+      'content-type': 'text/event-stream',
+      'cache-control': 'no-store',
+      connection: 'keep-alive'
+    });
+    res.write('retry: 1000\n\n');
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+    return true;
+  };
+
+  // Buffers HTML bodies, whichever of setHeader, writeHead, write and end the handler uses
+  const inject = (req, res) => {
+    const original = { writeHead: res.writeHead, write: res.write, end: res.end };
+    let buffered = null;
+    const decide = (status = res.statusCode) => {
+      if (buffered === null && !res.headersSent) {
+        buffered = injectable(req, res, status) ? [] : false;
+        if (buffered) {
+          res.removeHeader('content-length');
+        }
+      }
+    };
+    const toBuffer = (chunk, encoding) =>
+      Buffer.isBuffer(chunk)
+        ? chunk
+        : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+
+    res.writeHead = (status, ...args) => {
+      const headers = typeof args[0] === 'string' ? args[1] : args[0];
+      const message = typeof args[0] === 'string' ? [args[0]] : [];
+      if (Array.isArray(headers)) {
+        for (let i = 0; i < headers.length; i += 2) {
+          res.appendHeader(headers[i], headers[i + 1]);
+        }
+      } else {
+        Object.entries(headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+      }
+      decide(status);
+      return original.writeHead.call(res, status, ...message);
+    };
+    res.write = (chunk, encoding, callback) => {
+      decide();
+      if (!buffered) {
+        return original.write.call(res, chunk, encoding, callback);
+      }
+      buffered.push(toBuffer(chunk, encoding));
+      (typeof encoding === 'function' ? encoding : callback)?.();
+      return true;
+    };
+    res.end = (chunk, encoding, callback) => {
+      decide();
+      if (!buffered) {
+        return original.end.call(res, chunk, encoding, callback);
+      }
+      if (chunk && typeof chunk !== 'function') {
+        buffered.push(toBuffer(chunk, encoding));
+      }
+      const html = Buffer.concat(buffered).toString('utf8');
+      const index = html.lastIndexOf('</body>');
+      const body =
+        index === -1
+          ? html + CLIENT_SCRIPT
+          : html.slice(0, index) + CLIENT_SCRIPT + html.slice(index);
+      const done = [chunk, encoding, callback].find(arg => typeof arg === 'function');
+      return original.end.call(res, body, 'utf8', done);
+    };
+  };
+
+  const reload = () => {
+    for (const client of clients) {
+      client.write('event: reload\ndata: {}\n\n');
+    }
+    return clients.size;
+  };
+
+  const close = () => {
+    clients.forEach(client => client.end());
+    clients.clear();
+  };
+
+  return { handle, inject, reload, close };
+}
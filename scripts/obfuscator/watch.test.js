@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { syncPublicFiles } from './watch.js';
+
+describe('syncPublicFiles', () => {
+  let directory;
+  let publicDir;
+  let targets;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+    publicDir = path.join(directory, 'public');
+    targets = [path.join(directory, 'dist'), path.join(directory, 'dist-obfuscated')];
+    fs.mkdirSync(path.join(publicDir, 'img'), { recursive: true });
+    fs.writeFileSync(path.join(publicDir, 'img', 'logo.png'), 'new');
+    for (const target of targets) {
+      fs.mkdirSync(path.join(target, 'img'), { recursive: true });
+      fs.writeFileSync(path.join(target, 'img', 'logo.png'), 'old');
+      fs.writeFileSync(path.join(target, 'gone.txt'), 'old');
+    }
+  });
+
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('copies changed and deletes removed static files', () => {
+    const files = [path.join(publicDir, 'img', 'logo.png'), path.join(publicDir, 'gone.txt')];
+    assert.deepEqual(syncPublicFiles(files, { publicDir, targets }), [
+      path.join('img', 'logo.png'),
+      'gone.txt'
+    ]);
+    for (const target of targets) {
+      assert.equal(fs.readFileSync(path.join(target, 'img', 'logo.png'), 'utf8'), 'new');
+      assert.equal(fs.existsSync(path.join(target, 'gone.txt')), false);
+    }
+  });
+
+  it('leaves everything to the rebuild unless every change is a static file', () => {
+    const logo = path.join(publicDir, 'img', 'logo.png');
+    for (const other of [
+      path.join(directory, 'src', 'pages', 'index.astro'),
+      path.join(publicDir, 'theme.js'),
+      path.join(publicDir, 'img')
+    ]) {
+      assert.equal(syncPublicFiles([logo, other], { publicDir, targets }), null);
+    }
+    assert.equal(fs.readFileSync(path.join(targets[0], 'img', 'logo.png'), 'utf8'), 'old');
+  });
+});
@@ -1,92 +1,239 @@
 #!/usr/bin/env node
 
 /**
- * Simple HTTP Server for Obfuscated Build Testing
- * This serves the obfuscated static files for local verification
+ * Preview Server for the Obfuscated Build
+ * Serves the obfuscated client files the way Vercel does in production:
+ * compressed, with validators and cache headers, and with the `headers` rules
+ * of vercel.json (see scripts/obfuscator/static.js). Requests no file matches
+ * go to the adapter's server functions through the routes of its config.json
+ * (see scripts/obfuscator/ssr.js), so SSR pages, API routes and middleware run
+ * locally against the obfuscated assets. /__obfuscation shows the mapping,
+ * verification results, sizes and original and obfuscated files side by side
+ * (see scripts/obfuscator/dashboard.js).
+ *
+ * With --watch, changes to src/ and public/ rebuild the site, obfuscate it
+ * again with the previous mapping and reload the connected browsers (see
+ * scripts/obfuscator/watch.js). Static files in public/ that the obfuscator
+ * does not rewrite are copied into the builds instead.
+ *
+ * Usage:
+ *   node scripts/test-server.js [options]
+ *
+ * Options:
+ *   --port <number>   Port to listen on (default: 3001)
+ *   --host <name>     Interface to listen on (default: localhost)
+ *   --root <dir>      Directory to serve (default: <desPath>/client)
+ *   --server <dir>    Server functions to run (default: serverPath)
+ *   --open            Open the preview in the default browser
+ *   --watch           Rebuild on source changes and live-reload the preview
+ *   --config <file>   Obfuscation config file
+ *   --quiet, --verbose, --json
+ *                     Log output (see scripts/obfuscator/logger.js)
  */
 
 import fs from 'fs';
 import path from 'path';
 import http from 'http';
+import {
+    spawn
+} from 'child_process';
 import {
     fileURLToPath
 } from 'url';
-
-const __filename = fileURLToPath(
-    import.meta.url);
-const __dirname = path.dirname(__filename);
-
-class LocalTestServer {
-    constructor() {
-        this.port = 3001;
-        this.obfuscatedDistPath = path.resolve(__dirname, '../dist-obfuscated');
-        this.mimeTypes = {
-            '.html': 'text/html',
-            '.js': 'text/javascript',
-            '.css': 'text/css',
-            '.json': 'application/json',
-            '.png': 'image/png',
-            '.jpg': 'image/jpg',
-            '.jpeg': 'image/jpeg',
-            '.gif': 'image/gif',
-            '.svg': 'image/svg+xml',
-            '.ico': 'image/x-icon',
-            '.woff': 'font/woff',
-            '.woff2': 'font/woff2',
-            '.ttf': 'font/ttf',
-            '.eot': 'application/vnd.ms-fontobject'
-        };
+import AstroObfuscator from './obfuscate.js';
+import {
+    loadConfig
+} from './obfuscator/config.js';
+import {
+    createDashboard,
+    DASHBOARD_PATH
+} from './obfuscator/dashboard.js';
+import {
+    createLogger,
+    exitCodeFor,
+    LOG_FLAGS,
+    Logger,
+    UsageError
+} from './obfuscator/logger.js';
+import {
+    createFunctionHandler
+} from './obfuscator/ssr.js';
+import {
+    createStaticHandler,
+    loadVercelHeaders
+} from './obfuscator/static.js';
+import {
+    createLiveReload,
+    runAstroBuild,
+    syncPublicFiles,
+    watchSources
+} from './obfuscator/watch.js';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VERCEL_CONFIG_PATH = path.join(PROJECT_ROOT, 'vercel.json');
+const PUBLIC_DIRECTORY = path.join(PROJECT_ROOT, 'public');
+const WATCHED_DIRECTORIES = [path.join(PROJECT_ROOT, 'src'), PUBLIC_DIRECTORY];
+const VALUE_OPTIONS = ['--port', '--host', '--root', '--server', '--config'];
+
+function parseArgs(argv) {
+    const options = {
+        port: 3001,
+        host: 'localhost',
+        open: false,
+        watch: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [name, inline] = arg.split(/=(.*)/s);
+
+        if (LOG_FLAGS.includes(name)) {
+            // Read by createLogger()
+        } else if (name === '--open') {
+            options.open = true;
+        } else if (name === '--watch') {
+            options.watch = true;
+        } else if (VALUE_OPTIONS.includes(name)) {
+            const value = inline ?? argv[++i];
+            if (!value || value.startsWith('--')) {
+                throw new UsageError(`${name} needs a value`);
+            }
+            options[name.slice(2)] = value;
+        } else if (name === '--help' || name === '-h') {
+            options.help = true;
+        } else {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
     }
 
-    getMimeType(filePath) {
-        const ext = path.extname(filePath).toLowerCase();
-        return this.mimeTypes[ext] || 'application/octet-stream';
+    options.port = Number(options.port);
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        throw new UsageError('--port must be a number between 0 and 65535');
     }
+    return options;
+}
 
-    createServer() {
-        const server = http.createServer((req, res) => {
-            // Enable CORS for development
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+const USAGE = `Usage: node scripts/test-server.js [options]
+  --port <number>   Port to listen on (default: 3001)
+  --host <name>     Interface to listen on (default: localhost)
+  --root <dir>      Directory to serve (default: dist-obfuscated/client)
+  --server <dir>    Server functions to run (default: .vercel/output/functions)
+  --open            Open the preview in the default browser
+  --watch           Rebuild on source changes and live-reload the preview
+  --config <file>   Obfuscation config file
+  --quiet           Log warnings and errors only
+  --verbose         Log details such as the files of each rebuild
+  --json            Log JSON lines`;
+
+function openBrowser(url, logger) {
+    const [command, args] = process.platform === 'darwin' ? ['open', [url]] :
+        process.platform === 'win32' ? ['cmd', ['/c', 'start', '""', url]] :
+        ['xdg-open', [url]];
+    const child = spawn(command, args, {
+        stdio: 'ignore',
+        detached: true
+    });
+    child.on('error', () => logger.warn(`Could not open a browser; visit ${url}`));
+    child.unref();
+}
 
-            if (req.method === 'OPTIONS') {
-                res.writeHead(200);
-                res.end();
-                return;
-            }
+class LocalTestServer {
+    /**
+     * @param {object} config - Validated config from loadConfig()
+     * @param {object} [options] - Command line options (port, host, root, server, open, watch)
+     * @param {import('./obfuscator/logger.js').Logger} [logger] - Output
+     */
+    constructor(config, options = {}, logger = createLogger({
+        name: 'preview'
+    })) {
+        this.config = config;
+        this.logger = logger;
+        this.port = options.port ?? 3001;
+        this.host = options.host || 'localhost';
+        this.openBrowser = Boolean(options.open);
+        // The client files of a server build, or the whole build of a static one
+        const clientPath = path.join(config.desPath, 'client');
+        this.root = path.resolve(options.root || (fs.existsSync(clientPath) ? clientPath : config.desPath));
+        this.serverPath = path.resolve(options.server || config.serverPath);
+        this.watch = Boolean(options.watch);
+        // Rewritten pages and scripts, reused by the obfuscation of later rebuilds
+        this.cache = new Map();
+        this.builds = new AbortController();
+    }
 
-            let filePath = path.join(this.obfuscatedDistPath, 'client', req.url);
+    async createServer() {
+        const headers = loadVercelHeaders(VERCEL_CONFIG_PATH);
+        headers.warnings.forEach(warning => this.logger.warn(warning));
+        if (headers.rules.length > 0) {
+            this.logger.info(`${headers.rules.length} header rule(s) from vercel.json`);
+        }
 
-            // Handle root path
-            if (req.url === '/' || req.url === '/index.html') {
-                filePath = path.join(this.obfuscatedDistPath, 'client', 'index.html');
+        const serveStatic = createStaticHandler({
+            root: this.root,
+            headerRules: headers.rules,
+            onServe: ({ pathname, file, status, encoding }) => {
+                // Log the served file
+                const relativePath = path.relative(this.root, file);
+                this.logger.info(`Served: ${relativePath} (${status}${encoding ? `, ${encoding}` : ''})`, {
+                    pathname,
+                    status,
+                    encoding
+                });
             }
+        });
 
-            // Clean up the file path
-            filePath = path.normalize(filePath);
+        // Vercel checks the filesystem first, then the routes of the functions
+        const functions = await createFunctionHandler(this.serverPath, {
+            onServe: ({ pathname, function: name, status }) => {
+                this.logger.info(`Rendered: ${pathname} (${status}, ${name})`, {
+                    pathname,
+                    status,
+                    function: name
+                });
+            }
+        });
+        this.functions = functions;
+        this.serverRoutes = functions.routes;
+        this.liveReload = this.watch ? createLiveReload() : null;
+        const dashboard = createDashboard({
+            config: this.config,
+            serverPath: this.serverPath
+        });
 
-            // Security check: ensure the file is within the allowed directory
-            if (!filePath.startsWith(this.obfuscatedDistPath)) {
-                res.writeHead(403, {
-                    'Content-Type': 'text/plain'
+        return http.createServer(async (req, res) => {
+            try {
+                if (this.liveReload) {
+                    if (this.liveReload.handle(req, res)) {
+                        return;
+                    }
+                    // The reload script is added to uncompressed pages only
+                    if (/text\/html/.test(req.headers.accept || '')) {
+                        delete req.headers['accept-encoding'];
+                    }
+                    this.liveReload.inject(req, res);
+                }
+                if (!(await dashboard(req, res)) && !(await serveStatic(req, res)) && !(await functions.handle(req, res))) {
+                    this.sendNotFound(req, res);
+                }
+            } catch (error) {
+                this.logger.error(`${req.url}: ${error.message}`, {
+                    pathname: req.url
                 });
-                res.end('Forbidden');
-                return;
+                if (!res.headersSent) {
+                    res.writeHead(500, {
+                        'Content-Type': 'text/plain'
+                    });
+                }
+                res.end('Internal Server Error');
             }
+        });
+    }
 
-            // Check if file exists
-            fs.access(filePath, fs.constants.F_OK, (err) => {
-                if (err) {
-                    // Try adding .html extension for clean URLs
-                    const htmlFilePath = filePath + '.html';
-                    fs.access(htmlFilePath, fs.constants.F_OK, (htmlErr) => {
-                        if (htmlErr) {
-                            // File not found, serve a simple 404
-                            res.writeHead(404, {
-                                'Content-Type': 'text/html'
-                            });
-                            res.end(`
+    sendNotFound(req, res) {
+        res.writeHead(404, {
+            'Content-Type': 'text/html; charset=utf-8'
+        });
+        res.end(`
                 <!DOCTYPE html>
                 <html>
                 <head>
@@ -101,298 +248,231 @@ class LocalTestServer {
                 <body>
                   <div class="container">
                     <h1>404 - File Not Found</h1>
-                    <p>The requested file <code>${req.url}</code> was not found.</p>
+                    <p>The requested file <code>${escapeHtml(req.url)}</code> was not found.</p>
                     <div class="info">
                       <h3>🔍 Obfuscation Test Server</h3>
                       <p>This server is running the obfuscated build. If you're seeing this page, it means:</p>
                       <ul style="text-align: left;">
                         <li>The obfuscated build exists and is being served</li>
-                        <li>The requested file/route doesn't exist</li>
-                        <li>For an Astro SSR app, you may need to check available static files</li>
+                        <li>No file in the build and no server route matches this path</li>
                       </ul>
                     </div>
-                    <p><a href="/">← Go to Home</a></p>
+                    <p><a href="/">← Go to Home</a> · <a href="${DASHBOARD_PATH}">Obfuscation dashboard</a></p>
                   </div>
                 </body>
                 </html>
               `);
-                        } else {
-                            this.serveFile(htmlFilePath, res);
-                        }
-                    });
-                } else {
-                    this.serveFile(filePath, res);
-                }
-            });
-        });
-
-        return server;
     }
 
-    serveFile(filePath, res) {
-        const mimeType = this.getMimeType(filePath);
-
-        fs.readFile(filePath, (err, data) => {
-            if (err) {
-                res.writeHead(500, {
-                    'Content-Type': 'text/plain'
-                });
-                res.end('Internal Server Error');
-                return;
-            }
-
-            res.writeHead(200, {
-                'Content-Type': mimeType
-            });
-            res.end(data);
+    /**
+     * Start listening
+     * @returns {Promise<void>} Resolves once the server listens, rejects when the build is
+     *   missing or the port cannot be used
+     */
+    async start() {
+        const { logger } = this;
+        // Check if the served directory exists
+        if (!fs.existsSync(this.root)) {
+            throw new Error(`${this.root} not found. Run "npm run build" first to generate the obfuscated build.`);
+        }
 
-            // Log the served file
-            const relativePath = path.relative(this.obfuscatedDistPath, filePath);
-            console.log(`📁 Served: ${relativePath} (${mimeType})`);
+        const server = await this.createServer();
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(this.port, this.host, resolve);
         });
-    }
 
-    async start() {
-        // Check if obfuscated build exists
-        if (!fs.existsSync(this.obfuscatedDistPath)) {
-            console.error('❌ Obfuscated build not found!');
-            console.log('   Run "npm run build:obfuscated" first to generate the obfuscated build.');
-            process.exit(1);
+        const url = `http://${this.host.includes(':') ? `[${this.host}]` : this.host}:${server.address().port}`;
+        logger.success('Obfuscated Build Test Server Started!', {
+            url,
+            root: this.root
+        });
+        logger.info(`Server running at: ${url}`);
+        logger.info(`Serving from: ${this.root}`);
+        if (this.serverRoutes.length > 0) {
+            const names = [...new Set(this.serverRoutes.map(route => route.function))];
+            logger.info(`Server routes: ${this.serverRoutes.length} (${names.join(', ')} from ${this.serverPath})`);
+        }
+        logger.section('Available endpoints:');
+        logger.detail(`${url}/              - Main page (index.html or a server route)`);
+        logger.detail(`${url}/_astro/       - Astro assets (cached as immutable)`);
+        logger.detail(`${url}/assets/       - Static assets`);
+        logger.detail(`${url}${DASHBOARD_PATH} - Mapping, verification, sizes and side-by-side files`);
+        logger.section('Tips for verification:');
+        logger.detail('1. Run npm run verify:obfuscation: every element must match the same CSS rules as in dist');
+        logger.detail('2. Open browser DevTools (F12)');
+        logger.detail('3. Check the Network tab for loaded CSS/JS files, their encoding and cache headers');
+        logger.section('');
+        if (this.watch) {
+            logger.info(`Watching ${WATCHED_DIRECTORIES.map(dir => path.relative(PROJECT_ROOT, dir)).join(', ')} for changes`);
         }
+        logger.info('To stop the server: Press Ctrl+C');
 
-        // Ensure demo index.html exists
-        const indexPath = path.join(this.obfuscatedDistPath, 'client', 'index.html');
-        if (!fs.existsSync(indexPath)) {
-            console.log('📄 Creating obfuscation demo page...');
-            await this.createDemoPage(indexPath);
+        if (this.openBrowser) {
+            openBrowser(url, logger);
         }
 
-        const server = this.createServer();
-
-        server.listen(this.port, () => {
-            console.log('🚀 Obfuscated Build Test Server Started!');
-            console.log('');
-            console.log(`📡 Server running at: http://localhost:${this.port}`);
-            console.log(`📁 Serving from: ${this.obfuscatedDistPath}`);
-            console.log('');
-            console.log('🔍 Available endpoints:');
-            console.log('   http://localhost:3001/              - Main page (if index.html exists)');
-            console.log('   http://localhost:3001/_astro/       - Astro assets');
-            console.log('   http://localhost:3001/assets/       - Static assets');
-            console.log('');
-            console.log('💡 Tips for verification:');
-            console.log('   1. Open browser DevTools (F12)');
-            console.log('   2. Check the Network tab for loaded CSS/JS files');
-            console.log('   3. Inspect Elements to see obfuscated class names');
-            console.log('   4. Look for short class names like "a1", "b2", etc.');
-            console.log('');
-            console.log('❌ To stop the server: Press Ctrl+C');
+        // Errors after startup, such as too many open files, end the server
+        server.on('error', error => {
+            logger.error(`Server error: ${error.message}`);
+            process.exit(exitCodeFor(error));
         });
 
+        const stopWatching = this.watch ? watchSources(WATCHED_DIRECTORIES, files => this.rebuild(files)) : null;
+
         // Handle server shutdown gracefully
         process.on('SIGINT', () => {
-            console.log('\\n🛑 Shutting down server...');
+            logger.info('Shutting down server...');
+            stopWatching?.();
+            this.builds.abort();
+            this.liveReload?.close();
+            this.functions.close();
             server.close(() => {
-                console.log('✅ Server stopped successfully');
+                logger.success('Server stopped successfully');
                 process.exit(0);
             });
+            // Keep-alive connections would hold close() open
+            server.closeAllConnections();
         });
 
         // List available files
         this.listAvailableFiles();
     }
 
-    listAvailableFiles() {
-        const clientPath = path.join(this.obfuscatedDistPath, 'client');
+    /**
+     * Build and obfuscate the site again after a source change, then reload the browsers. Changes
+     * to static files in public/ are only copied.
+     * @param {string[]} files - Changed paths
+     */
+    async rebuild(files) {
+        const { logger } = this;
+        const started = Date.now();
+        const names = files.map(file => path.relative(PROJECT_ROOT, file));
+        logger.info(`Changed: ${names.slice(0, 5).join(', ')}${names.length > 5 ? ` and ${names.length - 5} more` : ''}`, {
+            files: names
+        });
 
-        if (fs.existsSync(clientPath)) {
-            console.log('📋 Available files in build:');
-            this.walkDirectory(clientPath, clientPath, '   ');
+        // Images, fonts and the like come out of the build unchanged, so copying them is enough
+        const originalClient = path.join(this.config.srcPath, 'client');
+        const copied = syncPublicFiles(files, {
+            publicDir: PUBLIC_DIRECTORY,
+            targets: [
+                fs.existsSync(originalClient) ? originalClient : this.config.srcPath,
+                this.root,
+                this.config.staticPath
+            ].filter(directory => fs.existsSync(directory))
+        });
+        if (copied) {
+            const pages = this.liveReload.reload();
+            logger.success(`Copied ${copied.length} static file(s) from public/, reloaded ${pages} page(s)`);
+            return;
         }
-    }
 
-    walkDirectory(dir, basePath, indent) {
         try {
-            const items = fs.readdirSync(dir);
-
-            items.slice(0, 10).forEach(item => { // Limit to first 10 items to avoid clutter
-                const fullPath = path.join(dir, item);
-                const relativePath = path.relative(basePath, fullPath);
-                const stat = fs.statSync(fullPath);
-
-                if (stat.isDirectory()) {
-                    console.log(`${indent}📁 ${relativePath}/`);
-                } else {
-                    console.log(`${indent}📄 ${relativePath}`);
-                }
+            // The integration stays out of the child build; this process obfuscates it with the cache
+            await runAstroBuild({
+                cwd: PROJECT_ROOT,
+                env: {
+                    OBFUSCATE_ENABLE: 'false'
+                },
+                signal: this.builds.signal
             });
+        } catch (error) {
+            logger.error(`Rebuild failed, still serving the previous build: ${error.message}`);
+            return;
+        }
 
-            if (items.length > 10) {
-                console.log(`${indent}... and ${items.length - 10} more files`);
+        try {
+            await new AstroObfuscator(this.config, {
+                cache: this.cache,
+                logger: logger.child('obfuscate')
+            }).run();
+        } catch (error) {
+            // A failed verification still leaves an obfuscated build to look at
+            if (!fs.existsSync(this.root)) {
+                logger.error('Obfuscation failed, nothing to serve until the next change');
+                return;
             }
+            logger.warn('Obfuscation reported problems; reloading anyway');
+        }
+
+        try {
+            await this.functions.reload();
         } catch (error) {
-            console.log(`${indent}❌ Could not read directory`);
+            logger.error(`Could not load the rebuilt server functions: ${error.message}`);
         }
+        const pages = this.liveReload.reload();
+        logger.success(`Rebuilt in ${((Date.now() - started) / 1000).toFixed(1)}s, reloaded ${pages} page(s)`);
     }
 
-    async createDemoPage(indexPath) {
-        // Read obfuscation data to get real statistics
-        const mappingPath = path.resolve(__dirname, '../obfuscation-data/main.json');
-        let stats = {
-            totalClasses: 0,
-            sampleMappings: []
-        };
+    listAvailableFiles() {
+        this.logger.debug('Available files in build:');
+        this.walkDirectory(this.root, this.root);
+    }
 
+    walkDirectory(dir, basePath) {
+        let items;
         try {
-            if (fs.existsSync(mappingPath)) {
-                const mappingData = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
-                const classes = mappingData.classes || {};
-                stats.totalClasses = Object.keys(classes).length;
-                stats.sampleMappings = Object.entries(classes).slice(0, 5);
-            }
+            items = fs.readdirSync(dir);
         } catch (error) {
-            console.log('⚠️ Could not read mapping data for demo page');
+            this.logger.warn(`Could not read ${dir}: ${error.message}`);
+            return;
         }
 
-        const demoContent = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>✅ Obfuscation Verification Demo</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            margin: 0;
-            padding: 20px;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-        }
-        .container {
-            max-width: 800px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 12px;
-            padding: 2rem;
-            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
-        }
-        .success-badge {
-            display: inline-block;
-            background: #10b981;
-            color: white;
-            padding: 0.5rem 1rem;
-            border-radius: 6px;
-            font-weight: 600;
-            margin-bottom: 1rem;
-        }
-        .demo-section {
-            margin: 2rem 0;
-            padding: 1.5rem;
-            border: 2px dashed #e5e7eb;
-            border-radius: 8px;
-            background: #f9fafb;
-        }
-        .code {
-            font-family: Monaco, Menlo, monospace;
-            font-size: 0.875rem;
-            background: #374151;
-            color: #f3f4f6;
-            padding: 1rem;
-            border-radius: 6px;
-            overflow-x: auto;
-            margin: 1rem 0;
-        }
-        .highlight { background: #fef3c7; padding: 0.25rem 0.5rem; border-radius: 3px; }
-        .btn {
-            display: inline-block;
-            padding: 0.75rem 1.5rem;
-            background: #3b82f6;
-            color: white;
-            text-decoration: none;
-            border-radius: 6px;
-            margin: 0.5rem;
+        items.slice(0, 10).forEach(item => { // Limit to first 10 items to avoid clutter
+            const fullPath = path.join(dir, item);
+            const relativePath = path.relative(basePath, fullPath);
+            const stat = fs.statSync(fullPath);
+
+            if (stat.isDirectory()) {
+                this.logger.detail(`${relativePath}/`, 'debug');
+            } else {
+                this.logger.detail(relativePath, 'debug');
+            }
+        });
+
+        if (items.length > 10) {
+            this.logger.detail(`... and ${items.length - 10} more files`, 'debug');
         }
-        .file-list { background: #f8fafc; border: 1px solid #cbd5e1; border-radius: 6px; padding: 1rem; }
-        .file-item { display: flex; justify-content: space-between; padding: 0.5rem; border-bottom: 1px solid #e2e8f0; }
-        .file-item:last-child { border-bottom: none; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div style="text-align: center; margin-bottom: 2rem;">
-            <div class="success-badge">✅ Obfuscation Successful!</div>
-            <h1>Class Name Obfuscation Demo</h1>
-            <p>Your CSS classes have been successfully obfuscated and are ready for production.</p>
-        </div>
-
-        <div class="demo-section">
-            <h2>🔍 Verification Results</h2>
-            <div class="file-list">
-                <div class="file-item">
-                    <span><strong>Classes Obfuscated:</strong></span>
-                    <span class="highlight">${stats.totalClasses} classes</span>
-                </div>
-                <div class="file-item">
-                    <span><strong>Obfuscation Method:</strong></span>
-                    <span>Random Base36 strings</span>
-                </div>
-                <div class="file-item">
-                    <span><strong>Status:</strong></span>
-                    <span style="color: green;">✅ Ready for Production</span>
-                </div>
-            </div>
-        </div>
-
-        ${stats.sampleMappings.length > 0 ? `
-        <div class="demo-section">
-            <h2>📊 Sample Class Mappings</h2>
-            <div class="code">
-${stats.sampleMappings.map(([orig, obf]) => `"${orig}" → "${obf}"`).join('\\n')}
-            </div>
-        </div>
-        ` : ''}
-
-        <div class="demo-section">
-            <h2>🔗 Inspect Obfuscated Files</h2>
-            <p>Click these links to view the obfuscated CSS and JavaScript files:</p>
-            <a href="/_astro/index.DepJ99hw.css" class="btn" target="_blank">📄 Main CSS (Obfuscated)</a>
-            <a href="/_astro/ClientScripts.CksuuEqD.css" class="btn" target="_blank">📄 Component CSS</a>
-            <a href="/_astro/index.B_JH6AFf.js" class="btn" target="_blank">📄 JavaScript</a>
-        </div>
-
-        <div class="demo-section">
-            <h2>💡 How to Verify</h2>
-            <ol>
-                <li><strong>Open DevTools</strong> (Press F12)</li>
-                <li><strong>Check Elements tab</strong> - Look for short class names like "a1", "b2"</li>
-                <li><strong>Click the CSS links above</strong> - See obfuscated class definitions</li>
-                <li><strong>Compare with development</strong> - Classes are now unreadable</li>
-            </ol>
-        </div>
-
-        <div style="text-align: center; margin-top: 2rem; color: #666;">
-            <p>🚀 Your project is ready for production deployment!</p>
-            <p style="font-size: 0.9rem;">Generated by Astro Obfuscation System</p>
-        </div>
-    </div>
-
-    <script>
-        console.log('🎉 Obfuscation verification page loaded!');
-        console.log('📊 Total classes obfuscated: ${stats.totalClasses}');
-        console.log('🔍 Open DevTools Elements tab to see obfuscated class names');
-    </script>
-</body>
-</html>`;
-
-        fs.writeFileSync(indexPath, demoContent);
-        console.log('✅ Demo page created successfully');
     }
 }
 
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // Start the server
-const server = new LocalTestServer();
-server.start().catch(error => {
-    console.error('❌ Failed to start server:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+let options;
+let logger;
+try {
+    logger = createLogger({ name: 'preview' });
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    // Invalid log options leave no logger of their own to report them
+    logger ??= new Logger({ name: 'preview' });
+    logger.error(error.message);
+    logger.print(USAGE);
+    process.exit(exitCodeFor(error));
+}
+if (options.help) {
+    logger.print(USAGE);
+    process.exit(0);
+}
+
+try {
+    const server = new LocalTestServer(await loadConfig({
+        configPath: options.config,
+        // Rebuilds keep the names of the previous run, so open pages and the cache stay valid
+        overrides: options.watch ? {
+            seedMapping: true
+        } : {}
+    }), options, logger);
+    await server.start();
+} catch (error) {
+    logger.error(`Failed to start server: ${error.message}`);
+    process.exit(exitCodeFor(error));
+}
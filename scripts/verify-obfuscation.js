@@ -3,233 +3,336 @@
 /**
  * Local Verification Script for Obfuscated Build
  * This script helps verify obfuscation results locally
+ *
+ * The integrity checks of scripts/obfuscator/verify.js decide the exit code:
+ * 0 when they pass, 1 when a check fails, 2 for an invalid command line or
+ * config and 3 when the build cannot be read (scripts/obfuscator/logger.js).
+ * --quiet, --verbose and --json (without a file) control the output.
+ * Reports for CI are written to obfuscation-data/verification.json and
+ * verification.xml (JUnit); --json <file> and --junit <file> change the paths.
+ * --save-baseline <file> stores the size report of this build and
+ * --baseline <file> lists the size changes since a stored one.
  */
 
 import fs from 'fs';
 import path from 'path';
-import {
-    fileURLToPath
-} from 'url';
-
-const __filename = fileURLToPath(
-    import.meta.url);
+import { fileURLToPath } from 'url';
+import { loadConfig, parseConfigArg } from './obfuscator/config.js';
+import { CheckError, createLogger, exitCodeFor, Logger } from './obfuscator/logger.js';
+import { describeMethod } from './obfuscator/naming.js';
+import { diffSizes, readSizeReport } from './obfuscator/sizes.js';
+import { verifyBuild, writeVerificationReports } from './obfuscator/verify.js';
+
+const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class ObfuscationVerifier {
-    constructor() {
-        this.distPath = path.resolve(__dirname, '../dist');
-        this.obfuscatedDistPath = path.resolve(__dirname, '../dist-obfuscated');
-        this.mappingPath = path.resolve(__dirname, '../obfuscation-data/main.json');
+  /**
+   * @param {object} config - Validated config from loadConfig()
+   * @param {object} [reports] - Report paths (json, junit, baseline, saveBaseline)
+   * @param {import('./obfuscator/logger.js').Logger} [logger] - Output
+   */
+  constructor(
+    config,
+    reports = {},
+    logger = createLogger({
+      name: 'verify'
+    })
+  ) {
+    this.config = config;
+    this.logger = logger;
+    this.distPath = config.srcPath;
+    this.obfuscatedDistPath = config.desPath;
+    this.mappingPath = path.join(config.jsonDataPath, 'main.json');
+    this.reports = {
+      ...reports,
+      json: reports.json || path.join(config.jsonDataPath, 'verification.json'),
+      junit: reports.junit || path.join(config.jsonDataPath, 'verification.xml')
+    };
+    this.result = null;
+  }
+
+  /**
+   * Run the checks, print the results and write the reports
+   * @returns {Promise<void>} Rejects with a CheckError when a check fails, and with other
+   *   errors when the build cannot be read
+   */
+  async verifyObfuscation() {
+    const { logger } = this;
+    logger.section('Starting Obfuscation Verification');
+
+    // 1. Check if obfuscated build exists
+    if (!fs.existsSync(this.obfuscatedDistPath)) {
+      throw new Error('Obfuscated build not found. Run npm run build first.');
     }
 
-    log(message, type = 'info') {
-        const timestamp = new Date().toISOString();
-        const prefix = type === 'error' ? '❌' : type === 'success' ? '✅' : type === 'warning' ? '⚠️' : '📋';
-        console.log(`${prefix} [${timestamp}] ${message}`);
+    // 2. Check mapping file
+    if (!fs.existsSync(this.mappingPath)) {
+      throw new Error('Mapping file not found. Obfuscation may not have completed properly.');
     }
 
-    async verifyObfuscation() {
-        console.log('🔍 Starting Obfuscation Verification\n');
-
-        // 1. Check if obfuscated build exists
-        if (!fs.existsSync(this.obfuscatedDistPath)) {
-            this.log('Obfuscated build not found. Run npm run build:obfuscated first.', 'error');
-            return false;
-        }
+    // 3. Load and display mappings
+    const mappingData = JSON.parse(fs.readFileSync(this.mappingPath, 'utf8'));
+    const classMapping = mappingData.classes || {};
+    const mappingCount = Object.keys(classMapping).length;
+
+    logger.success(`Found ${mappingCount} class mappings`);
+
+    // 4. Show sample mappings
+    logger.debug('Sample class mappings:');
+    const sampleMappings = Object.entries(classMapping).slice(0, 10);
+    sampleMappings.forEach(([original, obfuscated], index) => {
+      logger.detail(`${index + 1}. "${original}" → "${obfuscated}"`, 'debug');
+    });
+
+    // 5. Integrity checks: references, leftover original names, CSS rule counterparts and
+    //    the rules every element matches
+    logger.section('Integrity Checks:');
+    this.result = await logger.stage('checks', () =>
+      verifyBuild({
+        srcDir: this.distPath,
+        outDir: this.obfuscatedDistPath,
+        dataDir: this.config.jsonDataPath,
+        serverDir: this.config.serverPath,
+        config: this.config
+      })
+    );
+    this.reportChecks(this.result);
+    for (const file of writeVerificationReports(this.result, this.reports)) {
+      logger.info(`Report saved to: ${path.relative(process.cwd(), file)}`);
+    }
 
-        // 2. Check mapping file
-        if (!fs.existsSync(this.mappingPath)) {
-            this.log('Mapping file not found. Obfuscation may not have completed properly.', 'error');
-            return false;
-        }
+    // 6. Compare file sizes
+    logger.section('File Size Comparison:');
+    await logger.stage('sizes', () => this.compareFileSizes());
 
-        // 3. Load and display mappings
-        const mappingData = JSON.parse(fs.readFileSync(this.mappingPath, 'utf8'));
-        const classMapping = mappingData.classes || {};
-        const mappingCount = Object.keys(classMapping).length;
+    // 7. Security analysis
+    logger.section('Security Analysis:');
+    await logger.stage('security', () =>
+      this.performSecurityAnalysis(classMapping, mappingData.method)
+    );
 
-        this.log(`Found ${mappingCount} class mappings`, 'success');
+    logger.section('Generating detailed report...');
+    await logger.stage('report', () => this.generateVerificationReport());
 
-        // 4. Show sample mappings
-        console.log('\n📊 Sample Class Mappings:');
-        const sampleMappings = Object.entries(classMapping).slice(0, 10);
-        sampleMappings.forEach(([original, obfuscated], index) => {
-            console.log(`   ${index + 1}. "${original}" → "${obfuscated}"`);
+    const failed = this.result.checks.filter(check =>
+      check.cases.some(entry => entry.failures.length > 0)
+    );
+    if (failed.length > 0) {
+      throw new CheckError(`${failed.length} of ${this.result.checks.length} checks failed`);
+    }
+  }
+
+  reportChecks(result) {
+    const { logger } = this;
+    const { pages, scripts, stylesheets } = result.stats;
+    logger.info(
+      `Checked ${pages} pages, ${scripts} scripts and ${stylesheets} stylesheets`,
+      result.stats
+    );
+
+    for (const check of result.checks) {
+      const failed = check.cases.filter(entry => entry.failures.length > 0);
+      if (failed.length === 0) {
+        logger.success(check.title, {
+          check: check.name,
+          passed: true
         });
-
-        // 5. Check CSS files for obfuscation
-        console.log('\n🎨 CSS File Analysis:');
-        const cssFiles = this.findFiles(this.obfuscatedDistPath, '.css');
-
-        for (const cssFile of cssFiles) {
-            const content = fs.readFileSync(cssFile, 'utf8');
-            const hasObfuscatedClasses = this.checkForObfuscatedClasses(content, classMapping);
-            const relativeFile = path.relative(this.obfuscatedDistPath, cssFile);
-
-            if (hasObfuscatedClasses > 0) {
-                this.log(`${relativeFile}: ${hasObfuscatedClasses} obfuscated classes found`, 'success');
-            } else {
-                this.log(`${relativeFile}: No obfuscated classes detected`, 'warning');
-            }
-        }
-
-        // 6. Check JS files for obfuscation
-        console.log('\n📜 JavaScript File Analysis:');
-        const jsFiles = this.findFiles(this.obfuscatedDistPath, '.js');
-
-        for (const jsFile of jsFiles) {
-            const content = fs.readFileSync(jsFile, 'utf8');
-            const hasObfuscatedClasses = this.checkForObfuscatedClasses(content, classMapping);
-            const relativeFile = path.relative(this.obfuscatedDistPath, jsFile);
-
-            if (hasObfuscatedClasses > 0) {
-                this.log(`${relativeFile}: ${hasObfuscatedClasses} obfuscated classes found`, 'success');
-            } else {
-                this.log(`${relativeFile}: No obfuscated classes detected`, 'info');
-            }
+        continue;
+      }
+
+      logger.error(`${check.title}: ${failed.length} file(s) failed`, {
+        check: check.name,
+        passed: false
+      });
+      for (const entry of failed) {
+        logger.detail(entry.name, 'error');
+        entry.failures.slice(0, 10).forEach(failure => {
+          logger.detail(`  - ${failure.name}: ${failure.message}`, 'error');
+        });
+        if (entry.failures.length > 10) {
+          logger.detail(`  ... and ${entry.failures.length - 10} more`, 'error');
         }
-
-        // 7. Compare file sizes
-        console.log('\n📏 File Size Comparison:');
-        await this.compareFileSizes();
-
-        // 8. Security analysis
-        console.log('\n🔒 Security Analysis:');
-        await this.performSecurityAnalysis(classMapping);
-
-        return true;
+      }
     }
 
-    findFiles(directory, extension) {
-        const files = [];
+    result.warnings.forEach(warning => logger.warn(warning));
+  }
 
-        function walkDir(dir) {
-            const items = fs.readdirSync(dir);
+  findFiles(directory, extension) {
+    const files = [];
 
-            for (const item of items) {
-                const fullPath = path.join(dir, item);
-                const stat = fs.statSync(fullPath);
+    function walkDir(dir) {
+      const items = fs.readdirSync(dir);
 
-                if (stat.isDirectory()) {
-                    walkDir(fullPath);
-                } else if (fullPath.endsWith(extension)) {
-                    files.push(fullPath);
-                }
-            }
-        }
+      for (const item of items) {
+        const fullPath = path.join(dir, item);
+        const stat = fs.statSync(fullPath);
 
-        walkDir(directory);
-        return files;
+        if (stat.isDirectory()) {
+          walkDir(fullPath);
+        } else if (fullPath.endsWith(extension)) {
+          files.push(fullPath);
+        }
+      }
     }
 
-    checkForObfuscatedClasses(content, classMapping) {
-        let count = 0;
-        Object.values(classMapping).forEach(obfuscatedClass => {
-            const regex = new RegExp(`\\b${obfuscatedClass}\\b`, 'g');
-            const matches = content.match(regex);
-            if (matches) {
-                count += matches.length;
-            }
-        });
-        return count;
+    walkDir(directory);
+    return files;
+  }
+
+  async compareFileSizes() {
+    const { files, totals } = this.result.sizes;
+    const format = (before, after) => {
+      if (!before || !after) {
+        return `${before ?? '-'}B → ${after ?? '-'}B`;
+      }
+      const difference = (((after - before) / before) * 100).toFixed(1);
+      return `${before}B → ${after}B (${difference > 0 ? '+' : ''}${difference}%)`;
+    };
+    const line = (name, before, after) => {
+      this.logger.detail(name);
+      this.logger.detail(
+        `   raw ${format(before?.raw, after?.raw)}, gzip ${format(before?.gzip, after?.gzip)}, brotli ${format(before?.brotli, after?.brotli)}`
+      );
+    };
+
+    for (const entry of files) {
+      line(entry.file, entry.before, entry.after);
     }
-
-    async compareFileSizes() {
-        const originalCSSFiles = this.findFiles(this.distPath, '.css');
-        const obfuscatedCSSFiles = this.findFiles(this.obfuscatedDistPath, '.css');
-
-        for (let i = 0; i < Math.min(originalCSSFiles.length, obfuscatedCSSFiles.length); i++) {
-            const originalStats = fs.statSync(originalCSSFiles[i]);
-            const obfuscatedStats = fs.statSync(obfuscatedCSSFiles[i]);
-
-            const originalSize = originalStats.size;
-            const obfuscatedSize = obfuscatedStats.size;
-            const difference = ((obfuscatedSize - originalSize) / originalSize * 100).toFixed(1);
-
-            const fileName = path.basename(originalCSSFiles[i]);
-            console.log(`   ${fileName}: ${originalSize}B → ${obfuscatedSize}B (${difference > 0 ? '+' : ''}${difference}%)`);
-        }
+    line('Total', totals.before, totals.after);
+
+    if (this.reports.saveBaseline) {
+      fs.mkdirSync(path.dirname(this.reports.saveBaseline), { recursive: true });
+      fs.writeFileSync(this.reports.saveBaseline, JSON.stringify(this.result.sizes, null, 2));
+      this.logger.info(
+        `Size baseline saved to: ${path.relative(process.cwd(), this.reports.saveBaseline)}`
+      );
+    }
+    if (!this.reports.baseline) {
+      return;
     }
 
-    async performSecurityAnalysis(classMapping) {
-        const totalClasses = Object.keys(classMapping).length;
-        const obfuscatedLength = Object.values(classMapping)[0] ? .length || 0;
-
-        // Calculate obfuscation strength
-        const possibleCombinations = Math.pow(36, obfuscatedLength); // Base36 (0-9, a-z)
-        const collisionProbability = (totalClasses / possibleCombinations * 100).toFixed(4);
-
-        console.log(`   Total classes obfuscated: ${totalClasses}`);
-        console.log(`   Average obfuscated length: ${obfuscatedLength} characters`);
-        console.log(`   Possible combinations: ${possibleCombinations.toLocaleString()}`);
-        console.log(`   Collision probability: ${collisionProbability}%`);
-
-        // Check for patterns that might be reverse-engineered
-        const patterns = this.analyzePatterns(classMapping);
-        if (patterns.length > 0) {
-            this.log('Potential reverse-engineering patterns detected:', 'warning');
-            patterns.forEach(pattern => console.log(`     - ${pattern}`));
-        } else {
-            this.log('No obvious reverse-engineering patterns detected', 'success');
-        }
+    this.logger.section(
+      `Size Changes Since Baseline (${path.relative(process.cwd(), this.reports.baseline)}):`
+    );
+    const changes = diffSizes(this.result.sizes, readSizeReport(this.reports.baseline));
+    if (changes.length === 0) {
+      this.logger.success('No size changes');
+    }
+    for (const change of changes) {
+      const status = !change.baseline ? ' (new)' : !change.current ? ' (removed)' : '';
+      this.logger.detail(`${change.file}${status}`);
+      this.logger.detail(
+        `   raw ${format(change.baseline?.raw, change.current?.raw)}, gzip ${format(change.baseline?.gzip, change.current?.gzip)}, brotli ${format(change.baseline?.brotli, change.current?.brotli)}`
+      );
     }
+  }
 
-    analyzePatterns(classMapping) {
-        const patterns = [];
-        const values = Object.values(classMapping);
-
-        // Check for sequential patterns
-        const sortedValues = values.sort();
-        let sequentialCount = 0;
-        for (let i = 1; i < sortedValues.length; i++) {
-            if (sortedValues[i].charCodeAt(0) === sortedValues[i - 1].charCodeAt(0) + 1) {
-                sequentialCount++;
-            }
-        }
+  async performSecurityAnalysis(classMapping, method) {
+    const totalClasses = Object.keys(classMapping).length;
+    const obfuscatedLength = Object.values(classMapping)[0]?.length || 0;
 
-        if (sequentialCount > values.length * 0.1) {
-            patterns.push('Sequential character patterns detected');
-        }
+    this.logger.info(`Naming method: ${describeMethod(method)}`);
+    if (method === 'sequential') {
+      this.logger.warn('Sequential names follow discovery order and are easy to enumerate');
+    }
 
-        // Check for common prefixes
-        const prefixes = {};
-        values.forEach(value => {
-            if (value.length > 1) {
-                const prefix = value.substring(0, 1);
-                prefixes[prefix] = (prefixes[prefix] || 0) + 1;
-            }
-        });
+    // Calculate obfuscation strength
+    const possibleCombinations = Math.pow(36, obfuscatedLength); // Base36 (0-9, a-z)
+    const collisionProbability = ((totalClasses / possibleCombinations) * 100).toFixed(4);
+
+    this.logger.detail(`Total classes obfuscated: ${totalClasses}`);
+    this.logger.detail(`Average obfuscated length: ${obfuscatedLength} characters`);
+    this.logger.detail(`Possible combinations: ${possibleCombinations.toLocaleString()}`);
+    this.logger.detail(`Collision probability: ${collisionProbability}%`);
+
+    // Check for patterns that might be reverse-engineered
+    const patterns = this.analyzePatterns(classMapping);
+    if (patterns.length > 0) {
+      this.logger.warn('Potential reverse-engineering patterns detected:');
+      patterns.forEach(pattern => this.logger.detail(`- ${pattern}`, 'warn'));
+    } else {
+      this.logger.success('No obvious reverse-engineering patterns detected');
+    }
+  }
+
+  analyzePatterns(classMapping) {
+    const patterns = [];
+    const values = Object.values(classMapping);
+
+    // Check for sequential patterns
+    const sortedValues = values.sort();
+    let sequentialCount = 0;
+    for (let i = 1; i < sortedValues.length; i++) {
+      if (sortedValues[i].charCodeAt(0) === sortedValues[i - 1].charCodeAt(0) + 1) {
+        sequentialCount++;
+      }
+    }
 
-        const maxPrefixUsage = Math.max(...Object.values(prefixes));
-        if (maxPrefixUsage > values.length * 0.5) {
-            patterns.push('High prefix repetition detected');
-        }
+    if (sequentialCount > values.length * 0.1) {
+      patterns.push('Sequential character patterns detected');
+    }
 
-        return patterns;
+    // Check for common prefixes
+    const prefixes = {};
+    values.forEach(value => {
+      if (value.length > 1) {
+        const prefix = value.substring(0, 1);
+        prefixes[prefix] = (prefixes[prefix] || 0) + 1;
+      }
+    });
+
+    const maxPrefixUsage = Math.max(...Object.values(prefixes));
+    if (maxPrefixUsage > values.length * 0.5) {
+      patterns.push('High prefix repetition detected');
     }
 
-    async generateVerificationReport() {
-        const reportPath = path.resolve(__dirname, '../obfuscation-verification-report.md');
-        const mappingData = JSON.parse(fs.readFileSync(this.mappingPath, 'utf8'));
+    return patterns;
+  }
+
+  async generateVerificationReport() {
+    const reportPath = path.resolve(__dirname, '../obfuscation-verification-report.md');
+    const mappingData = JSON.parse(fs.readFileSync(this.mappingPath, 'utf8'));
 
-        const report = `# Obfuscation Verification Report
+    const report = `# Obfuscation Verification Report
 
 Generated: ${new Date().toISOString()}
 
 ## Summary
 - **Total Classes Obfuscated**: ${Object.keys(mappingData.classes).length}
-- **Obfuscation Method**: Random Base36 strings
+- **Obfuscation Method**: ${describeMethod(mappingData.method)}
 - **Build Date**: ${mappingData.timestamp || 'Unknown'}
 
+## Integrity Checks
+${this.result.checks
+  .map(check => {
+    const failures = check.cases.reduce((total, entry) => total + entry.failures.length, 0);
+    return `- ${failures === 0 ? '✅' : '❌'} ${check.title}${failures === 0 ? '' : ` (${failures} failures)`}`;
+  })
+  .join('\n')}
+
+## File Sizes
+| File | Raw | Gzip | Brotli |
+| :--- | :-- | :--- | :----- |
+${this.result.sizes.files.map(entry => `| ${entry.file} | ${['raw', 'gzip', 'brotli'].map(metric => `${entry.before?.[metric] ?? '-'} → ${entry.after?.[metric] ?? '-'}`).join(' | ')} |`).join('\n')}
+
 ## Sample Mappings
-${Object.entries(mappingData.classes).slice(0, 20).map(([orig, obf]) => `- \`${orig}\` → \`${obf}\``).join('\n')}
+${Object.entries(mappingData.classes)
+  .slice(0, 20)
+  .map(([orig, obf]) => `- \`${orig}\` → \`${obf}\``)
+  .join('\n')}
 
 ## Files Processed
 ### CSS Files
-${this.findFiles(this.obfuscatedDistPath, '.css').map(file => `- ${path.relative(this.obfuscatedDistPath, file)}`).join('\n')}
+${this.findFiles(this.obfuscatedDistPath, '.css')
+  .map(file => `- ${path.relative(this.obfuscatedDistPath, file)}`)
+  .join('\n')}
 
 ### JavaScript Files  
-${this.findFiles(this.obfuscatedDistPath, '.js').map(file => `- ${path.relative(this.obfuscatedDistPath, file)}`).join('\n')}
+${this.findFiles(this.obfuscatedDistPath, '.js')
+  .map(file => `- ${path.relative(this.obfuscatedDistPath, file)}`)
+  .join('\n')}
 
 ## Security Notes
 - Class names are obfuscated, not encrypted
@@ -238,7 +341,7 @@ ${this.findFiles(this.obfuscatedDistPath, '.js').map(file => `- ${path.relative(
 - Mapping file should be kept private
 
 ## Next Steps
-1. Deploy the \`dist-obfuscated\` folder to production
+1. Deploy the output of \`npm run build\` (\`.vercel/output\` holds the obfuscated files)
 2. Keep the \`obfuscation-data\` folder private
 3. Verify functionality on the live site
 4. Monitor for any styling issues
@@ -247,21 +350,65 @@ ${this.findFiles(this.obfuscatedDistPath, '.js').map(file => `- ${path.relative(
 *This report was generated automatically by the obfuscation verification script.*
 `;
 
-        fs.writeFileSync(reportPath, report);
-        this.log(`Verification report saved to: ${reportPath}`, 'success');
+    fs.writeFileSync(reportPath, report);
+    this.logger.success(`Verification report saved to: ${reportPath}`);
+  }
+}
+
+function parseReportArgs(argv = process.argv) {
+  const value = flag => {
+    const index = argv.findIndex(arg => arg === flag || arg.startsWith(`${flag}=`));
+    if (index === -1) {
+      return undefined;
+    }
+    const file = argv[index].includes('=') ? argv[index].slice(flag.length + 1) : argv[index + 1];
+    if (!file || file.startsWith('--')) {
+      throw new Error(`${flag} needs a file path`);
     }
+    return path.resolve(file);
+  };
+  // Without a file, --json switches the output to JSON lines (see logger.js)
+  const json = argv.some(
+    (arg, index) =>
+      arg.startsWith('--json=') ||
+      (arg === '--json' && argv[index + 1] && !argv[index + 1].startsWith('--'))
+  );
+  return {
+    json: json ? value('--json') : undefined,
+    junit: value('--junit'),
+    baseline: value('--baseline'),
+    saveBaseline: value('--save-baseline')
+  };
 }
 
 // Run verification
-const verifier = new ObfuscationVerifier();
-verifier.verifyObfuscation().then(success => {
-    if (success) {
-        console.log('\n📄 Generating detailed report...');
-        return verifier.generateVerificationReport();
-    }
-}).then(() => {
-    console.log('\n🎉 Verification completed successfully!');
-}).catch(error => {
-    console.error('\n❌ Verification failed:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+let verifier;
+let logger;
+try {
+  logger = createLogger({
+    name: 'verify'
+  });
+  verifier = new ObfuscationVerifier(
+    await loadConfig({
+      configPath: parseConfigArg()
+    }),
+    parseReportArgs(),
+    logger
+  );
+} catch (error) {
+  // Invalid log options leave no logger of their own to report them
+  logger ??= new Logger({
+    name: 'verify'
+  });
+  logger.error(error.message);
+  process.exit(exitCodeFor(error));
+}
+let failure;
+try {
+  await verifier.verifyObfuscation();
+  verifier.logger.success('Verification completed successfully!');
+} catch (error) {
+  failure = error;
+  verifier.logger.error(`Verification failed: ${error.message}`);
+}
+process.exit(verifier.logger.summary(failure));
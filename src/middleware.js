@@ -0,0 +1,4 @@
+import { createObfuscationMiddleware } from '../scripts/obfuscator/server.js';
+
+// Rewrites server-rendered pages with the mapping of the last obfuscated build
+export const onRequest = createObfuscationMiddleware();
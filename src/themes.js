@@ -0,0 +1,173 @@
+/**
+ * Theme registry: every FlyonUI theme the site compiles and offers
+ *
+ * tailwind.config.js registers these themes with FlyonUI, and the theme
+ * switchers build their options from this list. `astro build` fails when a
+ * theme is missing from the compiled CSS (scripts/check-themes.js).
+ *
+ * - `font`: key of {@link fontFamily}, used as the theme's font instead of
+ *   the default sans stack
+ * - `colors`: primary, secondary, accent and neutral of the theme, shown as
+ *   its swatch before it is applied
+ */
+
+export const defaultTheme = 'light';
+
+// Font stacks of the site: Tailwind's `fontFamily` (tailwind.config.js), the theme fonts and the
+// fonts of the custom theme builder. Layout.astro loads the web fonts.
+export const fontFamily = {
+  sans: [
+    'Inter',
+    'ui-sans-serif',
+    'system-ui',
+    '-apple-system',
+    'BlinkMacSystemFont',
+    'Segoe UI',
+    'Roboto'
+  ],
+  'public-sans': ['Public Sans', 'ui-sans-serif', 'system-ui'],
+  archivo: ['Archivo', 'ui-sans-serif', 'system-ui'],
+  rubik: ['Rubik', 'ui-sans-serif', 'system-ui'],
+  montserrat: ['Montserrat', 'ui-sans-serif', 'system-ui'],
+  'fira-code': ['Fira Code', 'ui-monospace', 'monospace']
+};
+
+// Themes the `system` preference resolves to, by `prefers-color-scheme`. Pages the server renders
+// for `system` show the default theme unless the browser prefers dark, so `light` is the default.
+export const systemThemes = { light: 'light', dark: 'dark' };
+
+export const themes = [
+  {
+    name: 'light',
+    label: 'Light',
+    icon: 'icon-[tabler--sun]',
+    colorScheme: 'light',
+    colors: [
+      'oklch(57.59% 0.247 287.24)',
+      'oklch(55.79% 0.022 301.91)',
+      'oklch(62.31% 0.188 259.81)',
+      'oklch(37.57% 0.0222 281.8)'
+    ]
+  },
+  {
+    name: 'dark',
+    label: 'Dark',
+    icon: 'icon-[tabler--moon]',
+    colorScheme: 'dark',
+    colors: [
+      'oklch(53.93% 0.271 286.75)',
+      'oklch(49.12% 0.021 303.05)',
+      'oklch(54.61% 0.215 262.88)',
+      'oklch(65.75% 0.022 294.95)'
+    ]
+  },
+  {
+    name: 'black',
+    label: 'Black',
+    icon: 'icon-[tabler--moon-filled]',
+    colorScheme: 'dark',
+    colors: [
+      'oklch(58% 0.233 277.117)',
+      'oklch(60% 0.118 184.704)',
+      'oklch(51% 0.27 271.36)',
+      'oklch(98% 0 0)'
+    ]
+  },
+  {
+    name: 'corporate',
+    label: 'Corporate',
+    icon: 'icon-[tabler--briefcase]',
+    colorScheme: 'light',
+    font: 'public-sans',
+    colors: [
+      'oklch(62.31% 0.188 259.81)',
+      'oklch(55.79% 0.022 301.91)',
+      'oklch(65.59% 0.212 354.31)',
+      'oklch(44.7% 0.0732 274.26)'
+    ]
+  },
+  {
+    name: 'luxury',
+    label: 'Luxury',
+    icon: 'icon-[tabler--diamond]',
+    colorScheme: 'dark',
+    font: 'archivo',
+    colors: [
+      'oklch(68.75% 0.0948 67.23)',
+      'oklch(55.79% 0.0221 301.91)',
+      'oklch(64.45% 0.1596 354.64)',
+      'oklch(51% 0.0449 70.29)'
+    ]
+  },
+  {
+    name: 'gourmet',
+    label: 'Gourmet',
+    icon: 'icon-[tabler--chef-hat]',
+    colorScheme: 'light',
+    font: 'rubik',
+    colors: [
+      'oklch(70.49% 0.187 47.6)',
+      'oklch(55.79% 0.022 301.91)',
+      'oklch(65.59% 0.212 354.31)',
+      'oklch(32.38% 0.009 67.5)'
+    ]
+  },
+  {
+    name: 'soft',
+    label: 'Soft',
+    icon: 'icon-[tabler--feather]',
+    colorScheme: 'light',
+    font: 'montserrat',
+    colors: [
+      'oklch(62.68% 0.2325 303.9)',
+      'oklch(55.79% 0.0221 301.91)',
+      'oklch(62.31% 0.188 259.81)',
+      'oklch(32.61% 0.0705 305.29)'
+    ]
+  },
+  {
+    name: 'pastel',
+    label: 'Pastel',
+    icon: 'icon-[tabler--palette]',
+    colorScheme: 'dark',
+    colors: [
+      'oklch(79% 0.12 295.97)',
+      'oklch(91% 0.05 306.07)',
+      'oklch(72% 0.2 210)',
+      'oklch(100% 0 0)'
+    ]
+  },
+  {
+    name: 'vscode',
+    label: 'VS Code',
+    icon: 'icon-[tabler--brand-vscode]',
+    colorScheme: 'dark',
+    font: 'fira-code',
+    colors: [
+      'oklch(71% 0.15 239.15)',
+      'oklch(88% 0.059 254.128)',
+      'oklch(56.36% 0.0173 273.66)',
+      'oklch(86% 0.022 252.894)'
+    ]
+  }
+];
+
+export const themeNames = themes.map(theme => theme.name);
+
+/**
+ * CSS value of a font stack
+ * @param {string} key - Key of {@link fontFamily}
+ * @returns {string} `font-family` value, family names with spaces quoted
+ */
+export function fontStack(key) {
+  return fontFamily[key].map(family => (family.includes(' ') ? `'${family}'` : family)).join(', ');
+}
+
+/**
+ * Look up a theme of the registry
+ * @param {string} name - Theme name, e.g. from `data-theme` or storage
+ * @returns {object|undefined} Registry entry, or nothing for unknown names
+ */
+export function getTheme(name) {
+  return themes.find(theme => theme.name === name);
+}
@@ -0,0 +1,221 @@
+/**
+ * Custom theme of the Theme Customizer: brand colours, font, radius and density
+ *
+ * A custom theme is applied as CSS variables on top of the light or dark
+ * system theme, whichever suits its base colour. It travels as a compact
+ * string (see {@link encodeCustomTheme}) in localStorage, a cookie for the
+ * server and the `theme` URL parameter of shared links, and can be exported
+ * as a `@plugin "flyonui/theme"` block for src/styles/global.css.
+ */
+
+import { fontFamily, fontStack, systemThemes } from '../themes.js';
+
+export const CUSTOM_THEME = 'custom';
+export const CUSTOM_THEME_STORAGE_KEY = 'custom-theme';
+export const CUSTOM_THEME_PARAM = 'theme';
+
+export const CUSTOM_COLORS = ['primary', 'secondary', 'accent', 'neutral', 'base'];
+
+// FlyonUI radius tokens; `medium` is the light theme's
+export const RADIUS_PRESETS = {
+  none: { selector: '0rem', field: '0rem', box: '0rem' },
+  small: { selector: '0.125rem', field: '0.25rem', box: '0.375rem' },
+  medium: { selector: '0.25rem', field: '0.375rem', box: '0.5rem' },
+  large: { selector: '0.5rem', field: '0.75rem', box: '1rem' },
+  full: { selector: '1rem', field: '2rem', box: '2rem' }
+};
+
+// FlyonUI size tokens, the base unit of buttons, inputs and toggles
+export const DENSITY_PRESETS = {
+  compact: '0.1875rem',
+  normal: '0.25rem',
+  relaxed: '0.3125rem'
+};
+
+// WCAG 2 minimum contrast with the base colour: text, and other user interface parts
+export const MIN_TEXT_CONTRAST = 4.5;
+export const MIN_UI_CONTRAST = 3;
+
+export const defaultCustomTheme = {
+  primary: '#6e4fe8',
+  secondary: '#6b6574',
+  accent: '#3b82f6',
+  neutral: '#3f3d56',
+  base: '#ffffff',
+  font: 'sans',
+  radius: 'medium',
+  density: 'normal'
+};
+
+const HEX = /^[0-9a-f]{6}$/;
+
+/**
+ * Compact form for storage, cookies and URLs: the five colours without `#`, then the font,
+ * radius and density, joined by `-`
+ * @param {typeof defaultCustomTheme} theme - Custom theme
+ * @returns {string} E.g. `6e4fe8-6b6574-3b82f6-3f3d56-ffffff-sans-medium-normal`
+ */
+export function encodeCustomTheme(theme) {
+  return [
+    ...CUSTOM_COLORS.map(color => theme[color].slice(1).toLowerCase()),
+    theme.font,
+    theme.radius,
+    theme.density
+  ].join('-');
+}
+
+/**
+ * Read the compact form; anything else is rejected, so the values are safe to put in a style
+ * attribute
+ * @param {string|null|undefined} value - Compact form
+ * @returns {typeof defaultCustomTheme|null} Custom theme, or null when the value is invalid
+ */
+export function decodeCustomTheme(value) {
+  const parts = String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .split('-');
+  // Font keys can contain dashes themselves
+  const colors = parts.slice(0, CUSTOM_COLORS.length);
+  const [radius, density] = parts.slice(-2);
+  const font = parts.slice(CUSTOM_COLORS.length, -2).join('-');
+  if (
+    colors.length !== CUSTOM_COLORS.length ||
+    !colors.every(color => HEX.test(color)) ||
+    !Object.hasOwn(fontFamily, font) ||
+    !Object.hasOwn(RADIUS_PRESETS, radius) ||
+    !Object.hasOwn(DENSITY_PRESETS, density)
+  ) {
+    return null;
+  }
+  return {
+    ...Object.fromEntries(CUSTOM_COLORS.map((color, index) => [color, `#${colors[index]}`])),
+    font,
+    radius,
+    density
+  };
+}
+
+function luminance(hex) {
+  const [r, g, b] = [1, 3, 5].map(index => {
+    const channel = parseInt(hex.slice(index, index + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio of two colours
+ * @param {string} a - `#rrggbb`
+ * @param {string} b - `#rrggbb`
+ * @returns {number} Ratio from 1 to 21
+ */
+export function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Text colour for a background: black or white, whichever contrasts more
+ * @param {string} hex - Background, `#rrggbb`
+ * @returns {string} `#000000` or `#ffffff`
+ */
+export function contentColor(hex) {
+  return contrastRatio(hex, '#000000') >= contrastRatio(hex, '#ffffff') ? '#000000' : '#ffffff';
+}
+
+/**
+ * Light or dark, by the base colour
+ * @param {typeof defaultCustomTheme} theme - Custom theme
+ * @returns {'light'|'dark'} Color scheme
+ */
+export function customColorScheme(theme) {
+  return contentColor(theme.base) === '#000000' ? 'light' : 'dark';
+}
+
+/**
+ * Registry theme the custom theme is applied on top of; it provides the status colours
+ * @param {typeof defaultCustomTheme} theme - Custom theme
+ * @returns {string} Theme name
+ */
+export function customBaseTheme(theme) {
+  return systemThemes[customColorScheme(theme)];
+}
+
+/**
+ * Contrast of the colours with the page. Their own text is black or white, whichever reads
+ * better, which always reaches 4.5:1; against the base colour they can fail. The primary colour
+ * also colours text such as links, so it needs the text minimum.
+ * @param {typeof defaultCustomTheme} theme - Custom theme
+ * @returns {Array<{ color: string, ratio: number, minimum: number, pass: boolean }>} One entry
+ *   per colour
+ */
+export function checkCustomThemeContrast(theme) {
+  return CUSTOM_COLORS.filter(color => color !== 'base').map(color => {
+    const ratio = contrastRatio(theme[color], theme.base);
+    const minimum = color === 'primary' ? MIN_TEXT_CONTRAST : MIN_UI_CONTRAST;
+    return { color, ratio: Math.round(ratio * 100) / 100, minimum, pass: ratio >= minimum };
+  });
+}
+
+/**
+ * CSS variables and properties of a custom theme
+ * @param {typeof defaultCustomTheme} theme - Custom theme
+ * @returns {Record<string, string>} Property → value
+ */
+export function customThemeVariables(theme) {
+  const baseContent = contentColor(theme.base);
+  const radius = RADIUS_PRESETS[theme.radius];
+  return {
+    'color-scheme': customColorScheme(theme),
+    '--color-base-100': theme.base,
+    '--color-base-200': `color-mix(in oklab, ${theme.base} 94%, ${baseContent})`,
+    '--color-base-300': `color-mix(in oklab, ${theme.base} 86%, ${baseContent})`,
+    '--color-base-content': baseContent,
+    ...Object.fromEntries(
+      CUSTOM_COLORS.filter(color => color !== 'base').flatMap(color => [
+        [`--color-${color}`, theme[color]],
+        [`--color-${color}-content`, contentColor(theme[color])]
+      ])
+    ),
+    '--radius-selector': radius.selector,
+    '--radius-field': radius.field,
+    '--radius-box': radius.box,
+    '--size-selector': DENSITY_PRESETS[theme.density],
+    '--size-field': DENSITY_PRESETS[theme.density],
+    'font-family': fontStack(theme.font)
+  };
+}
+
+/**
+ * Inline style of a custom theme, for the `<html>` element the server renders
+ * @param {typeof defaultCustomTheme} theme - Custom theme
+ * @returns {string} Style attribute value
+ */
+export function customThemeStyle(theme) {
+  return Object.entries(customThemeVariables(theme))
+    .map(([property, value]) => `${property}: ${value}`)
+    .join('; ');
+}
+
+/**
+ * `@plugin "flyonui/theme"` block for src/styles/global.css
+ * @param {typeof defaultCustomTheme} theme - Custom theme
+ * @param {object} [options]
+ * @param {string} [options.name='brand'] - Theme name, the value of `data-theme`; characters
+ *   other than letters, digits and dashes become dashes
+ * @param {Record<string, string>} [options.inherited] - Tokens the builder does not set, such as
+ *   the status colours, taken from the theme it was previewed on
+ * @returns {string} CSS
+ */
+export function exportCustomTheme(theme, { name = 'brand', inherited = {} } = {}) {
+  const { 'font-family': font, ...variables } = customThemeVariables(theme);
+  const lines = Object.entries({
+    name: `"${name.toLowerCase().replace(/[^a-z0-9-]+/g, '-') || 'brand'}"`,
+    ...inherited,
+    ...variables,
+    // Quoted as a whole, or the plugin options split the stack at its commas
+    'font-family': `"${font}"`
+  }).map(([property, value]) => `  ${property}: ${value};`);
+  return `@plugin "flyonui/theme" {\n${lines.join('\n')}\n}\n`;
+}
@@ -0,0 +1,179 @@
+/**
+ * Stored theme, direction and accessibility settings: names, cookies and migration
+ *
+ * Shared by the client theme store (src/utils/theme-store.js), which keeps
+ * the values in localStorage and mirrors them into cookies, and Layout.astro,
+ * which reads the cookies to render the page with the right theme, direction
+ * and settings.
+ */
+
+import { defaultTheme, getTheme } from '../themes.js';
+import {
+  CUSTOM_THEME,
+  CUSTOM_THEME_STORAGE_KEY,
+  customBaseTheme,
+  customThemeStyle,
+  decodeCustomTheme
+} from './custom-theme.js';
+
+// The cookies have the names of the storage keys
+export const THEME_STORAGE_KEY = 'selected-theme';
+export const DIRECTION_STORAGE_KEY = 'layout-direction';
+export const SYSTEM_THEME = 'system';
+export const DIRECTIONS = ['ltr', 'rtl'];
+export const ACCESSIBILITY_STORAGE_KEY = 'accessibility';
+
+// Accessibility settings: the `<html>` attribute that holds a choice (`on` or `off`) and the media
+// query that decides while the setting is left to the system. Without a media query the setting
+// is off by default. src/styles/global.css applies both.
+export const ACCESSIBILITY_SETTINGS = {
+  reducedMotion: { attribute: 'data-reduced-motion', media: '(prefers-reduced-motion: reduce)' },
+  largerText: { attribute: 'data-larger-text', media: null },
+  highContrast: { attribute: 'data-high-contrast', media: '(prefers-contrast: more)' },
+  underlineLinks: { attribute: 'data-underline-links', media: null }
+};
+export const ACCESSIBILITY_VALUES = [SYSTEM_THEME, 'on', 'off'];
+
+const COOKIE_MAX_AGE = 60 * 60 * 24 * 365;
+
+// Older versions could store JSON strings and mixed case
+function normalize(value) {
+  return String(value ?? '')
+    .trim()
+    .replace(/^"(.*)"$/, '$1')
+    .toLowerCase();
+}
+
+/**
+ * Normalize a stored theme: older versions stored JSON strings, labels such as `Dark`, `auto`
+ * for the system theme and themes that are no longer offered
+ * @param {string|null|undefined} value - Stored value
+ * @returns {string|null} Registry name, `system` or `custom`, or null when nothing valid is stored
+ */
+export function migrateThemeValue(value) {
+  const name = normalize(value);
+  if (name === SYSTEM_THEME || name === 'auto') {
+    return SYSTEM_THEME;
+  }
+  if (name === CUSTOM_THEME) {
+    return CUSTOM_THEME;
+  }
+  return getTheme(name) ? name : null;
+}
+
+/**
+ * Normalize a stored direction
+ * @param {string|null|undefined} value - Stored value
+ * @returns {'ltr'|'rtl'|null} Direction, or null when nothing valid is stored
+ */
+export function migrateDirectionValue(value) {
+  const direction = normalize(value);
+  return DIRECTIONS.includes(direction) ? direction : null;
+}
+
+/**
+ * Read stored accessibility settings, e.g. `reducedMotion=on&underlineLinks=on`; settings that are
+ * missing or invalid are left to the system
+ * @param {string|null|undefined} value - Stored value
+ * @returns {Record<keyof ACCESSIBILITY_SETTINGS, 'system'|'on'|'off'>} Every setting
+ */
+export function decodeAccessibility(value) {
+  const stored = new URLSearchParams(String(value ?? '').trim());
+  return Object.fromEntries(
+    Object.keys(ACCESSIBILITY_SETTINGS).map(name => {
+      const choice = normalize(stored.get(name));
+      return [name, ACCESSIBILITY_VALUES.includes(choice) ? choice : SYSTEM_THEME];
+    })
+  );
+}
+
+/**
+ * Stored form of accessibility settings; settings left to the system are not stored
+ * @param {Record<string, 'system'|'on'|'off'>} settings - Accessibility settings
+ * @returns {string|null} Stored value, or null when every setting is left to the system
+ */
+export function encodeAccessibility(settings) {
+  const chosen = Object.entries(settings).filter(([, choice]) => choice !== SYSTEM_THEME);
+  return chosen.length ? new URLSearchParams(chosen).toString() : null;
+}
+
+/**
+ * Normalize stored accessibility settings
+ * @param {string|null|undefined} value - Stored value
+ * @returns {string|null} Stored value, or null when nothing valid is stored
+ */
+export function migrateAccessibilityValue(value) {
+  return encodeAccessibility(decodeAccessibility(value));
+}
+
+/**
+ * Read the theme cookies of a request
+ * @param {import('astro').AstroCookies} cookies - `Astro.cookies`
+ * @returns {{ preference: string, direction: 'ltr'|'rtl',
+ *   custom: import('./custom-theme.js').defaultCustomTheme|null,
+ *   accessibility: ReturnType<typeof decodeAccessibility> }|null} Saved state, or null when the
+ *   browser has not sent a valid theme cookie yet
+ */
+export function readThemeCookies(cookies) {
+  const preference = migrateThemeValue(cookies.get(THEME_STORAGE_KEY)?.value);
+  if (!preference) {
+    return null;
+  }
+  const direction = migrateDirectionValue(cookies.get(DIRECTION_STORAGE_KEY)?.value) ?? 'ltr';
+  const custom = decodeCustomTheme(cookies.get(CUSTOM_THEME_STORAGE_KEY)?.value);
+  const accessibility = decodeAccessibility(cookies.get(ACCESSIBILITY_STORAGE_KEY)?.value);
+  return { preference, direction, custom, accessibility };
+}
+
+/**
+ * `<html>` attributes of a page rendered for the saved state, as the theme store sets them.
+ * `system` has no `data-theme`: the CSS follows prefers-color-scheme until the store resolves it.
+ * @param {ReturnType<typeof readThemeCookies>} saved - State from {@link readThemeCookies}
+ * @param {import('./custom-theme.js').defaultCustomTheme|null} [shared] - Custom theme of a shared
+ *   link, which wins over the saved theme
+ * @returns {Record<string, string|undefined>} `data-theme`, `style`, `dir` and the attributes of
+ *   the accessibility settings that are not left to the system
+ */
+export function themeAttributes(saved, shared = null) {
+  const custom = shared ?? (saved?.preference === CUSTOM_THEME ? saved.custom : null);
+  const preference = saved?.preference ?? defaultTheme;
+  let theme;
+  if (custom) {
+    // A custom theme sets its variables on top of a system theme
+    theme = customBaseTheme(custom);
+  } else if (preference !== SYSTEM_THEME) {
+    // `custom` without a valid custom theme cookie falls back to the default theme
+    theme = preference === CUSTOM_THEME ? defaultTheme : preference;
+  }
+  const accessibility = Object.entries(saved?.accessibility ?? {})
+    .filter(([, choice]) => choice !== SYSTEM_THEME)
+    .map(([name, choice]) => [ACCESSIBILITY_SETTINGS[name].attribute, choice]);
+  return {
+    'data-theme': theme,
+    style: custom ? customThemeStyle(custom) : undefined,
+    dir: saved?.direction ?? 'ltr',
+    ...Object.fromEntries(accessibility)
+  };
+}
+
+/**
+ * `document.cookie` assignments that mirror the state for the server
+ * @param {{ preference: string, direction: string, custom: string|null,
+ *   accessibility: string|null }} state - Theme preference, direction and the stored forms of the
+ *   custom theme and the accessibility settings; the cookies of missing ones are removed
+ * @param {boolean} [secure=false] - Add `Secure`, for pages served over HTTPS
+ * @returns {string[]} One assignment per cookie
+ */
+export function themeCookies({ preference, direction, custom, accessibility }, secure = false) {
+  const flags = `; Path=/; SameSite=Lax${secure ? '; Secure' : ''}`;
+  const cookie = (name, value) =>
+    value === null
+      ? `${name}=${flags}; Max-Age=0`
+      : `${name}=${encodeURIComponent(value)}${flags}; Max-Age=${COOKIE_MAX_AGE}`;
+  return [
+    cookie(THEME_STORAGE_KEY, preference),
+    cookie(DIRECTION_STORAGE_KEY, direction),
+    cookie(CUSTOM_THEME_STORAGE_KEY, custom),
+    cookie(ACCESSIBILITY_STORAGE_KEY, accessibility)
+  ];
+}
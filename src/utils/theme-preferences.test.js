@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { encodeCustomTheme, defaultCustomTheme } from './custom-theme.js';
+import {
+  decodeAccessibility,
+  migrateAccessibilityValue,
+  migrateDirectionValue,
+  migrateThemeValue,
+  readThemeCookies,
+  themeAttributes,
+  themeCookies
+} from './theme-preferences.js';
+
+// `Astro.cookies` for the cookies a list of `document.cookie` assignments leaves behind
+function requestCookies(assignments) {
+  const jar = new Map();
+  for (const assignment of assignments) {
+    const [pair] = assignment.split('; ');
+    const [name, value] = pair.split('=');
+    if (assignment.includes('Max-Age=0')) {
+      jar.delete(name);
+    } else {
+      jar.set(name, decodeURIComponent(value));
+    }
+  }
+  return { get: name => (jar.has(name) ? { value: jar.get(name) } : undefined) };
+}
+
+describe('migrateThemeValue', () => {
+  it('accepts values stored by older versions', () => {
+    assert.equal(migrateThemeValue('"dark"'), 'dark');
+    assert.equal(migrateThemeValue(' Dark '), 'dark');
+    assert.equal(migrateThemeValue('auto'), 'system');
+    assert.equal(migrateThemeValue('custom'), 'custom');
+  });
+
+  it('drops themes that are no longer offered', () => {
+    assert.equal(migrateThemeValue('retired-theme'), null);
+    assert.equal(migrateThemeValue(null), null);
+    assert.equal(migrateThemeValue(''), null);
+  });
+});
+
+describe('migrateDirectionValue', () => {
+  it('keeps valid directions only', () => {
+    assert.equal(migrateDirectionValue('"RTL"'), 'rtl');
+    assert.equal(migrateDirectionValue('sideways'), null);
+  });
+});
+
+describe('migrateAccessibilityValue', () => {
+  it('drops invalid settings and the ones left to the system', () => {
+    assert.equal(
+      migrateAccessibilityValue('reducedMotion=ON&largerText=huge&highContrast=system&x=on'),
+      'reducedMotion=on'
+    );
+    assert.equal(migrateAccessibilityValue('largerText=huge'), null);
+  });
+
+  it('leaves missing settings to the system', () => {
+    assert.deepEqual(decodeAccessibility(null), {
+      reducedMotion: 'system',
+      largerText: 'system',
+      highContrast: 'system',
+      underlineLinks: 'system'
+    });
+  });
+});
+
+describe('theme cookies', () => {
+  const state = {
+    preference: 'dark',
+    direction: 'rtl',
+    custom: null,
+    accessibility: 'underlineLinks=on'
+  };
+
+  it('read back what was written', () => {
+    const saved = readThemeCookies(requestCookies(themeCookies(state)));
+    assert.equal(saved.preference, 'dark');
+    assert.equal(saved.direction, 'rtl');
+    assert.equal(saved.custom, null);
+    assert.equal(saved.accessibility.underlineLinks, 'on');
+  });
+
+  it('are removed for missing values', () => {
+    const cookies = themeCookies({ ...state, accessibility: null }, true);
+    assert.match(cookies[3], /^accessibility=; Path=\/; SameSite=Lax; Secure; Max-Age=0$/);
+  });
+
+  it('are ignored without a valid theme', () => {
+    assert.equal(readThemeCookies(requestCookies(['selected-theme=retired'])), null);
+  });
+});
+
+describe('themeAttributes', () => {
+  it('renders the saved theme, direction and accessibility settings', () => {
+    const saved = readThemeCookies(
+      requestCookies(
+        themeCookies({
+          preference: 'dark',
+          direction: 'rtl',
+          custom: null,
+          accessibility: 'largerText=off'
+        })
+      )
+    );
+    assert.deepEqual(themeAttributes(saved), {
+      'data-theme': 'dark',
+      style: undefined,
+      dir: 'rtl',
+      'data-larger-text': 'off'
+    });
+  });
+
+  it('leaves a system theme to the CSS', () => {
+    assert.equal(
+      themeAttributes({ preference: 'system', direction: 'ltr' })['data-theme'],
+      undefined
+    );
+  });
+
+  it('prefers a shared custom theme over the saved theme', () => {
+    const shared = { ...defaultCustomTheme, base: '#101010' };
+    const attributes = themeAttributes({ preference: 'light', direction: 'ltr' }, shared);
+    assert.equal(attributes['data-theme'], 'dark');
+    assert.match(attributes.style, /--color-base-100: ?#101010/);
+  });
+
+  it('falls back to the default theme for a custom theme without its cookie', () => {
+    const saved = readThemeCookies(
+      requestCookies([
+        'selected-theme=custom',
+        `custom-theme=${encodeCustomTheme(defaultCustomTheme).slice(0, 3)}`
+      ])
+    );
+    assert.equal(themeAttributes(saved)['data-theme'], 'light');
+  });
+});
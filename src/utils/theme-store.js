@@ -0,0 +1,395 @@
+/**
+ * Client theme, direction and accessibility state
+ *
+ * The one place that reads and writes the stored theme, layout direction and
+ * accessibility settings. Components change them through {@link setTheme},
+ * {@link setDirection} and {@link setAccessibility} and follow them with
+ * {@link subscribe} or the `theme-changed` window event.
+ *
+ * - `system` follows `prefers-color-scheme`, resolved to {@link systemThemes}
+ * - `custom` is the theme of the builder in the Theme Customizer, applied as
+ *   CSS variables on top of a system theme (src/utils/custom-theme.js); a
+ *   shared link sets it through the `theme` URL parameter
+ * - accessibility settings left to the system follow their media queries
+ *   (`ACCESSIBILITY_SETTINGS` in src/utils/theme-preferences.js)
+ * - other tabs are kept in step through `storage` events
+ * - values stored by older versions are migrated when the module loads
+ * - the state is mirrored into cookies, so Layout.astro renders the next page
+ *   with it on the server
+ *
+ * Without the cookies, the inline script of ThemeInitScript.astro applies the stored
+ * state before the first paint with the same rules; keep the two in step.
+ */
+
+import { defaultTheme, getTheme, systemThemes } from '../themes.js';
+import {
+  CUSTOM_THEME,
+  CUSTOM_THEME_PARAM,
+  CUSTOM_THEME_STORAGE_KEY,
+  customBaseTheme,
+  customThemeVariables,
+  decodeCustomTheme,
+  defaultCustomTheme,
+  encodeCustomTheme
+} from './custom-theme.js';
+import {
+  ACCESSIBILITY_SETTINGS,
+  ACCESSIBILITY_STORAGE_KEY,
+  ACCESSIBILITY_VALUES,
+  decodeAccessibility,
+  DIRECTION_STORAGE_KEY,
+  DIRECTIONS,
+  encodeAccessibility,
+  migrateAccessibilityValue,
+  migrateDirectionValue,
+  migrateThemeValue,
+  SYSTEM_THEME,
+  THEME_STORAGE_KEY,
+  themeCookies
+} from './theme-preferences.js';
+
+export {
+  ACCESSIBILITY_SETTINGS,
+  CUSTOM_THEME,
+  DIRECTIONS,
+  migrateDirectionValue,
+  migrateThemeValue,
+  SYSTEM_THEME
+};
+
+export const THEME_CHANGE_EVENT = 'theme-changed';
+
+/**
+ * @typedef {object} ThemeState
+ * @property {string} preference - Chosen theme: a registry name, `system` or `custom`
+ * @property {string} theme - Theme applied to the page, with `system` and `custom` resolved
+ * @property {'ltr'|'rtl'} direction - Layout direction
+ * @property {typeof defaultCustomTheme|null} custom - Last custom theme, kept while another
+ *   theme is chosen
+ * @property {Record<keyof ACCESSIBILITY_SETTINGS, 'system'|'on'|'off'>} accessibility - Chosen
+ *   accessibility settings; see {@link resolveAccessibility} for the ones that apply
+ */
+
+/**
+ * Detail of the `theme-changed` event and argument of {@link subscribe} listeners
+ * @typedef {ThemeState & {
+ *   changed: Array<'theme'|'direction'|'custom'|'accessibility'>,
+ *   source: string
+ * }} ThemeChange
+ * `changed` lists what differs from the previous state. `source` is the label the caller passed
+ * to {@link setTheme}, {@link setDirection}, {@link setCustomTheme} or {@link setAccessibility},
+ * `storage` for a change made in another tab, `system` for a new `prefers-color-scheme` or other
+ * media query and `url` for a shared custom theme.
+ */
+
+const darkScheme = window.matchMedia?.('(prefers-color-scheme: dark)');
+const accessibilityMedia = Object.fromEntries(
+  Object.entries(ACCESSIBILITY_SETTINGS).map(([name, { media }]) => [
+    name,
+    media ? window.matchMedia?.(media) : undefined
+  ])
+);
+const listeners = new Set();
+
+// The cookies hold the state when storage was cleared or refused
+function readStorage(key) {
+  try {
+    const value = localStorage.getItem(key);
+    if (value !== null) {
+      return value;
+    }
+  } catch {
+    // Fall back to the cookie
+  }
+  const cookie = document.cookie.split('; ').find(entry => entry.startsWith(`${key}=`));
+  return cookie ? decodeURIComponent(cookie.slice(key.length + 1)) : null;
+}
+
+// Private browsing can refuse storage; the state then lasts for the page only
+function writeStorage(key, value) {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, value);
+    }
+  } catch {
+    // Nothing to keep the value in
+  }
+}
+
+/**
+ * Theme applied for a preference
+ * @param {string} preference - Registry name, `system` or `custom`
+ * @param {typeof defaultCustomTheme|null} [custom] - Custom theme, for `custom`
+ * @returns {string} Registry name
+ */
+export function resolveTheme(preference, custom = null) {
+  if (preference === SYSTEM_THEME) {
+    return darkScheme?.matches ? systemThemes.dark : systemThemes.light;
+  }
+  if (preference === CUSTOM_THEME) {
+    return customBaseTheme(custom ?? defaultCustomTheme);
+  }
+  return getTheme(preference) ? preference : defaultTheme;
+}
+
+/**
+ * Accessibility settings that apply, with the ones left to the system resolved
+ * @param {ThemeState['accessibility']} accessibility - Chosen settings
+ * @returns {Record<keyof ACCESSIBILITY_SETTINGS, boolean>} Whether each setting is on
+ */
+export function resolveAccessibility(accessibility) {
+  return Object.fromEntries(
+    Object.entries(accessibility).map(([name, choice]) => [
+      name,
+      choice === SYSTEM_THEME ? Boolean(accessibilityMedia[name]?.matches) : choice === 'on'
+    ])
+  );
+}
+
+function readState() {
+  const preference = migrateThemeValue(readStorage(THEME_STORAGE_KEY)) ?? defaultTheme;
+  const direction = migrateDirectionValue(readStorage(DIRECTION_STORAGE_KEY)) ?? 'ltr';
+  const custom = decodeCustomTheme(readStorage(CUSTOM_THEME_STORAGE_KEY));
+  const accessibility = decodeAccessibility(readStorage(ACCESSIBILITY_STORAGE_KEY));
+  return { preference, theme: resolveTheme(preference, custom), direction, custom, accessibility };
+}
+
+// Rewrite stored values of older versions, and drop ones that cannot be used
+function migrateStorage() {
+  for (const [key, migrate] of [
+    [THEME_STORAGE_KEY, migrateThemeValue],
+    [DIRECTION_STORAGE_KEY, migrateDirectionValue],
+    [ACCESSIBILITY_STORAGE_KEY, migrateAccessibilityValue]
+  ]) {
+    const stored = readStorage(key);
+    if (stored !== null && migrate(stored) !== stored) {
+      writeStorage(key, migrate(stored));
+    }
+  }
+}
+
+let state;
+
+// Sets the variables of the custom theme on <html>, or removes them for any other theme
+function applyCustomTheme() {
+  const { style } = document.documentElement;
+  const active = state.preference === CUSTOM_THEME;
+  Object.entries(customThemeVariables(state.custom ?? defaultCustomTheme)).forEach(
+    ([property, value]) => {
+      if (active) {
+        style.setProperty(property, value);
+      } else {
+        style.removeProperty(property);
+      }
+    }
+  );
+}
+
+// `persist: false` leaves the cookies alone, for previews that are not stored either
+function apply(next, source, { persist = true } = {}) {
+  const encoded = custom => (custom ? encodeCustomTheme(custom) : null);
+  const changed = [];
+  if (next.theme !== state.theme || next.preference !== state.preference) {
+    changed.push('theme');
+  }
+  if (next.direction !== state.direction) {
+    changed.push('direction');
+  }
+  if (encoded(next.custom) !== encoded(state.custom)) {
+    changed.push('custom');
+  }
+  if (encodeAccessibility(next.accessibility) !== encodeAccessibility(state.accessibility)) {
+    changed.push('accessibility');
+  }
+  state = next;
+  document.documentElement.setAttribute('data-theme', state.theme);
+  document.documentElement.setAttribute('dir', state.direction);
+  applyCustomTheme();
+  // Settings left to the system have no attribute; the CSS follows the media queries for them
+  Object.entries(ACCESSIBILITY_SETTINGS).forEach(([name, { attribute }]) => {
+    if (state.accessibility[name] === SYSTEM_THEME) {
+      document.documentElement.removeAttribute(attribute);
+    } else {
+      document.documentElement.setAttribute(attribute, state.accessibility[name]);
+    }
+  });
+  if (persist) {
+    themeCookies(
+      {
+        ...state,
+        custom: encoded(state.custom),
+        accessibility: encodeAccessibility(state.accessibility)
+      },
+      location.protocol === 'https:'
+    ).forEach(cookie => {
+      document.cookie = cookie;
+    });
+  }
+  if (changed.length > 0) {
+    notify(changed, source);
+  }
+}
+
+function notify(changed, source) {
+  /** @type {ThemeChange} */
+  const change = { ...state, changed, source };
+  listeners.forEach(listener => listener(change));
+  window.dispatchEvent(new CustomEvent(THEME_CHANGE_EVENT, { detail: change }));
+}
+
+/**
+ * Current state
+ * @returns {ThemeState} Copy of the state
+ */
+export function getThemeState() {
+  return { ...state };
+}
+
+/**
+ * Choose a theme, stored for this and every other tab
+ * @param {string} preference - Registry name or `system`
+ * @param {object} [options]
+ * @param {string} [options.source='user'] - Label passed on to the listeners
+ */
+export function setTheme(preference, { source = 'user' } = {}) {
+  const valid = migrateThemeValue(preference);
+  if (!valid) {
+    throw new Error(`Unknown theme "${preference}"`);
+  }
+  writeStorage(THEME_STORAGE_KEY, valid);
+  apply({ ...state, preference: valid, theme: resolveTheme(valid, state.custom) }, source);
+}
+
+/**
+ * Choose a custom theme and apply it
+ * @param {typeof defaultCustomTheme} custom - Custom theme
+ * @param {object} [options]
+ * @param {string} [options.source='user'] - Label passed on to the listeners
+ * @param {boolean} [options.persist=true] - Store it for this and every other tab; pass false
+ *   while a colour picker is dragged, and store the final value
+ */
+export function setCustomTheme(custom, { source = 'user', persist = true } = {}) {
+  const valid = decodeCustomTheme(encodeCustomTheme({ ...defaultCustomTheme, ...custom }));
+  if (!valid) {
+    throw new Error(`Invalid custom theme ${JSON.stringify(custom)}`);
+  }
+  if (persist) {
+    writeStorage(THEME_STORAGE_KEY, CUSTOM_THEME);
+    writeStorage(CUSTOM_THEME_STORAGE_KEY, encodeCustomTheme(valid));
+  }
+  apply(
+    { ...state, preference: CUSTOM_THEME, theme: customBaseTheme(valid), custom: valid },
+    source,
+    { persist }
+  );
+}
+
+/**
+ * Choose the layout direction, stored for this and every other tab
+ * @param {'ltr'|'rtl'} direction - Direction
+ * @param {object} [options]
+ * @param {string} [options.source='user'] - Label passed on to the listeners
+ */
+export function setDirection(direction, { source = 'user' } = {}) {
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown direction "${direction}"`);
+  }
+  writeStorage(DIRECTION_STORAGE_KEY, direction);
+  apply({ ...state, direction }, source);
+}
+
+/**
+ * Choose an accessibility setting, stored for this and every other tab
+ * @param {keyof ACCESSIBILITY_SETTINGS} name - Setting, e.g. `reducedMotion`
+ * @param {'system'|'on'|'off'} choice - `system` follows the setting's media query again
+ * @param {object} [options]
+ * @param {string} [options.source='user'] - Label passed on to the listeners
+ */
+export function setAccessibility(name, choice, { source = 'user' } = {}) {
+  if (!Object.hasOwn(ACCESSIBILITY_SETTINGS, name)) {
+    throw new Error(`Unknown accessibility setting "${name}"`);
+  }
+  if (!ACCESSIBILITY_VALUES.includes(choice)) {
+    throw new Error(`Unknown value "${choice}" for accessibility setting "${name}"`);
+  }
+  const accessibility = { ...state.accessibility, [name]: choice };
+  writeStorage(ACCESSIBILITY_STORAGE_KEY, encodeAccessibility(accessibility));
+  apply({ ...state, accessibility }, source);
+}
+
+/**
+ * Forget the stored theme, custom theme, direction and accessibility settings and go back to the
+ * defaults
+ * @param {object} [options]
+ * @param {string} [options.source='user'] - Label passed on to the listeners
+ */
+export function resetThemeState({ source = 'user' } = {}) {
+  writeStorage(THEME_STORAGE_KEY, null);
+  writeStorage(DIRECTION_STORAGE_KEY, null);
+  writeStorage(CUSTOM_THEME_STORAGE_KEY, null);
+  writeStorage(ACCESSIBILITY_STORAGE_KEY, null);
+  apply(
+    {
+      preference: defaultTheme,
+      theme: resolveTheme(defaultTheme),
+      direction: 'ltr',
+      custom: null,
+      accessibility: decodeAccessibility(null)
+    },
+    source
+  );
+}
+
+/**
+ * Follow the state
+ * @param {(change: ThemeChange) => void} listener - Called after every change
+ * @returns {() => void} Stops the listener
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+migrateStorage();
+state = readState();
+apply(state, 'init');
+
+// A shared link: the server rendered the page with it already; drop the parameter so reloads and
+// copied addresses do not carry it further
+const url = new URL(location.href);
+const shared = decodeCustomTheme(url.searchParams.get(CUSTOM_THEME_PARAM));
+if (shared) {
+  setCustomTheme(shared, { source: 'url' });
+  url.searchParams.delete(CUSTOM_THEME_PARAM);
+  history.replaceState(history.state, '', url);
+}
+
+// Another tab changed or cleared the stored values
+window.addEventListener('storage', event => {
+  if (
+    event.key === null ||
+    event.key === THEME_STORAGE_KEY ||
+    event.key === DIRECTION_STORAGE_KEY ||
+    event.key === CUSTOM_THEME_STORAGE_KEY ||
+    event.key === ACCESSIBILITY_STORAGE_KEY
+  ) {
+    apply(readState(), 'storage');
+  }
+});
+
+darkScheme?.addEventListener('change', () => {
+  if (state.preference === SYSTEM_THEME) {
+    apply({ ...state, theme: resolveTheme(SYSTEM_THEME) }, 'system');
+  }
+});
+
+// A system setting changed: only settings left to the system follow it
+Object.entries(accessibilityMedia).forEach(([name, media]) => {
+  media?.addEventListener('change', () => {
+    if (state.accessibility[name] === SYSTEM_THEME) {
+      notify(['accessibility'], 'system');
+    }
+  });
+});
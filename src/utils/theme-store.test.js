@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { before, beforeEach, describe, it } from 'node:test';
+import { defaultCustomTheme } from './custom-theme.js';
+import { readThemeCookies, themeAttributes } from './theme-preferences.js';
+
+// The parts of the browser the theme store uses
+const storage = new Map();
+const cookies = new Map();
+const attributes = new Map();
+const style = new Map();
+
+globalThis.window = Object.assign(new EventTarget(), {
+  matchMedia: () => ({ matches: false, addEventListener() {} })
+});
+globalThis.localStorage = {
+  getItem: key => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+globalThis.document = {
+  documentElement: {
+    setAttribute: (name, value) => attributes.set(name, value),
+    removeAttribute: name => attributes.delete(name),
+    style: {
+      setProperty: (name, value) => style.set(name, value),
+      removeProperty: name => style.delete(name)
+    }
+  },
+  get cookie() {
+    return [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+  },
+  set cookie(assignment) {
+    const [name, value] = assignment.split('; ')[0].split('=');
+    if (assignment.includes('Max-Age=0')) {
+      cookies.delete(name);
+    } else {
+      cookies.set(name, value);
+    }
+  }
+};
+globalThis.location = { href: 'https://example.com/', protocol: 'https:' };
+globalThis.history = { state: null, replaceState() {} };
+// Node 18 has no global CustomEvent
+globalThis.CustomEvent ??= class extends Event {
+  constructor(type, { detail } = {}) {
+    super(type);
+    this.detail = detail;
+  }
+};
+
+// What Layout.astro renders for the next request, from the cookies the store wrote
+function serverAttributes() {
+  const saved = readThemeCookies({
+    get: name => (cookies.has(name) ? { value: decodeURIComponent(cookies.get(name)) } : undefined)
+  });
+  return themeAttributes(saved);
+}
+
+// What the store set on <html>, with the custom theme variables as a style attribute
+function clientAttributes() {
+  const variables = [...style].map(([name, value]) => `${name}: ${value}`);
+  return { ...Object.fromEntries(attributes), style: variables.join('; ') || undefined };
+}
+
+let store;
+
+describe('theme store', () => {
+  before(async () => {
+    storage.set('selected-theme', '"Dark"');
+    storage.set('layout-direction', 'RTL');
+    store = await import('./theme-store.js');
+  });
+
+  it('migrates values stored by older versions when it loads', () => {
+    assert.equal(storage.get('selected-theme'), 'dark');
+    assert.equal(storage.get('layout-direction'), 'rtl');
+    assert.equal(store.getThemeState().theme, 'dark');
+  });
+
+  describe('cookies', () => {
+    beforeEach(() => store.resetThemeState({ source: 'test' }));
+
+    const agree = () => assert.deepEqual(clientAttributes(), serverAttributes());
+
+    it('render the chosen theme and direction on the server', () => {
+      store.setTheme('dark');
+      store.setDirection('rtl');
+      agree();
+      assert.equal(serverAttributes()['data-theme'], 'dark');
+    });
+
+    it('render the accessibility settings on the server', () => {
+      store.setAccessibility('reducedMotion', 'on');
+      store.setAccessibility('highContrast', 'off');
+      agree();
+      store.setAccessibility('reducedMotion', 'system');
+      agree();
+      assert.equal(serverAttributes()['data-reduced-motion'], undefined);
+    });
+
+    it('render a custom theme on the server', () => {
+      store.setCustomTheme({ ...defaultCustomTheme, base: '#101010', radius: 'none' });
+      agree();
+      assert.equal(serverAttributes()['data-theme'], 'dark');
+      store.setTheme('light');
+      agree();
+    });
+
+    it('are not written for previews', () => {
+      store.setCustomTheme({ ...defaultCustomTheme, primary: '#000000' }, { persist: false });
+      assert.equal(cookies.has('custom-theme'), false);
+      assert.equal(cookies.get('selected-theme'), 'light');
+    });
+
+    it('are removed on reset', () => {
+      store.setTheme('dark');
+      store.resetThemeState();
+      assert.deepEqual([...cookies.keys()], ['selected-theme', 'layout-direction']);
+      agree();
+    });
+  });
+});
@@ -1,54 +1,39 @@
 import flyonui from 'flyonui';
-import {
-    addDynamicIconSelectors
-} from '@iconify/tailwind4';
-import tailwindcssIntersect from 'tailwindcss-intersect';
-import tailwindcssMotion from 'tailwindcss-motion';
+import flyonuiTheme from 'flyonui/theme/index.js';
+import { defaultTheme, fontFamily, fontStack, systemThemes, themes } from './src/themes.js';
+
+// Loaded by src/styles/global.css through @config. The themes and fonts are declared in
+// src/themes.js, where the theme switchers and the custom theme builder read them as well.
+
+// One flyonui/theme per registry entry: the built-in FlyonUI theme of that name, with its font.
+// Pages rendered for the `system` preference have no data-theme, so the dark system theme
+// also applies to them under prefers-color-scheme: dark, without a script.
+const themePlugin = theme => {
+    if (theme.font && !fontFamily[theme.font]) {
+        throw new Error(`Theme "${theme.name}" uses font "${theme.font}", which is not in fontFamily`);
+    }
+    return flyonuiTheme({
+        name: theme.name,
+        default: theme.name === defaultTheme,
+        ...(theme.name === systemThemes.dark ? { prefersdark: true, root: ':root:not([data-theme])' } : {}),
+        'color-scheme': theme.colorScheme,
+        ...(theme.font ? { 'font-family': fontStack(theme.font) } : {})
+    });
+};
 
 /** @type {import('tailwindcss').Config} */
 export default {
     content: ['./src/**/*.{astro,html,js,jsx,md,mdx,svelte,ts,tsx,vue}'],
     theme: {
         extend: {
-            fontFamily: {
-                sans: ['Inter', 'ui-sans-serif', 'system-ui', '-apple-system', 'BlinkMacSystemFont', 'Segoe UI', 'Roboto'],
-                'public-sans': ['Public Sans', 'ui-sans-serif', 'system-ui'],
-                'archivo': ['Archivo', 'ui-sans-serif', 'system-ui'],
-                'rubik': ['Rubik', 'ui-sans-serif', 'system-ui'],
-                'montserrat': ['Montserrat', 'ui-sans-serif', 'system-ui'],
-                'fira-code': ['Fira Code', 'ui-monospace', 'monospace']
-            }
+            fontFamily
         }
     },
     plugins: [
-        addDynamicIconSelectors(),
+        // Themes come from src/themes.js only
         flyonui({
-            themes: [
-                'light',
-                'dark',
-                {
-                    name: 'corporate',
-                    fontFamily: 'Public Sans'
-                },
-                {
-                    name: 'luxury',
-                    fontFamily: 'Archivo'
-                },
-                {
-                    name: 'gourmet',
-                    fontFamily: 'Rubik'
-                },
-                {
-                    name: 'soft',
-                    fontFamily: 'Montserrat'
-                },
-                {
-                    name: 'vscode',
-                    fontFamily: 'Fira Code'
-                }
-            ]
+            themes: false
         }),
-        tailwindcssIntersect,
-        tailwindcssMotion
+        ...themes.map(themePlugin)
     ]
-};
\ No newline at end of file
+};
@@ -6,9 +6,8 @@
 module.exports = {
     // Vercel build configuration
     vercel: {
-        // Use the obfuscated dist folder for deployment
-        buildCommand: "npm run build:production",
-        outputDirectory: "dist-obfuscated",
+        // `astro build` obfuscates the adapter output in .vercel/output directly
+        buildCommand: "npm run build",
         installCommand: "npm install",
 
         // Environment variables for production builds
@@ -26,6 +25,6 @@ module.exports = {
 
     production: {
         obfuscation: true,
-        buildCommand: "npm run build:production"
+        buildCommand: "npm run build"
     }
 };
\ No newline at end of file